@@ -0,0 +1,47 @@
+import express from "express";
+import cors from "cors";
+import morgan from "morgan";
+import fs from "fs";
+import { UPLOAD_DIR, corsOrigin } from "./config.js";
+import docsRouter from "./routes/docs.js";
+import filesRouter from "./routes/files.js";
+import importsRouter from "./routes/imports.js";
+import formsRouter from "./routes/forms.js";
+import submissionsRouter from "./routes/submissions.js";
+import annotationsRouter from "./routes/annotations.js";
+import adminRouter from "./routes/admin.js";
+import renderRouter from "./routes/render.js";
+import { errorHandler, notFound } from "./middleware/error.js";
+
+/**
+ * Build the Express app with every router mounted.
+ * Sockets are attached separately to the http server (see socket.js).
+ */
+export function createApp() {
+  const app = express();
+
+  app.use(cors({ origin: corsOrigin, credentials: true }));
+  if (process.env.NODE_ENV !== "test") app.use(morgan("dev"));
+  app.use(express.json({ limit: "5mb" }));
+
+  if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  app.use("/uploads", express.static(UPLOAD_DIR));
+
+  app.get("/health", (_req, res) => res.json({ ok: true }));
+
+  app.use("/doc", docsRouter);
+  // Server-side flattening of a doc's overlays (same output as the editor's export)
+  app.use("/api/docs", renderRouter);
+  // Bulk template import (zip or many PDFs) with a review step before commit
+  app.use("/api/files/import", importsRouter);
+  app.use("/api/files", filesRouter);
+  app.use("/api/forms", formsRouter);
+  // Filled-form instances created from approved template revisions
+  app.use("/api/submissions", submissionsRouter);
+  app.use("/api/annotations", annotationsRouter);
+  app.use("/api/admin", adminRouter);
+
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+}
@@ -0,0 +1,21 @@
+import path from "path";
+
+// All runtime configuration comes from the environment (see .env).
+export const PORT = Number(process.env.PORT) || 4000;
+
+// Comma-separated list of allowed browser origins, or "*" for any.
+export const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || "*";
+
+// Where uploaded PDFs/images are written and served from (/uploads).
+export const UPLOAD_DIR = path.resolve(process.cwd(), process.env.UPLOAD_DIR || "uploads");
+
+export const MAX_UPLOAD_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 100) * 1024 * 1024;
+
+// Value for the cors/socket.io `origin` option.
+export const corsOrigin =
+  CLIENT_ORIGIN === "*" ? true : CLIENT_ORIGIN.split(",").map((o) => o.trim()).filter(Boolean);
+
+// Unreferenced uploads older than the grace period are deleted by the
+// retention job, which runs every UPLOAD_GC_INTERVAL_MINUTES (0 disables it).
+export const UPLOAD_GC_GRACE_MS = (Number(process.env.UPLOAD_GC_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+export const UPLOAD_GC_INTERVAL_MS = Number(process.env.UPLOAD_GC_INTERVAL_MINUTES ?? 60) * 60 * 1000;
@@ -1,30 +0,0 @@
-import "dotenv/config";
-import express from "express";
-import cors from "cors";
-import morgan from "morgan";
-import path from "path";
-import { fileURLToPath } from "url";
-import filesRouter from "./routes/files.js";
-import { errorHandler, notFound } from "./middleware/error.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const app = express();
-const PORT = process.env.PORT || 4000;
-const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || "http://localhost:5173";
-const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
-
-app.use(cors({ origin: CLIENT_ORIGIN }));
-app.use(morgan("dev"));
-app.use(express.json());
-
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
-app.use("/api/files", filesRouter);
-
-app.use(notFound);
-app.use(errorHandler);
-
-app.listen(PORT, () => {
-  console.log(`✅ Server running on http://localhost:${PORT}`);
-});
@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { UPLOAD_DIR } from "../config.js";
+
+// Stored uploads are named "<sha256 hex><ext>"; older ones keep "<timestamp>-<original name>".
+const HASHED_NAME = /^([0-9a-f]{64})\.[a-z0-9]+$/;
+
+export const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+/**
+ * Map an upload URL (relative "/uploads/x.pdf" or absolute
+ * "http://host/uploads/x.pdf") to its stored file name, or null (also for
+ * malformed escapes and names that leave the upload directory).
+ */
+export function uploadName(url) {
+  if (typeof url !== "string") return null;
+  const i = url.indexOf("/uploads/");
+  if (i === -1) return null;
+  let name;
+  try {
+    name = decodeURIComponent(url.slice(i + "/uploads/".length).split(/[?#]/)[0]);
+  } catch {
+    return null;
+  }
+  return name && name !== "." && name !== ".." && !/[/\\]/.test(name) ? name : null;
+}
+
+/** Whether `url` is a content-addressed upload as storeUpload returns it ("/uploads/<sha256>.<ext>"). */
+export const isStoredUploadUrl = (url) => typeof url === "string" && /^\/uploads\/[0-9a-f]{64}\.[a-z0-9]+$/.test(url);
+
+/**
+ * Store bytes under their content hash so identical files exist once.
+ * Returns { hash, url, existing } where `existing` is true when the same
+ * content was already stored (its modification time is refreshed so the
+ * retention job treats it as a fresh upload).
+ */
+export async function storeUpload(buffer, ext) {
+  const hash = sha256(buffer);
+  const name = `${hash}${ext}`;
+  const target = path.join(UPLOAD_DIR, name);
+  const existing = fs.existsSync(target);
+  if (existing) {
+    const now = new Date();
+    await fs.promises.utimes(target, now, now);
+  } else {
+    // write-then-rename so a concurrent upload of the same bytes never sees a partial file
+    const tmp = `${target}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.promises.writeFile(tmp, buffer);
+    await fs.promises.rename(tmp, target);
+  }
+  return { hash, url: `/uploads/${name}`, existing };
+}
+
+/**
+ * SHA-256 of the stored file behind an upload URL: taken from the name for
+ * content-addressed uploads, computed from disk for legacy ones, null when missing.
+ */
+export function uploadHash(url) {
+  const name = uploadName(url);
+  if (!name) return null;
+  const match = HASHED_NAME.exec(name);
+  if (match) return match[1];
+  const file = path.join(UPLOAD_DIR, name);
+  try {
+    return fs.statSync(file).isFile() ? sha256(fs.readFileSync(file)) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,27 @@
+// Bundled fonts for the server-side export (shared/pdf/fonts.js), read from
+// the same @expo-google-fonts packages the frontend ships.
+
+import fs from "fs";
+import { createRequire } from "module";
+// @pdf-lib/fontkit's Indic shaper expects a global regeneratorRuntime
+import "regenerator-runtime/runtime.js";
+import { fontFileKey } from "../../../shared/pdf/fonts.js";
+
+const require = createRequire(import.meta.url);
+
+const FONT_FILES = {
+  [fontFileKey("NotoSans", "regular")]: "@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf",
+  [fontFileKey("NotoSans", "bold")]: "@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf",
+  [fontFileKey("NotoSans", "italic")]: "@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf",
+  [fontFileKey("NotoSans", "boldItalic")]: "@expo-google-fonts/noto-sans/700Bold_Italic/NotoSans_700Bold_Italic.ttf",
+  [fontFileKey("NotoSansDevanagari", "regular")]:
+    "@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf",
+  [fontFileKey("NotoSansDevanagari", "bold")]:
+    "@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf",
+  [fontFileKey("NotoSansSC", "regular")]: "@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf",
+};
+
+export async function loadBundledFont(key) {
+  if (!FONT_FILES[key]) return null;
+  return fs.promises.readFile(require.resolve(FONT_FILES[key]));
+}
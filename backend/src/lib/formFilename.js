@@ -0,0 +1,119 @@
+// Parses controlled-form filenames such as
+//   "31- SAF 31 - SHIPBOARD DRILLS SCHEDULE.pdf"
+//   "04-_OPN_4_-_LOADING_OPN_CHECKLIST.pdf"
+// into { sequence, departmentCode, formNumber, title } plus the derived
+// Forms Master fields. Anything we had to guess about is reported in `issues`.
+
+// Department codes used in form numbers -> Forms Master department names.
+export const DEPARTMENT_CODES = {
+  DCK: "DECK",
+  DECK: "DECK",
+  ENG: "ENGINE",
+  SAF: "SAFETY",
+  OPN: "OPERATIONS",
+  NAV: "NAVIGATION",
+  CRG: "CARGO",
+  ENV: "ENVIRONMENT",
+  SEC: "SECURITY",
+  MED: "MEDICAL",
+  ADM: "ADMIN",
+  GEN: "GENERAL",
+};
+
+// <seq> - <DEPT> <num> - <TITLE>
+const FULL_RE = /^(\d{1,4})\s*-\s*([A-Za-z]{2,6})\s*(\d{1,4})\s*-\s*(.+)$/;
+// <seq> - <TITLE> (e.g. "00- INDEX")
+const SEQ_ONLY_RE = /^(\d{1,4})\s*-\s*(.+)$/;
+// "[1]", "(2)" style copy markers that browsers/OS add to duplicate downloads
+const COPY_MARKER_RE = /\s*[[(]\d+[\])]\s*/;
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+const initials = (title) =>
+  title
+    .split(/\s+/)
+    .filter((w) => /^[A-Z]/.test(w))
+    .map((w) => w[0])
+    .join("");
+
+/**
+ * Parse a form filename. Never throws; unparseable names come back with
+ * `ok: false` and an issue explaining why.
+ */
+export function parseFormFilename(fileName) {
+  const issues = [];
+  const base = String(fileName || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.pdf$/i, "");
+  let stem = base.replace(/_/g, " ").replace(/\s+/g, " ").trim();
+
+  const marker = COPY_MARKER_RE.exec(stem);
+  if (marker) {
+    const dropped = stem.slice(marker.index + marker[0].length).trim();
+    stem = stem.slice(0, marker.index).trim();
+    issues.push(
+      dropped
+        ? `Removed copy marker "${marker[0].trim()}" and trailing text "${dropped}"`
+        : `Removed copy marker "${marker[0].trim()}"`
+    );
+  }
+
+  const full = FULL_RE.exec(stem);
+  if (full) {
+    const [, seq, code, num, rawTitle] = full;
+    const departmentCode = code.toUpperCase();
+    const title = rawTitle.trim().toUpperCase();
+    const department = DEPARTMENT_CODES[departmentCode];
+    if (!department) issues.push(`Unknown department code "${departmentCode}"`);
+    if (Number(seq) !== Number(num)) {
+      issues.push(`Sequence ${seq} and form number ${num} differ`);
+    }
+    const sequence = pad2(Number(seq));
+    const formNumber = pad2(Number(num));
+    const abbr = initials(title);
+    return {
+      ok: true,
+      sequence,
+      departmentCode,
+      formNumber,
+      title,
+      department: department || departmentCode,
+      referenceNo: `${sequence}-${departmentCode}/${formNumber}${abbr ? `/${abbr}` : ""}`,
+      remark: `${sequence}- ${departmentCode} ${formNumber} - ${title}`,
+      issues,
+    };
+  }
+
+  const seqOnly = SEQ_ONLY_RE.exec(stem);
+  if (seqOnly) {
+    const [, seq, rawTitle] = seqOnly;
+    const sequence = pad2(Number(seq));
+    const title = rawTitle.trim().toUpperCase();
+    issues.push("No department code or form number found");
+    return {
+      ok: true,
+      sequence,
+      departmentCode: "",
+      formNumber: "",
+      title,
+      department: "",
+      referenceNo: `${sequence}- ${title}`,
+      remark: `${sequence}- ${title}`,
+      issues,
+    };
+  }
+
+  issues.push("Filename does not follow the \"<seq>- <DEPT> <no> - <TITLE>\" pattern");
+  return {
+    ok: false,
+    sequence: "",
+    departmentCode: "",
+    formNumber: "",
+    title: stem.toUpperCase(),
+    department: "",
+    referenceNo: "",
+    remark: stem,
+    issues,
+  };
+}
@@ -0,0 +1,156 @@
+import { PDFArray, PDFDict, PDFDocument, PDFName, PDFRef, PDFStream } from "pdf-lib";
+
+/**
+ * Thrown for PDFs we refuse to store. `code` is stable and returned to the
+ * client alongside the message (see middleware/error.js).
+ */
+export class PdfValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+    this.status = 400;
+  }
+}
+
+const HEADER = Buffer.from("%PDF-");
+const EOF_MARKER = Buffer.from("%%EOF");
+
+// Action types that run code, open other files/apps or play media with scripts.
+const ACTIVE_ACTIONS = new Set(["JavaScript", "Launch", "ImportData", "Rendition", "GoToE"].map((n) => PDFName.of(n)));
+
+const N = {
+  A: PDFName.of("A"),
+  AA: PDFName.of("AA"),
+  OpenAction: PDFName.of("OpenAction"),
+  Next: PDFName.of("Next"),
+  S: PDFName.of("S"),
+  JS: PDFName.of("JS"),
+  Type: PDFName.of("Type"),
+  EF: PDFName.of("EF"),
+  EmbeddedFile: PDFName.of("EmbeddedFile"),
+  JavaScript: PDFName.of("JavaScript"),
+  EmbeddedFiles: PDFName.of("EmbeddedFiles"),
+  XFA: PDFName.of("XFA"),
+};
+
+/**
+ * Cheap structural checks that need no parsing: header within the first 1KB
+ * (as readers allow) and an %%EOF marker near the end, which a truncated
+ * download or interrupted copy will be missing.
+ */
+export function assertPdfBytes(buffer) {
+  if (!buffer?.length || buffer.subarray(0, 1024).indexOf(HEADER) === -1) {
+    throw new PdfValidationError("PDF_BAD_MAGIC", "File is not a PDF (missing %PDF header)");
+  }
+  if (buffer.subarray(Math.max(0, buffer.length - 1024)).indexOf(EOF_MARKER) === -1) {
+    throw new PdfValidationError("PDF_TRUNCATED", "PDF is truncated (missing %%EOF marker)");
+  }
+}
+
+/**
+ * Validate an uploaded PDF and strip active content before it is stored.
+ * Returns { buffer, removed } where `removed` lists what was stripped; when
+ * nothing was, the original bytes are returned untouched.
+ */
+export async function sanitizePdf(buffer) {
+  assertPdfBytes(buffer);
+
+  let doc;
+  try {
+    doc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  } catch (err) {
+    throw new PdfValidationError("PDF_CORRUPT", `PDF could not be parsed: ${err.message}`);
+  }
+  if (doc.isEncrypted) {
+    throw new PdfValidationError("PDF_ENCRYPTED", "PDF is encrypted or password protected; upload an unprotected copy");
+  }
+  let pageCount = 0;
+  try {
+    pageCount = doc.getPageCount();
+  } catch {
+    // broken page tree, reported below
+  }
+  if (!pageCount) throw new PdfValidationError("PDF_CORRUPT", "PDF has no readable pages");
+
+  const removed = stripActiveContent(doc.context);
+  if (!removed.length) return { buffer, removed };
+
+  const bytes = await doc.save();
+  return { buffer: Buffer.from(bytes), removed: [...new Set(removed)] };
+}
+
+function stripActiveContent(context) {
+  const removed = [];
+  const isActiveAction = (value) => {
+    const action = context.lookup(value);
+    return action instanceof PDFDict && ACTIVE_ACTIONS.has(action.get(N.S));
+  };
+
+  const scrubDict = (dict) => {
+    if (dict.has(N.OpenAction)) {
+      dict.delete(N.OpenAction);
+      removed.push("OpenAction");
+    }
+    if (dict.has(N.AA)) {
+      dict.delete(N.AA);
+      removed.push("additional actions");
+    }
+    if (dict.has(N.A) && isActiveAction(dict.get(N.A))) {
+      removed.push(`${context.lookup(dict.get(N.A)).get(N.S).decodeText()} action`);
+      dict.delete(N.A);
+    }
+    // Chained actions run after the one that holds them, inline or by reference
+    const next = dict.get(N.Next);
+    if (next instanceof PDFArray) {
+      for (let i = next.size() - 1; i >= 0; i--) {
+        if (!isActiveAction(next.get(i))) continue;
+        removed.push(`${context.lookup(next.get(i)).get(N.S).decodeText()} action`);
+        next.remove(i);
+      }
+    } else if (next && isActiveAction(next)) {
+      removed.push(`${context.lookup(next).get(N.S).decodeText()} action`);
+      dict.delete(N.Next);
+    }
+    // Name tree entries (catalog /Names) and attachment payloads of file specs
+    for (const key of [N.JavaScript, N.EmbeddedFiles, N.EF]) {
+      if (dict.has(key)) {
+        dict.delete(key);
+        removed.push(key === N.JavaScript ? "document JavaScript" : "embedded files");
+      }
+    }
+    // XFA packets can carry their own scripts; the AcroForm fields remain
+    if (dict.has(N.XFA)) {
+      dict.delete(N.XFA);
+      removed.push("XFA form scripts");
+    }
+  };
+
+  // Direct (inline) dicts nested inside indirect objects need the same treatment
+  const walk = (value) => {
+    if (value instanceof PDFDict) {
+      scrubDict(value);
+      for (const [, child] of value.entries()) walk(child);
+    } else if (value instanceof PDFArray) {
+      for (let i = 0; i < value.size(); i++) walk(value.get(i));
+    }
+  };
+
+  const objects = context.enumerateIndirectObjects();
+  for (const [, object] of objects) walk(object instanceof PDFStream ? object.dict : object);
+
+  // Drop the payload objects themselves so their bytes are not written out as orphans
+  for (const [ref, object] of objects) {
+    const dict = object instanceof PDFStream ? object.dict : object;
+    if (!(dict instanceof PDFDict)) continue;
+    if (object instanceof PDFStream && dict.get(N.Type) === N.EmbeddedFile) {
+      context.delete(ref);
+      removed.push("embedded files");
+    } else if (ACTIVE_ACTIONS.has(dict.get(N.S))) {
+      const js = dict.get(N.JS);
+      if (js instanceof PDFRef) context.delete(js);
+      context.delete(ref);
+      removed.push(`${dict.get(N.S).decodeText()} action`);
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,115 @@
+// Server-side flattening of editor overlays into the template PDF.
+// Uses the same drawing code as the browser (shared/pdf/flatten.js) so a doc
+// rendered here is byte-for-byte the file the editor would download.
+
+import fs from "fs";
+import path from "path";
+import {
+  decodePDFRawStream,
+  degrees,
+  drawText,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  rgb,
+  setCharacterSpacing,
+  StandardFontEmbedder,
+  StandardFonts,
+} from "pdf-lib";
+import fontkit from "@pdf-lib/fontkit";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { createOverlayFlattener, invalidOverlays } from "../../../shared/pdf/flatten.js";
+import { createDocumentFonts } from "../../../shared/pdf/documentFonts.js";
+import { createPageContent } from "../../../shared/pdf/contentStream.js";
+import { createRedactor, findRedactionLeaks } from "../../../shared/pdf/redaction.js";
+import { loadBundledFont } from "./fonts.js";
+import { UPLOAD_DIR } from "../config.js";
+import { uploadName } from "./contentStore.js";
+import { docs } from "../store/docs.js";
+import { submissions } from "../routes/submissions.js";
+
+const documentFonts = createDocumentFonts({ PDFName, PDFHexString, decodePDFRawStream, drawText, degrees, StandardFontEmbedder });
+const pageContent = createPageContent({ PDFName, decodePDFRawStream });
+
+const flattenOverlays = createOverlayFlattener({
+  PDFDocument,
+  rgb,
+  setCharacterSpacing,
+  StandardFonts,
+  fontkit,
+  loadFont: loadBundledFont,
+  documentFonts,
+  pageContent,
+  redactor: createRedactor({ PDFName, decodePDFRawStream, documentFonts, pageContent }),
+});
+
+const renderError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+// Bytes of a stored upload; only files under UPLOAD_DIR can be read.
+async function readUpload(url) {
+  const name = uploadName(url);
+  if (!name) throw renderError(`Not an upload URL: ${url}`, 422, "RENDER_BAD_SOURCE");
+  try {
+    return await fs.promises.readFile(path.join(UPLOAD_DIR, name));
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "EISDIR") throw renderError(`Upload not found: ${name}`, 422, "RENDER_MISSING_UPLOAD");
+    throw err;
+  }
+}
+
+// The untouched template behind a doc and its fill fields: the submission's
+// pinned ones, or the templateUrl stored with older docs.
+export function templateForDoc(docId) {
+  for (const sub of submissions.values()) {
+    if (sub.docId === docId) return { url: sub.templateUrl, fields: sub.templateFields || [] };
+  }
+  const url = docs.get(docId)?.templateUrl;
+  return url ? { url, fields: [] } : null;
+}
+
+// Refuse output whose redact areas still hold extractable text, as the
+// editor's export does (same pdf.js check).
+async function checkRedactions(bytes, boxes) {
+  if (!Object.values(boxes).some((list) => (list || []).some((box) => box?.type === "redact"))) return;
+  const pdf = await getDocument({ data: bytes.slice(), verbosity: 0 }).promise;
+  let leaks;
+  try {
+    leaks = await findRedactionLeaks(pdf, boxes);
+  } finally {
+    await pdf.destroy();
+  }
+  if (leaks.length) {
+    const found = leaks.map((leak) => `page ${leak.page}: "${leak.text}"`).join(", ");
+    throw renderError(`Redacted text can still be extracted (${found})`, 422, "REDACTION_LEAK");
+  }
+}
+
+/**
+ * Flatten the doc's overlays and form field values onto its template;
+ * `overrides.boxes` replace the stored overlays and `overrides.fields` are
+ * merged over the stored values. Resolves to the PDF bytes (Uint8Array).
+ * Fails with RENDER_BAD_OVERLAY (400) for overlays missing what they need
+ * to be drawn, and with REDACTION_LEAK (422) when text under a redaction
+ * survives.
+ */
+export async function renderDoc(docId, overrides = {}) {
+  const template = templateForDoc(docId);
+  if (!template) throw renderError("Doc has no template to render", 404, "RENDER_NO_TEMPLATE");
+  const state = docs.get(docId) || {};
+  const templateBytes = await readUpload(template.url);
+  const boxes = overrides.boxes || state.boxes || {};
+  const invalid = invalidOverlays(boxes);
+  if (invalid.length) {
+    const list = invalid.map(({ page, index, type }) => (index === null ? `page ${page}` : `${type} #${index + 1} on page ${page}`));
+    throw renderError(`Overlays cannot be drawn: ${list.join(", ")}`, 400, "RENDER_BAD_OVERLAY");
+  }
+  const bytes = await flattenOverlays(templateBytes, boxes, {
+    loadImage: readUpload,
+    fields: { ...state.fields, ...overrides.fields },
+    flattenFields: state.flattenFields !== false,
+    markupAnnotations: state.markupAnnotations === true,
+    templateFields: template.fields,
+  });
+  await checkRedactions(bytes, boxes);
+  return bytes;
+}
@@ -0,0 +1,166 @@
+// Revision history and approval workflow for Forms Master templates.
+//
+// form.revisions is ordered oldest -> newest:
+//   { revision, fileUrl, fileHash, effectiveDate, changeNote, createdAt,
+//     status, rejectRemark, workflow: [{ action, at, by?, remark? }],
+//     active, activatedAt?, supersededAt?, supersededBy? }
+//
+// Each revision moves DRAFT -> SUBMITTED -> APPROVED | REJECTED (a rejected
+// revision can be resubmitted). Approving a revision makes it the single active
+// revision and supersedes the previous one; superseded revisions are read-only.
+// fileHash is the SHA-256 of the template PDF bytes (see contentStore.js).
+// fields are the admin-defined fill fields (shared/pdf/templateFields.js); they
+// can be edited while the revision is DRAFT or REJECTED and are carried over
+// to the next revision as a starting point.
+
+import { uploadHash } from "./contentStore.js";
+
+export const STATUS = {
+  DRAFT: "DRAFT",
+  SUBMITTED: "SUBMITTED",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+export const TRANSITIONS = {
+  submit: { from: [STATUS.DRAFT, STATUS.REJECTED], to: STATUS.SUBMITTED },
+  approve: { from: [STATUS.SUBMITTED], to: STATUS.APPROVED },
+  reject: { from: [STATUS.SUBMITTED], to: STATUS.REJECTED },
+};
+
+export class WorkflowError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function buildRevision(form, { fileUrl, effectiveDate, changeNote }) {
+  const last = form.revisions?.[form.revisions.length - 1];
+  return {
+    revision: last ? last.revision + 1 : 0,
+    fileUrl: fileUrl || "",
+    fileHash: uploadHash(fileUrl),
+    fields: last?.fields ? last.fields.map((field) => ({ ...field })) : [],
+    effectiveDate: effectiveDate || "",
+    changeNote: changeNote || "",
+    createdAt: new Date().toISOString(),
+    status: STATUS.DRAFT,
+    rejectRemark: "",
+    workflow: [],
+    active: false,
+  };
+}
+
+// Mirror the active/latest revision onto the form so the table can list it directly:
+// fileUrl/effectiveDate come from the active revision, status/rejectRemark from the latest.
+export function summarize(form) {
+  const active = form.revisions.find((rev) => rev.active) || null;
+  const latest = form.revisions[form.revisions.length - 1];
+  return {
+    ...form,
+    activeRevision: active ? active.revision : null,
+    fileUrl: active ? active.fileUrl : "",
+    effectiveDate: (active || latest).effectiveDate,
+    latestRevision: latest.revision,
+    status: latest.status,
+    rejectRemark: latest.status === STATUS.REJECTED ? latest.rejectRemark : "",
+  };
+}
+
+export const FIELDS_EDITABLE = [STATUS.DRAFT, STATUS.REJECTED];
+
+/**
+ * Replace the field definitions of one revision (already validated).
+ * Throws WorkflowError once the revision has been submitted.
+ */
+export function setRevisionFields(form, revisionNo, fields) {
+  const rev = form.revisions.find((r) => r.revision === revisionNo);
+  if (!rev) throw new WorkflowError("Revision not found", 404);
+  if (rev.supersededAt || !FIELDS_EDITABLE.includes(rev.status)) {
+    throw new WorkflowError(`Revision ${revisionNo} is ${rev.status}; its fields are read-only`);
+  }
+  const revisions = form.revisions.map((r) => (r.revision === revisionNo ? { ...r, fields } : r));
+  return summarize({ ...form, revisions });
+}
+
+export function activateRevision(form, revisionNo) {
+  const now = new Date().toISOString();
+  const revisions = form.revisions.map((rev) => {
+    if (rev.revision === revisionNo) return { ...rev, active: true, activatedAt: now };
+    if (rev.active) return { ...rev, active: false, supersededAt: now, supersededBy: revisionNo };
+    return rev;
+  });
+  return summarize({ ...form, revisions });
+}
+
+/**
+ * Forms created before revisions/workflow existed: the current file becomes an
+ * approved, active revision 0, and older revisions without a status count as approved.
+ */
+export function withRevisions(form) {
+  if (Array.isArray(form.revisions) && form.revisions.length) {
+    if (form.revisions.every((rev) => rev.status)) return form;
+    const revisions = form.revisions.map((rev) =>
+      rev.status
+        ? rev
+        : {
+            ...rev,
+            status: rev.active || rev.supersededAt ? STATUS.APPROVED : STATUS.DRAFT,
+            rejectRemark: "",
+            workflow: [],
+          }
+    );
+    return summarize({ ...form, revisions });
+  }
+  const seeded = { ...form, revisions: [] };
+  const initial = buildRevision(seeded, {
+    fileUrl: form.fileUrl,
+    effectiveDate: form.effectiveDate,
+    changeNote: "Initial revision",
+  });
+  seeded.revisions.push({ ...initial, status: STATUS.APPROVED });
+  return activateRevision(seeded, 0);
+}
+
+/**
+ * Apply a workflow action ("submit" | "approve" | "reject") to one revision.
+ * Throws WorkflowError when the transition is not allowed.
+ */
+export function applyTransition(form, revisionNo, action, { by, remark } = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw new WorkflowError(`Unknown action "${action}"`, 400);
+  const rev = form.revisions.find((r) => r.revision === revisionNo);
+  if (!rev) throw new WorkflowError("Revision not found", 404);
+  if (rev.supersededAt) {
+    throw new WorkflowError(`Revision ${revisionNo} was superseded and is read-only`);
+  }
+  if (!transition.from.includes(rev.status)) {
+    throw new WorkflowError(`Cannot ${action} revision ${revisionNo} while it is ${rev.status}`);
+  }
+  const trimmedRemark = String(remark || "").trim();
+  if (action === "reject" && !trimmedRemark) {
+    throw new WorkflowError("A reject remark is required", 400);
+  }
+  const active = form.revisions.find((r) => r.active);
+  if (action === "approve" && active && active.revision > revisionNo) {
+    throw new WorkflowError(`Revision ${active.revision} is newer and already active`);
+  }
+
+  const entry = { action, at: new Date().toISOString() };
+  if (by) entry.by = String(by);
+  if (trimmedRemark) entry.remark = trimmedRemark;
+
+  const revisions = form.revisions.map((r) =>
+    r.revision === revisionNo
+      ? {
+          ...r,
+          status: transition.to,
+          rejectRemark: action === "reject" ? trimmedRemark : action === "submit" ? "" : r.rejectRemark,
+          workflow: [...(r.workflow || []), entry],
+        }
+      : r
+  );
+  const next = summarize({ ...form, revisions });
+  return action === "approve" ? activateRevision(next, revisionNo) : next;
+}
@@ -0,0 +1,136 @@
+import fs from "fs";
+import path from "path";
+import { UPLOAD_DIR, UPLOAD_GC_GRACE_MS, UPLOAD_GC_INTERVAL_MS } from "../config.js";
+import { uploadName } from "./contentStore.js";
+import { docs } from "../store/docs.js";
+import { forms } from "../routes/forms.js";
+import { submissions } from "../routes/submissions.js";
+import { imports } from "../routes/imports.js";
+
+/**
+ * Everything that points at a stored upload:
+ * Map<fileName, Array<{ kind, id, ... }>> with kind one of
+ * "template" (form revision), "doc" (flattened PDF, template or image overlay of an editor doc),
+ * "submission" or "import" (staged). Undo snapshots live in the editor only
+ * and are not counted.
+ */
+export function collectReferences() {
+  const refs = new Map();
+  const add = (url, ref) => {
+    const name = uploadName(url);
+    if (!name) return;
+    if (!refs.has(name)) refs.set(name, []);
+    refs.get(name).push(ref);
+  };
+
+  for (const form of forms.values()) {
+    for (const rev of form.revisions || []) add(rev.fileUrl, { kind: "template", id: form.id, revision: rev.revision });
+    add(form.fileUrl, { kind: "template", id: form.id });
+  }
+  for (const [docId, state] of docs.entries()) {
+    add(state.pdfUrl, { kind: "doc", id: docId });
+    add(state.templateUrl, { kind: "doc", id: docId });
+    for (const pageBoxes of Object.values(state.boxes || {})) {
+      for (const box of pageBoxes || []) if (box?.type === "image") add(box.src, { kind: "doc", id: docId });
+    }
+  }
+  for (const sub of submissions.values()) {
+    add(sub.templateUrl, { kind: "submission", id: sub.id });
+    add(sub.pdfUrl, { kind: "submission", id: sub.id });
+  }
+  for (const staged of imports.values()) {
+    for (const item of staged.items || []) add(item.fileUrl, { kind: "import", id: staged.id });
+  }
+  return refs;
+}
+
+// Stored files only; "_anno" and other internal directories and in-progress
+// ".tmp" writes are skipped.
+function listUploads() {
+  if (!fs.existsSync(UPLOAD_DIR)) return [];
+  return fs
+    .readdirSync(UPLOAD_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && !entry.name.startsWith(".") && !entry.name.endsWith(".tmp"))
+    .map((entry) => {
+      const stat = fs.statSync(path.join(UPLOAD_DIR, entry.name));
+      return { name: entry.name, size: stat.size, modifiedAt: stat.mtimeMs };
+    });
+}
+
+/**
+ * Disk usage of /uploads grouped by owner. A file referenced by several docs
+ * is counted under each of them, so per-document totals can exceed `total`.
+ */
+export function uploadUsage() {
+  const refs = collectReferences();
+  const files = listUploads();
+  const byDoc = new Map();
+  const templates = { files: 0, bytes: 0 };
+  const unreferenced = { files: 0, bytes: 0 };
+
+  for (const file of files) {
+    const owners = refs.get(file.name) || [];
+    if (!owners.length) {
+      unreferenced.files += 1;
+      unreferenced.bytes += file.size;
+      continue;
+    }
+    if (owners.some((r) => r.kind === "template" || r.kind === "import")) {
+      templates.files += 1;
+      templates.bytes += file.size;
+    }
+    for (const docId of new Set(owners.filter((r) => r.kind === "doc").map((r) => r.id))) {
+      if (!byDoc.has(docId)) {
+        const submissionId = docs.get(docId)?.submissionId;
+        byDoc.set(docId, { docId, submissionId, files: 0, bytes: 0 });
+      }
+      const usage = byDoc.get(docId);
+      usage.files += 1;
+      usage.bytes += file.size;
+    }
+  }
+
+  return {
+    total: { files: files.length, bytes: files.reduce((sum, f) => sum + f.size, 0) },
+    templates,
+    unreferenced,
+    documents: [...byDoc.values()].sort((a, b) => b.bytes - a.bytes),
+  };
+}
+
+/**
+ * Delete uploads nothing refers to once they are older than the grace period
+ * (by modification time), so in-flight edits that have not been saved to a
+ * doc yet are left alone. Returns { deleted: [{ name, size }], bytes }.
+ */
+export function collectUploadGarbage({ graceMs = UPLOAD_GC_GRACE_MS, dryRun = false, now = Date.now() } = {}) {
+  const refs = collectReferences();
+  const deleted = [];
+  for (const file of listUploads()) {
+    if (refs.has(file.name) || now - file.modifiedAt < graceMs) continue;
+    if (!dryRun) {
+      try {
+        fs.unlinkSync(path.join(UPLOAD_DIR, file.name));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+    deleted.push({ name: file.name, size: file.size });
+  }
+  return { deleted, bytes: deleted.reduce((sum, f) => sum + f.size, 0) };
+}
+
+/** Start the periodic retention job (no-op when the interval is 0). */
+export function startUploadGc() {
+  if (!(UPLOAD_GC_INTERVAL_MS > 0)) return null;
+  const timer = setInterval(() => {
+    try {
+      const { deleted, bytes } = collectUploadGarbage();
+      if (deleted.length) console.log(`Upload GC removed ${deleted.length} file(s), ${bytes} bytes`);
+    } catch (err) {
+      console.error("Upload GC failed:", err);
+    }
+  }, UPLOAD_GC_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
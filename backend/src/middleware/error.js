@@ -4,6 +4,10 @@ export function notFound(req, res, next) {
   
   export function errorHandler(err, req, res, next) {
     console.error(err);
-    res.status(err.status || 500).json({ error: err.message || "Server error" });
+    // multer rejects oversized/extra files with a MulterError (no status)
+    const status = err.status || (err.name === "MulterError" ? 400 : 500);
+    // client errors carry a stable `code` (e.g. PDF_ENCRYPTED, LIMIT_FILE_SIZE)
+    const code = status < 500 && typeof err.code === "string" ? err.code : undefined;
+    res.status(status).json({ error: err.message || "Server error", code });
   }
   
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import { collectUploadGarbage, uploadUsage } from "../lib/uploads.js";
+
+const router = Router();
+
+/**
+ * GET /api/admin/uploads/usage
+ * Disk usage of /uploads: { total, templates, unreferenced, documents: [{ docId, submissionId, files, bytes }] }
+ * (sizes in bytes).
+ */
+router.get("/uploads/usage", (_req, res) => {
+  res.json(uploadUsage());
+});
+
+/**
+ * POST /api/admin/uploads/gc?dryRun=1&graceHours=N
+ * Run the retention job now. Without graceHours the configured grace period applies.
+ */
+router.post("/uploads/gc", (req, res) => {
+  const graceHours = Number(req.query.graceHours);
+  const result = collectUploadGarbage({
+    dryRun: req.query.dryRun === "1" || req.query.dryRun === "true",
+    ...(Number.isFinite(graceHours) && graceHours >= 0 && { graceMs: graceHours * 60 * 60 * 1000 }),
+  });
+  res.json(result);
+});
+
+export default router;
@@ -1,17 +1,24 @@
 import { Router } from "express";
 import fs from "fs";
 import path from "path";
+import { UPLOAD_DIR } from "../config.js";
 
 const router = Router();
 
 // directory to store annotations (JSON per document)
-const dataDir = path.join(process.cwd(), "uploads", "_anno");
+const dataDir = path.join(UPLOAD_DIR, "_anno");
 
 // ensure the folder exists
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
+// The id names the JSON file, so only plain ids are accepted (no "/" or "..")
+router.param("id", (req, res, next, id) => {
+  if (!/^[\w-]+$/.test(id)) return res.status(400).json({ error: "Invalid annotation id" });
+  next();
+});
+
 /**
  * GET /api/annotations/:id
  * Fetch saved annotations for a given document ID.
@@ -0,0 +1,50 @@
+import { Router } from "express";
+import { docs } from "../store/docs.js";
+import { isDocLocked, touchSubmissionForDoc } from "./submissions.js";
+import { isStoredUploadUrl } from "../lib/contentStore.js";
+
+const router = Router();
+
+/**
+ * GET /doc/:docId
+ * Load current state for a doc.
+ */
+router.get("/:docId", (req, res) => {
+  const { docId } = req.params;
+  const state = docs.get(docId) || { boxes: {}, pdfUrl: undefined };
+  res.json(state);
+});
+
+/**
+ * POST /doc/:docId
+ * Save state (optional; sockets already sync live).
+ * `pdfUrl` must be a stored upload ("/uploads/<sha256>.<ext>"). The doc of a
+ * submitted submission cannot be changed (409).
+ * `fields` (AcroForm values by field name) are merged into the stored ones;
+ * `flattenFields: false` keeps the exported form fillable;
+ * `markupAnnotations: true` exports markup as PDF annotations.
+ */
+router.post("/:docId", (req, res) => {
+  const { docId } = req.params;
+  const payload = req.body || {};
+  if (isDocLocked(docId)) return res.status(409).json({ error: "The submission of this doc is already submitted" });
+  if (payload.pdfUrl != null && !isStoredUploadUrl(payload.pdfUrl)) {
+    return res.status(400).json({ error: "pdfUrl must be an uploaded PDF (/uploads/...)" });
+  }
+  // `history` (uploaded PDF versions of the old undo stack) is no longer kept
+  const { history, ...prev } = docs.get(docId) || { boxes: {}, pdfUrl: undefined };
+  const next = {
+    ...prev,
+    boxes: payload.boxes || prev.boxes || {},
+    pdfUrl: payload.pdfUrl ?? prev.pdfUrl,
+    fields: payload.fields && typeof payload.fields === "object" ? { ...prev.fields, ...payload.fields } : prev.fields,
+    flattenFields: typeof payload.flattenFields === "boolean" ? payload.flattenFields : prev.flattenFields,
+    markupAnnotations:
+      typeof payload.markupAnnotations === "boolean" ? payload.markupAnnotations : prev.markupAnnotations,
+  };
+  docs.set(docId, next);
+  touchSubmissionForDoc(docId);
+  res.json({ ok: true });
+});
+
+export default router;
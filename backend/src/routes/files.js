@@ -1,26 +1,20 @@
 import { Router } from "express";
 import multer from "multer";
 import fs from "fs";
-import path from "path";
+import { UPLOAD_DIR, MAX_UPLOAD_BYTES } from "../config.js";
+import { sanitizePdf } from "../lib/pdfSafety.js";
+import { storeUpload } from "../lib/contentStore.js";
 
 const router = Router();
-const uploadDir = process.env.UPLOAD_DIR || "uploads";
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, uploadDir),
-  filename: (_, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const base = path.basename(file.originalname, ext).replace(/\s+/g, "_");
-    cb(null, `${base}-${Date.now()}${ext}`);
-  },
-});
+if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 
+// Kept in memory so the content can be checked before anything is written
 const upload = multer({
-  storage,
-  limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
   fileFilter: (_, file, cb) => {
-    // Allow both PDF and image files
+    // Allow both PDF and image files (first pass on the client-supplied type;
+    // the bytes are checked after upload)
     const allowedTypes = [
       "application/pdf",
       "image/jpeg",
@@ -31,14 +25,63 @@ const upload = multer({
       "image/bmp"
     ];
     if (allowedTypes.includes(file.mimetype)) cb(null, true);
-    else cb(new Error("Only PDF and image files are allowed"));
+    else cb(Object.assign(new Error("Only PDF and image files are allowed"), { status: 400 }));
   },
 });
 
-router.post("/upload", upload.single("file"), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
-  const url = `/uploads/${req.file.filename}`;
-  res.json({ url });
+// Leading bytes of each accepted image format, with the extension it is stored under
+const IMAGE_SIGNATURES = [
+  [[0xff, 0xd8, 0xff], ".jpg"],
+  [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], ".png"],
+  [[0x47, 0x49, 0x46, 0x38], ".gif"], // GIF8
+  [[0x42, 0x4d], ".bmp"], // BM
+];
+
+function imageExtension(buffer) {
+  if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") {
+    return ".webp";
+  }
+  const match = IMAGE_SIGNATURES.find(([sig]) => sig.every((byte, i) => buffer[i] === byte));
+  return match ? match[1] : null;
+}
+
+/**
+ * POST /api/files/upload
+ * multipart "file": a PDF (template or edited copy) or an image placed on a page.
+ * PDFs are rejected when not really a PDF, truncated, corrupt or encrypted
+ * (400 with `code`), and have scripts/launch actions/attachments stripped.
+ * Files are stored by SHA-256 of their (sanitized) content, so uploading the
+ * same bytes again returns the already stored copy with `existing: true`.
+ * Returns { url, hash, existing, name, size, sanitized? } with url relative to
+ * the server (/uploads/<hash>.<ext>); `sanitized` lists what was removed, if anything.
+ */
+router.post("/upload", upload.single("file"), async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    let { buffer } = req.file;
+    let removed = [];
+    let ext = ".pdf";
+    if (req.file.mimetype === "application/pdf") {
+      ({ buffer, removed } = await sanitizePdf(buffer));
+    } else if (!(ext = imageExtension(buffer))) {
+      throw Object.assign(new Error("File content does not match an allowed image type"), {
+        status: 400,
+        code: "FILE_TYPE_MISMATCH",
+      });
+    }
+
+    const { url, hash, existing } = await storeUpload(buffer, ext);
+    res.json({
+      url,
+      hash,
+      existing,
+      name: req.file.originalname,
+      size: buffer.length,
+      ...(removed.length && { sanitized: removed }),
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 export default router;
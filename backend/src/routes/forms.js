@@ -0,0 +1,285 @@
+import { Router } from "express";
+import crypto from "crypto";
+import { createCollection } from "../store/index.js";
+import {
+  WorkflowError,
+  applyTransition,
+  buildRevision,
+  setRevisionFields,
+  summarize,
+  withRevisions,
+} from "../lib/revisions.js";
+import { normalizeTemplateFields } from "../../../shared/pdf/templateFields.js";
+import { submissions } from "./submissions.js";
+import { isStoredUploadUrl } from "../lib/contentStore.js";
+
+const router = Router();
+
+// Forms Master catalog: { [id]: FormTemplate }
+export const forms = createCollection("forms");
+
+// Fields a client may set on create/update; everything else is server-managed.
+// The template PDF and effective date belong to revisions (POST /:id/revisions),
+// status and reject remark to the approval workflow (POST /:id/submit|approve|reject).
+const EDITABLE_FIELDS = [
+  "company",
+  "relatedTo",
+  "department",
+  "type",
+  "title",
+  "referenceNo",
+  "remark",
+  "active",
+];
+
+const REQUIRED_FIELDS = ["company", "relatedTo", "department", "type", "title", "referenceNo"];
+
+// Filter selects in the Forms Master screen are populated from these fields.
+const OPTION_FIELDS = ["company", "relatedTo", "type", "department"];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function pickEditable(body = {}) {
+  const out = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] === undefined) continue;
+    out[key] = typeof body[key] === "string" ? body[key].trim() : body[key];
+  }
+  if (out.active !== undefined) out.active = out.active === true || out.active === "true";
+  return out;
+}
+
+function validate(form) {
+  const missing = REQUIRED_FIELDS.filter((key) => !form[key]);
+  if (missing.length) return `Missing required field(s): ${missing.join(", ")}`;
+  return validateDate(form.effectiveDate);
+}
+
+function validateDate(value) {
+  if (value && !DATE_RE.test(value)) return "effectiveDate must be formatted as YYYY-MM-DD";
+  return null;
+}
+
+/**
+ * Build a new Forms Master record (with its initial revision) from client input.
+ * Returns { form } or { error }.
+ */
+export function newFormRecord(body = {}, extra = {}) {
+  const now = new Date().toISOString();
+  const base = {
+    active: true,
+    remark: "",
+    ...pickEditable(body),
+    ...extra,
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+  };
+  const error = validate({ ...base, effectiveDate: body.effectiveDate });
+  if (error) return { error };
+  const initial = buildRevision({ revisions: [] }, {
+    fileUrl: body.fileUrl,
+    effectiveDate: body.effectiveDate,
+    changeNote: "Initial revision",
+  });
+  return { form: summarize({ ...base, revisions: [initial] }) };
+}
+
+const eqIgnoreCase = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+/**
+ * Apply the Forms Master filter bar to a list of forms.
+ * Query: company, relatedTo, type, department, activeStatus (ACTIVE|INACTIVE),
+ * formNo (substring of referenceNo), revisionFrom/revisionTo (YYYY-MM-DD, matched against
+ * every revision's effective date), status.
+ */
+export function filterForms(list, query = {}) {
+  const { company, relatedTo, type, department, activeStatus, formNo, revisionFrom, revisionTo, status } = query;
+  return list.filter((form) => {
+    if (company && !eqIgnoreCase(form.company, company)) return false;
+    if (relatedTo && !eqIgnoreCase(form.relatedTo, relatedTo)) return false;
+    if (type && !eqIgnoreCase(form.type, type)) return false;
+    if (department && !eqIgnoreCase(form.department, department)) return false;
+    if (status && !eqIgnoreCase(form.status, status)) return false;
+    if (activeStatus) {
+      const wantActive = String(activeStatus).toUpperCase() === "ACTIVE";
+      if (form.active !== wantActive) return false;
+    }
+    if (formNo && !String(form.referenceNo || "").toLowerCase().includes(String(formNo).toLowerCase())) return false;
+    if (revisionFrom || revisionTo) {
+      // match when any revision in the history took effect inside the range
+      const hit = (form.revisions || []).some(
+        (rev) =>
+          rev.effectiveDate &&
+          (!revisionFrom || rev.effectiveDate >= revisionFrom) &&
+          (!revisionTo || rev.effectiveDate <= revisionTo)
+      );
+      if (!hit) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * GET /api/forms
+ * List Forms Master entries, filtered by the query string (see filterForms).
+ */
+router.get("/", (req, res) => {
+  const list = filterForms(Array.from(forms.values(), withRevisions), req.query).sort((a, b) =>
+    String(a.referenceNo).localeCompare(String(b.referenceNo), undefined, { numeric: true })
+  );
+  res.json({ forms: list });
+});
+
+/**
+ * GET /api/forms/options
+ * Distinct values for the filter selects.
+ */
+router.get("/options", (_req, res) => {
+  const options = {};
+  for (const key of OPTION_FIELDS) {
+    const values = new Set();
+    for (const form of forms.values()) if (form[key]) values.add(form[key]);
+    options[key] = Array.from(values).sort();
+  }
+  res.json(options);
+});
+
+/**
+ * GET /api/forms/:id
+ */
+router.get("/:id", (req, res) => {
+  const form = forms.get(req.params.id);
+  if (!form) return res.status(404).json({ error: "Form not found" });
+  res.json(withRevisions(form));
+});
+
+/**
+ * POST /api/forms
+ * Create a Forms Master entry. fileUrl/effectiveDate in the body become revision 0.
+ */
+router.post("/", (req, res) => {
+  const { form, error } = newFormRecord(req.body);
+  if (error) return res.status(400).json({ error });
+  forms.set(form.id, form);
+  res.status(201).json(form);
+});
+
+/**
+ * PUT /api/forms/:id
+ * Update a Forms Master entry (partial updates allowed).
+ */
+router.put("/:id", (req, res) => {
+  const stored = forms.get(req.params.id);
+  if (!stored) return res.status(404).json({ error: "Form not found" });
+  const prev = withRevisions(stored);
+  const next = { ...prev, ...pickEditable(req.body), updatedAt: new Date().toISOString() };
+  const error = validate(next);
+  if (error) return res.status(400).json({ error });
+  forms.set(next.id, next);
+  res.json(next);
+});
+
+/**
+ * GET /api/forms/:id/revisions
+ * Full revision history, oldest first.
+ */
+router.get("/:id/revisions", (req, res) => {
+  const stored = forms.get(req.params.id);
+  if (!stored) return res.status(404).json({ error: "Form not found" });
+  const form = withRevisions(stored);
+  res.json({ activeRevision: form.activeRevision, revisions: form.revisions });
+});
+
+/**
+ * POST /api/forms/:id/revisions
+ * Body: { fileUrl, effectiveDate, changeNote }
+ * Append a DRAFT revision. It becomes active (superseding the current one) once approved.
+ */
+router.post("/:id/revisions", (req, res) => {
+  const stored = forms.get(req.params.id);
+  if (!stored) return res.status(404).json({ error: "Form not found" });
+  const { fileUrl, effectiveDate, changeNote } = req.body || {};
+  if (!fileUrl) return res.status(400).json({ error: "fileUrl is required for a new revision" });
+  if (!isStoredUploadUrl(fileUrl)) return res.status(400).json({ error: "fileUrl must be an uploaded PDF (/uploads/...)" });
+  if (!changeNote || !String(changeNote).trim()) {
+    return res.status(400).json({ error: "changeNote is required for a new revision" });
+  }
+  const dateError = validateDate(effectiveDate);
+  if (dateError) return res.status(400).json({ error: dateError });
+
+  const form = withRevisions(stored);
+  const rev = buildRevision(form, { fileUrl, effectiveDate, changeNote: String(changeNote).trim() });
+  const next = summarize({ ...form, revisions: [...form.revisions, rev], updatedAt: new Date().toISOString() });
+  forms.set(next.id, next);
+  res.status(201).json(next);
+});
+
+/**
+ * PUT /api/forms/:id/revisions/:revision/fields
+ * Body: { fields: [{ name, type, page, left, top, width, height, fontSize?, align?, options? }] }
+ * Replace the fill fields drawn on a DRAFT/REJECTED revision's template
+ * (types and geometry: shared/pdf/templateFields.js).
+ */
+router.put("/:id/revisions/:revision/fields", (req, res) => {
+  const stored = forms.get(req.params.id);
+  if (!stored) return res.status(404).json({ error: "Form not found" });
+  const { fields, error } = normalizeTemplateFields(req.body?.fields);
+  if (error) return res.status(400).json({ error });
+  try {
+    const next = setRevisionFields(withRevisions(stored), Number(req.params.revision), fields);
+    next.updatedAt = new Date().toISOString();
+    forms.set(next.id, next);
+    res.json(next);
+  } catch (err) {
+    if (!(err instanceof WorkflowError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+});
+
+function runTransition(req, res, action, revisionParam) {
+  const stored = forms.get(req.params.id);
+  if (!stored) return res.status(404).json({ error: "Form not found" });
+  const form = withRevisions(stored);
+  const revisionNo = revisionParam === undefined
+    ? form.revisions[form.revisions.length - 1].revision
+    : Number(revisionParam);
+  try {
+    const next = applyTransition(form, revisionNo, action, req.body || {});
+    next.updatedAt = new Date().toISOString();
+    forms.set(next.id, next);
+    res.json(next);
+  } catch (err) {
+    if (!(err instanceof WorkflowError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+}
+
+/**
+ * POST /api/forms/:id/submit | approve | reject
+ * Workflow actions on the latest revision. Body: { by?, remark? } (remark required to reject).
+ *
+ * POST /api/forms/:id/revisions/:revision/submit | approve | reject
+ * Same, for a specific revision.
+ */
+for (const action of ["submit", "approve", "reject"]) {
+  router.post(`/:id/${action}`, (req, res) => runTransition(req, res, action));
+  router.post(`/:id/revisions/:revision/${action}`, (req, res) =>
+    runTransition(req, res, action, req.params.revision)
+  );
+}
+
+/**
+ * DELETE /api/forms/:id
+ * Refused (409) while submissions of the form exist, as they point at its templates.
+ */
+router.delete("/:id", (req, res) => {
+  if (!forms.has(req.params.id)) return res.status(404).json({ error: "Form not found" });
+  if (Array.from(submissions.values()).some((sub) => sub.formId === req.params.id)) {
+    return res.status(409).json({ error: "Form has submissions and cannot be deleted" });
+  }
+  forms.delete(req.params.id);
+  res.json({ ok: true });
+});
+
+export default router;
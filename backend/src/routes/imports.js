@@ -0,0 +1,219 @@
+import { Router } from "express";
+import multer from "multer";
+import AdmZip from "adm-zip";
+import crypto from "crypto";
+import path from "path";
+import { createCollection } from "../store/index.js";
+import { parseFormFilename } from "../lib/formFilename.js";
+import { forms, newFormRecord } from "./forms.js";
+import { PdfValidationError, sanitizePdf } from "../lib/pdfSafety.js";
+import { storeUpload } from "../lib/contentStore.js";
+
+const router = Router();
+
+// Staged (not yet committed) bulk imports: { [importId]: { id, createdAt, items: ImportItem[] } }
+export const imports = createCollection("imports");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024, files: 500 },
+  fileFilter: (_req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (name.endsWith(".pdf") || name.endsWith(".zip")) cb(null, true);
+    else {
+      cb(Object.assign(new Error("Only PDF or ZIP files are allowed"), { status: 400, code: "UNSUPPORTED_FILE_TYPE" }));
+    }
+  },
+});
+
+const isPdfEntry = (name) =>
+  name.toLowerCase().endsWith(".pdf") && !name.startsWith("__MACOSX/") && !path.basename(name).startsWith("._");
+
+// What zip archives may expand to, checked against the sizes their entries
+// declare before anything is inflated
+const ZIP_LIMITS = { entries: 500, entrySize: 200 * 1024 * 1024, totalSize: 500 * 1024 * 1024 };
+
+const badZip = (message) => Object.assign(new Error(message), { status: 400, code: "IMPORT_BAD_ZIP" });
+
+// Flatten the request into [{ fileName, buffer }], expanding zip archives.
+function collectPdfs(files = []) {
+  const out = [];
+  let total = 0;
+  for (const file of files) {
+    if (file.originalname.toLowerCase().endsWith(".zip")) {
+      let entries;
+      try {
+        entries = new AdmZip(file.buffer).getEntries();
+      } catch {
+        throw badZip(`${file.originalname} is not a readable zip archive`);
+      }
+      const pdfs = entries.filter((entry) => !entry.isDirectory && isPdfEntry(entry.entryName));
+      if (pdfs.length > ZIP_LIMITS.entries) {
+        throw badZip(`${file.originalname} holds more than ${ZIP_LIMITS.entries} PDFs`);
+      }
+      for (const entry of pdfs) {
+        total += entry.header.size;
+        if (entry.header.size > ZIP_LIMITS.entrySize || total > ZIP_LIMITS.totalSize) {
+          throw badZip(`${file.originalname} expands to more than the import size limit`);
+        }
+        let buffer;
+        try {
+          buffer = entry.getData();
+        } catch {
+          throw badZip(`${entry.entryName} in ${file.originalname} could not be extracted`);
+        }
+        out.push({ fileName: path.basename(entry.entryName), buffer });
+      }
+    } else {
+      out.push({ fileName: file.originalname, buffer: file.buffer });
+    }
+  }
+  return out;
+}
+
+// Validate, sanitize and store one PDF; validation failures are reported per item
+async function checkPdf({ fileName, buffer }) {
+  try {
+    const result = await sanitizePdf(buffer);
+    const { url, hash } = await storeUpload(result.buffer, ".pdf");
+    return { fileName, size: result.buffer.length, fileUrl: url, fileHash: hash, removed: result.removed };
+  } catch (err) {
+    if (!(err instanceof PdfValidationError)) throw err;
+    return { fileName, size: buffer.length, fileUrl: "", rejected: { code: err.code, error: err.message } };
+  }
+}
+
+/**
+ * POST /api/files/import
+ * multipart "files": any mix of PDFs and zip archives of PDFs.
+ * Stores the PDFs, parses each filename and returns a staged import for review:
+ * { id, items: [{ key, fileName, fileUrl, fileHash, size, parsed, issues, status }] }
+ * where status is "ok", "ambiguous" (parsed but needs a look) or "error".
+ * PDFs failing validation (see lib/pdfSafety.js) are not stored; their item
+ * has status "error", no fileUrl and the reason in `rejected: { code, error }`.
+ * A zip that cannot be read or expands past ZIP_LIMITS fails the whole
+ * upload (400 IMPORT_BAD_ZIP).
+ */
+router.post("/", upload.array("files"), async (req, res, next) => {
+  let pdfs;
+  try {
+    pdfs = await Promise.all(collectPdfs(req.files).map(checkPdf));
+  } catch (err) {
+    return next(err);
+  }
+  if (!pdfs.length) return res.status(400).json({ error: "No PDF files found in upload" });
+
+  const existingRefs = new Set(Array.from(forms.values()).map((f) => String(f.referenceNo).toUpperCase()));
+  // Same bytes already used as a template (any revision) or earlier in this import
+  const knownHashes = new Map();
+  for (const form of forms.values()) {
+    for (const rev of form.revisions || []) if (rev.fileHash) knownHashes.set(rev.fileHash, form.referenceNo);
+  }
+  const seenRefs = new Set();
+  const items = pdfs.map(({ fileName, size, fileUrl, fileHash, rejected, removed }) => {
+    const { ok, issues, ...parsed } = parseFormFilename(fileName);
+    const ref = parsed.referenceNo.toUpperCase();
+    const allIssues = [...issues];
+    if (rejected) allIssues.unshift(`PDF rejected: ${rejected.error}`);
+    if (removed?.length) allIssues.push(`Active content removed: ${removed.join(", ")}`);
+    if (ref && existingRefs.has(ref)) allIssues.push(`Reference no ${parsed.referenceNo} already exists in Forms Master`);
+    if (ref && seenRefs.has(ref)) allIssues.push(`Reference no ${parsed.referenceNo} appears more than once in this import`);
+    if (ref) seenRefs.add(ref);
+    if (fileHash && knownHashes.has(fileHash)) allIssues.push(`Identical PDF already used by ${knownHashes.get(fileHash)}`);
+    if (fileHash && !knownHashes.has(fileHash)) knownHashes.set(fileHash, fileName);
+    return {
+      key: crypto.randomUUID(),
+      fileName,
+      fileUrl,
+      ...(fileHash && { fileHash }),
+      size,
+      parsed,
+      issues: allIssues,
+      status: !ok || rejected ? "error" : allIssues.length ? "ambiguous" : "ok",
+      ...(rejected && { rejected }),
+    };
+  });
+
+  const staged = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), items };
+  imports.set(staged.id, staged);
+  res.status(201).json(staged);
+});
+
+/**
+ * GET /api/files/import/:id
+ * Fetch a staged import again (e.g. after a page reload).
+ */
+router.get("/:id", (req, res) => {
+  const staged = imports.get(req.params.id);
+  if (!staged) return res.status(404).json({ error: "Import not found" });
+  res.json(staged);
+});
+
+/**
+ * POST /api/files/import/:id/commit
+ * Body: { defaults?: { company, relatedTo, type, effectiveDate },
+ *         items: [{ key, skip?, title?, department?, referenceNo?, remark?, ... }] }
+ * Creates one Forms Master entry per non-skipped item, using the reviewed values
+ * over the parsed ones. PDFs of skipped items are left to the upload
+ * retention job (the same content may be stored for another form).
+ */
+router.post("/:id/commit", (req, res) => {
+  const staged = imports.get(req.params.id);
+  if (!staged) return res.status(404).json({ error: "Import not found" });
+
+  const defaults = req.body?.defaults || {};
+  const reviewed = new Map((req.body?.items || []).map((item) => [item.key, item]));
+  const problems = [];
+  const toCreate = [];
+
+  for (const item of staged.items) {
+    const review = reviewed.get(item.key) || {};
+    if (review.skip) continue;
+    if (item.rejected) {
+      problems.push(`${item.fileName}: ${item.rejected.error}`);
+      continue;
+    }
+    const { form, error } = newFormRecord(
+      {
+        company: review.company || defaults.company || "",
+        relatedTo: review.relatedTo || defaults.relatedTo || "",
+        type: review.type || defaults.type || "",
+        department: review.department ?? item.parsed.department,
+        title: review.title ?? item.parsed.title,
+        referenceNo: review.referenceNo ?? item.parsed.referenceNo,
+        remark: review.remark ?? item.parsed.remark,
+        effectiveDate: review.effectiveDate || defaults.effectiveDate || "",
+        fileUrl: item.fileUrl,
+      },
+      { importedFrom: item.fileName }
+    );
+    if (error) problems.push(`${item.fileName}: ${error}`);
+    else toCreate.push({ item, form });
+  }
+
+  if (problems.length) {
+    return res.status(400).json({ error: "Some items are missing required fields", details: problems });
+  }
+
+  const created = toCreate.map(({ form }) => {
+    forms.set(form.id, form);
+    return form;
+  });
+
+  imports.delete(staged.id);
+  res.status(201).json({ created });
+});
+
+/**
+ * DELETE /api/files/import/:id
+ * Discard a staged import; its stored PDFs become unreferenced and are
+ * removed by the upload retention job.
+ */
+router.delete("/:id", (req, res) => {
+  const staged = imports.get(req.params.id);
+  if (!staged) return res.status(404).json({ error: "Import not found" });
+  imports.delete(staged.id);
+  res.json({ ok: true });
+});
+
+export default router;
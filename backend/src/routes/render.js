@@ -0,0 +1,60 @@
+import { Router } from "express";
+import { docs } from "../store/docs.js";
+import { isDocLocked, touchSubmissionForDoc } from "./submissions.js";
+import { renderDoc } from "../lib/render.js";
+import { storeUpload } from "../lib/contentStore.js";
+
+const router = Router();
+
+/**
+ * POST /api/docs/:docId/render
+ * Body: { boxes?, fields?, store? }
+ * Flatten the doc's overlays onto its template PDF on the server, for clients
+ * that only send overlay data. `boxes` replace the stored overlays and `fields`
+ * (AcroForm values) are merged into the stored ones, as POST /doc does; both
+ * are saved to the doc. The output matches the editor's own export.
+ * Returns the PDF, or with `store: true` saves it as the doc's pdfUrl (what a
+ * submission records when it is submitted) and returns { url, hash, existing }.
+ * Nothing is returned or stored when redacted text survives (422 REDACTION_LEAK).
+ * The doc of a submitted submission only renders as stored (409 otherwise).
+ */
+router.post("/:docId/render", async (req, res, next) => {
+  try {
+    const { docId } = req.params;
+    const { boxes, fields, store } = req.body || {};
+    const isMap = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+    if (boxes !== undefined && !isMap(boxes)) {
+      return res.status(400).json({ error: "boxes must be an object keyed by page number" });
+    }
+    if (fields !== undefined && !isMap(fields)) {
+      return res.status(400).json({ error: "fields must be an object keyed by field name" });
+    }
+    if ((boxes || fields || store) && isDocLocked(docId)) {
+      return res.status(409).json({ error: "The submission of this doc is already submitted" });
+    }
+
+    const bytes = Buffer.from(await renderDoc(docId, { boxes, fields }));
+    const prev = docs.get(docId) || { boxes: {} };
+    const patch = { ...(boxes && { boxes }), ...(fields && { fields: { ...prev.fields, ...fields } }) };
+    let result = null;
+    if (store) {
+      result = await storeUpload(bytes, ".pdf");
+      patch.pdfUrl = result.url;
+    }
+    if (Object.keys(patch).length) {
+      docs.set(docId, { ...prev, ...patch });
+      touchSubmissionForDoc(docId);
+    }
+
+    if (result) return res.json(result);
+    // ASCII fallback name plus the exact one (RFC 5987), so the id cannot break the header
+    const fallback = docId.replace(/[^\w.-]/g, "_");
+    const encoded = encodeURIComponent(docId).replace(/['()*!]/g, (ch) => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+    res.set("Content-Disposition", `inline; filename="${fallback}.pdf"; filename*=UTF-8''${encoded}.pdf`);
+    res.type("application/pdf").send(bytes);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+import { Router } from "express";
+import crypto from "crypto";
+import { createCollection } from "../store/index.js";
+import { docs } from "../store/docs.js";
+import { forms } from "./forms.js";
+import { withRevisions, STATUS } from "../lib/revisions.js";
+import { uploadHash } from "../lib/contentStore.js";
+
+const router = Router();
+
+// Filled-form instances: { [id]: Submission }
+//   { id, docId, formId, referenceNo, title, revision, templateUrl, templateHash,
+//     templateFields, filledBy, status, createdAt, updatedAt, submittedAt?, pdfUrl?, pdfHash? }
+// The template PDF is only ever read; all edits live under the submission's docId.
+// templateHash/pdfHash pin the exact bytes that were filled and submitted, and
+// templateFields the revision's fill fields at the time the form was started.
+export const submissions = createCollection("submissions");
+
+const SUBMISSION_STATUSES = ["DRAFT", "SUBMITTED"];
+
+// A submitted submission is final: the doc behind it takes no more overlay or field edits.
+export function isDocLocked(docId) {
+  for (const sub of submissions.values()) if (sub.docId === docId && sub.status === "SUBMITTED") return true;
+  return false;
+}
+
+// Bump updatedAt when the editor saves the doc behind a submission.
+export function touchSubmissionForDoc(docId) {
+  for (const sub of submissions.values()) {
+    if (sub.docId !== docId) continue;
+    submissions.set(sub.id, { ...sub, updatedAt: new Date().toISOString() });
+    return;
+  }
+}
+
+/**
+ * GET /api/submissions
+ * Query: formId?, filledBy?, status?
+ */
+router.get("/", (req, res) => {
+  const { formId, filledBy, status } = req.query;
+  const list = Array.from(submissions.values())
+    .filter((sub) => !formId || sub.formId === formId)
+    .filter((sub) => !filledBy || String(sub.filledBy).toLowerCase() === String(filledBy).toLowerCase())
+    .filter((sub) => !status || sub.status === String(status).toUpperCase())
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  res.json({ submissions: list });
+});
+
+/**
+ * GET /api/submissions/:id
+ */
+router.get("/:id", (req, res) => {
+  const sub = submissions.get(req.params.id);
+  if (!sub) return res.status(404).json({ error: "Submission not found" });
+  res.json(sub);
+});
+
+/**
+ * POST /api/submissions
+ * Body: { formId, filledBy }
+ * Start filling the form's active (approved) revision. Creates a fresh docId
+ * whose editor state starts empty on top of the untouched template PDF.
+ */
+router.post("/", (req, res) => {
+  const { formId, filledBy } = req.body || {};
+  if (!formId) return res.status(400).json({ error: "formId is required" });
+  if (!filledBy || !String(filledBy).trim()) return res.status(400).json({ error: "filledBy is required" });
+  const stored = forms.get(formId);
+  if (!stored) return res.status(404).json({ error: "Form not found" });
+  const form = withRevisions(stored);
+  const active = form.revisions.find((rev) => rev.active);
+  if (!active || active.status !== STATUS.APPROVED || !active.fileUrl) {
+    return res.status(409).json({ error: "Form has no approved revision to fill" });
+  }
+
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const sub = {
+    id,
+    docId: id,
+    formId: form.id,
+    referenceNo: form.referenceNo,
+    title: form.title,
+    revision: active.revision,
+    templateUrl: active.fileUrl,
+    templateHash: active.fileHash || uploadHash(active.fileUrl),
+    templateFields: active.fields || [],
+    filledBy: String(filledBy).trim(),
+    status: "DRAFT",
+    createdAt: now,
+    updatedAt: now,
+  };
+  docs.set(sub.docId, { boxes: {}, pdfUrl: undefined, templateUrl: sub.templateUrl, submissionId: sub.id });
+  submissions.set(sub.id, sub);
+  res.status(201).json(sub);
+});
+
+/**
+ * PATCH /api/submissions/:id
+ * Body: { status: "DRAFT" | "SUBMITTED" }
+ * Submitting records the doc's exported PDF as pdfUrl/pdfHash, so it is
+ * refused (409) until the editor has stored one. A submitted submission is
+ * final: any further status change is refused (409).
+ */
+router.patch("/:id", (req, res) => {
+  const sub = submissions.get(req.params.id);
+  if (!sub) return res.status(404).json({ error: "Submission not found" });
+  const status = String(req.body?.status || "").toUpperCase();
+  if (!SUBMISSION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${SUBMISSION_STATUSES.join(", ")}` });
+  }
+  if (sub.status === "SUBMITTED") {
+    return res.status(409).json({ error: "Submission is already submitted" });
+  }
+  const now = new Date().toISOString();
+  const next = { ...sub, status, updatedAt: now };
+  if (status === "SUBMITTED") {
+    const pdfUrl = docs.get(sub.docId)?.pdfUrl;
+    if (!pdfUrl) return res.status(409).json({ error: "Export the filled PDF before submitting" });
+    next.submittedAt = now;
+    next.pdfUrl = pdfUrl;
+    next.pdfHash = uploadHash(pdfUrl);
+  }
+  submissions.set(sub.id, next);
+  res.json(next);
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import { Server as SocketIOServer } from "socket.io";
+import { docs } from "./store/docs.js";
+import { isDocLocked } from "./routes/submissions.js";
+import { corsOrigin } from "./config.js";
+
+/**
+ * Attach the collaborative editing layer to an http server.
+ * Rooms are docIds; every box mutation and form field value is written
+ * through to the docs store and relayed to the other clients in the room.
+ * Docs of submitted submissions ignore them.
+ */
+export function attachSocket(server) {
+  const io = new SocketIOServer(server, {
+    cors: { origin: corsOrigin, methods: ["GET", "POST"], credentials: true },
+  });
+
+  io.on("connection", (socket) => {
+    socket.on("join", ({ docId }) => {
+      if (!docId) return;
+      socket.join(docId);
+      if (!docs.has(docId)) docs.set(docId, { boxes: {} });
+      const { boxes, fields, flattenFields, markupAnnotations } = docs.get(docId);
+      socket.emit("init_state", { boxes, fields: fields || {}, flattenFields, markupAnnotations });
+    });
+
+    // Value of a native AcroForm field of the template (see shared/pdf/formFields.js)
+    socket.on("set_field", ({ docId, name, value }) => {
+      if (!docId || typeof name !== "string" || !name || isDocLocked(docId)) return;
+      const state = docs.get(docId) || { boxes: {} };
+      state.fields = { ...(state.fields || {}), [name]: value };
+      docs.set(docId, state);
+      socket.to(docId).emit("field_set", { name, value });
+    });
+
+    socket.on("add_box", ({ docId, pageNumber, box }) => {
+      if (!docId || !pageNumber || !box || isDocLocked(docId)) return;
+      const state = docs.get(docId) || { boxes: {} };
+      const arr = state.boxes[pageNumber] || [];
+      state.boxes[pageNumber] = [...arr, box];
+      docs.set(docId, state);
+      socket.to(docId).emit("box_added", { pageNumber, box });
+    });
+
+    socket.on("update_box", ({ docId, pageNumber, boxId, patch }) => {
+      if (!docId || !pageNumber || !boxId || isDocLocked(docId)) return;
+      const state = docs.get(docId) || { boxes: {} };
+      const arr = state.boxes[pageNumber] || [];
+      const i = arr.findIndex((b) => b.id === boxId);
+      if (i < 0) return;
+      arr[i] = { ...arr[i], ...patch };
+      state.boxes[pageNumber] = arr;
+      docs.set(docId, state);
+      socket.to(docId).emit("box_updated", { pageNumber, boxId, patch });
+    });
+
+    socket.on("delete_box", ({ docId, pageNumber, boxId }) => {
+      if (!docId || !pageNumber || !boxId || isDocLocked(docId)) return;
+      const state = docs.get(docId) || { boxes: {} };
+      state.boxes[pageNumber] = (state.boxes[pageNumber] || []).filter((b) => b.id !== boxId);
+      docs.set(docId, state);
+      socket.to(docId).emit("box_deleted", { pageNumber, boxId });
+    });
+
+    socket.on("lock_box", ({ docId, boxId }) => {
+      if (!docId || !boxId) return;
+      socket.to(docId).emit("box_locked", { boxId });
+    });
+
+    socket.on("unlock_box", ({ docId, boxId }) => {
+      if (!docId || !boxId) return;
+      socket.to(docId).emit("box_unlocked", { boxId });
+    });
+  });
+
+  return io;
+}
@@ -0,0 +1,11 @@
+import { createCollection } from "./index.js";
+
+// Collaborative editor state:
+// { [docId]: { boxes: { [pageNumber]: Box[] }, pdfUrl?: string } }
+// Boxes are the editor overlays (text, image, lineEdit) described in
+// shared/pdf/flatten.js; pdfUrl is the last flattened export. The
+// template itself is never modified. `fields` holds values of the template's
+// own AcroForm fields and `flattenFields` (default true) whether the export
+// turns them into plain content. `markupAnnotations` (default false) exports
+// markups and shapes as PDF annotations rather than drawn content.
+export const docs = createCollection("docs");
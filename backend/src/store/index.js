@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+
+const DATA_DIR = path.resolve(process.cwd(), process.env.DATA_DIR || "data");
+const STORE_DRIVER = (process.env.STORE_DRIVER || "json").toLowerCase();
+
+// Record ids come from URLs/sockets, so keep them filesystem-safe.
+const fileNameFor = (id) => `${encodeURIComponent(String(id))}.json`;
+
+/**
+ * In-memory collection. Same surface as the JSON store, nothing survives a restart.
+ * Useful for tests or throwaway local runs (STORE_DRIVER=memory).
+ */
+export function createMemoryCollection() {
+  return new Map();
+}
+
+/**
+ * JSON-file collection: one file per record under DATA_DIR/<name>/.
+ * Every record is loaded into memory on startup and written through on each set/delete.
+ */
+export function createJsonCollection(name, baseDir = DATA_DIR) {
+  const dir = path.join(baseDir, name);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const records = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const id = decodeURIComponent(file.slice(0, -".json".length));
+      records.set(id, JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+    } catch (err) {
+      console.error(`Skipping unreadable ${name} record ${file}:`, err);
+    }
+  }
+
+  const write = (id, value) => {
+    const target = path.join(dir, fileNameFor(id));
+    // write to a temp file first so a crash mid-write never leaves a truncated record
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2), "utf8");
+    fs.renameSync(tmp, target);
+  };
+
+  return {
+    get: (id) => records.get(String(id)),
+    has: (id) => records.has(String(id)),
+    set(id, value) {
+      records.set(String(id), value);
+      write(String(id), value);
+      return this;
+    },
+    delete(id) {
+      const existed = records.delete(String(id));
+      const target = path.join(dir, fileNameFor(id));
+      if (fs.existsSync(target)) fs.unlinkSync(target);
+      return existed;
+    },
+    keys: () => records.keys(),
+    values: () => records.values(),
+    entries: () => records.entries(),
+    get size() {
+      return records.size;
+    },
+  };
+}
+
+/**
+ * Returns a Map-like collection ({ get, set, has, delete, keys, values, entries, size })
+ * backed by the driver named in STORE_DRIVER ("json" by default, or "memory").
+ */
+export function createCollection(name) {
+  if (STORE_DRIVER === "memory") return createMemoryCollection();
+  if (STORE_DRIVER === "json") return createJsonCollection(name);
+  throw new Error(`Unknown STORE_DRIVER "${STORE_DRIVER}" (expected "json" or "memory")`);
+}
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFArray, PDFDict, PDFDocument, PDFName, PDFString } from "pdf-lib";
+import { sanitizePdf } from "../src/lib/pdfSafety.js";
+
+// One-page PDF with a link whose URI action chains to `next` (/Next).
+async function pdfWithLinkNext(next) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  const { context } = doc;
+  const script = (js) => context.obj({ S: "JavaScript", JS: PDFString.of(js) });
+  const link = context.obj({
+    Type: "Annot",
+    Subtype: "Link",
+    Rect: [10, 10, 100, 30],
+    A: context.obj({ S: "URI", URI: PDFString.of("https://example.com"), Next: next(script) }),
+  });
+  page.node.set(PDFName.of("Annots"), context.obj([context.register(link)]));
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+// Whether any action dict of the file, inline or indirect, runs JavaScript.
+async function hasScript(buffer) {
+  const { context } = await PDFDocument.load(buffer);
+  const isScript = (value) => {
+    if (value instanceof PDFDict) {
+      if (value.get(PDFName.of("S")) === PDFName.of("JavaScript")) return true;
+      return value.entries().some(([, child]) => isScript(child));
+    }
+    if (value instanceof PDFArray) return value.asArray().some(isScript);
+    return false;
+  };
+  return context.enumerateIndirectObjects().some(([, object]) => isScript(object));
+}
+
+test("strips an inline /Next JavaScript action", async () => {
+  const input = await pdfWithLinkNext((script) => script("app.alert('pwn')"));
+  assert.ok(await hasScript(input));
+  const { buffer, removed } = await sanitizePdf(input);
+  assert.deepEqual(removed, ["JavaScript action"]);
+  assert.ok(!(await hasScript(buffer)));
+});
+
+test("strips JavaScript actions from a /Next array", async () => {
+  const input = await pdfWithLinkNext((script) => [script("app.alert('one')"), script("app.alert('two')")]);
+  const { buffer, removed } = await sanitizePdf(input);
+  assert.deepEqual(removed, ["JavaScript action"]);
+  assert.ok(!(await hasScript(buffer)));
+});
+
+test("returns a PDF without active content untouched", async () => {
+  const doc = await PDFDocument.create();
+  doc.addPage([200, 200]);
+  const input = Buffer.from(await doc.save());
+  const { buffer, removed } = await sanitizePdf(input);
+  assert.deepEqual(removed, []);
+  assert.equal(buffer, input);
+});
@@ -1,48 +1,244 @@
-import { useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import PdfEditor from "./components/PdfEditor.jsx";
-import { uploadPdf } from "./services/api.js";
+import FormDialog from "./components/FormDialog.jsx";
+import ImportReview from "./components/ImportReview.jsx";
+import RevisionHistory from "./components/RevisionHistory.jsx";
+import SubmissionsList from "./components/SubmissionsList.jsx";
+import { loadDoc } from "./api/docApi.js";
+import {
+  uploadPdf,
+  listForms,
+  getFormOptions,
+  createForm,
+  updateForm,
+  deleteForm,
+  absoluteUrl,
+  importForms,
+  commitImport,
+  discardImport,
+  submitForm,
+  approveForm,
+  rejectForm,
+  createSubmission,
+  updateSubmission,
+  saveRevisionFields,
+} from "./services/api.js";
 import "./index.css";
 
+const EMPTY_FILTERS = {
+  company: "",
+  relatedTo: "",
+  type: "",
+  department: "",
+  activeStatus: "",
+  formNo: "",
+  revisionFrom: "",
+  revisionTo: "",
+};
+
 export default function App() {
   const [busy, setBusy] = useState(false);
   const [error, setError] = useState("");
-  const [serverUrl, setServerUrl] = useState(null); // absolute URL of uploaded PDF
-  const fileInputRef = useRef(null);
+  const [submission, setSubmission] = useState(null); // submission being filled in the editor
+  const [forms, setForms] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [filterOptions, setFilterOptions] = useState({});
+  const [loadingForms, setLoadingForms] = useState(false);
+  const [dialog, setDialog] = useState(null); // { initial: form|null } while ADD/EDIT is open
+  const importInputRef = useRef(null);
+  const editorRef = useRef(null); // PdfEditor handle: flattenPdf / saveFlattenedPdf
+  const [stagedImport, setStagedImport] = useState(null); // { id, items } awaiting review
+  const [importError, setImportError] = useState("");
+  const [revisionsFor, setRevisionsFor] = useState(null); // form whose history is open
+  const [designing, setDesigning] = useState(null); // { form, rev, readOnly } while the field designer is open
+  const [submissionsFor, setSubmissionsFor] = useState(null); // form whose submissions are open
 
-  async function handleFile(e) {
-    const file = e.target.files?.[0];
-    if (!file) return;
+  const fetchForms = useCallback(async (activeFilters) => {
+    setLoadingForms(true);
+    setError("");
+    try {
+      const [list, options] = await Promise.all([
+        listForms(activeFilters),
+        getFormOptions(),
+      ]);
+      setForms(list);
+      setFilterOptions(options);
+    } catch (err) {
+      console.error(err);
+      setError(err?.response?.data?.error || "Failed to load forms");
+    } finally {
+      setLoadingForms(false);
+    }
+  }, []);
 
-    if (file.type !== "application/pdf") {
-      alert("Please select a PDF file");
-      return;
+  const loadForms = (activeFilters = filters) => fetchForms(activeFilters);
+
+  // initial load only; SEARCH/CLEAR reload explicitly
+  useEffect(() => {
+    fetchForms(EMPTY_FILTERS);
+  }, [fetchForms]);
+
+  const setFilter = (key) => (e) =>
+    setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+
+  function handleClearFilters() {
+    setFilters(EMPTY_FILTERS);
+    loadForms(EMPTY_FILTERS);
+  }
+
+  async function handleSaveForm({ values, file }) {
+    setBusy(true);
+    setError("");
+    try {
+      const payload = { ...values };
+      if (file) {
+        const { url } = await uploadPdf(file);
+        payload.fileUrl = url;
+      }
+      if (dialog?.initial) await updateForm(dialog.initial.id, payload);
+      else await createForm(payload);
+      setDialog(null);
+      await loadForms();
+    } catch (err) {
+      console.error(err);
+      setError(err?.response?.data?.error || "Failed to save form");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleImportFiles(e) {
+    const files = Array.from(e.target.files || []);
+    if (importInputRef.current) importInputRef.current.value = "";
+    if (!files.length) return;
+    setBusy(true);
+    setError("");
+    try {
+      setImportError("");
+      setStagedImport(await importForms(files));
+    } catch (err) {
+      console.error(err);
+      setError(err?.response?.data?.error || "Import upload failed");
+    } finally {
+      setBusy(false);
     }
+  }
 
+  async function handleCommitImport(payload) {
     setBusy(true);
+    setImportError("");
+    try {
+      await commitImport(stagedImport.id, payload);
+      setStagedImport(null);
+      await loadForms();
+    } catch (err) {
+      console.error(err);
+      const data = err?.response?.data;
+      setImportError(
+        [data?.error || "Import failed", ...(data?.details || [])].join(" — ")
+      );
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleDiscardImport() {
+    try {
+      await discardImport(stagedImport.id);
+    } catch (err) {
+      console.error(err);
+    }
+    setStagedImport(null);
+  }
+
+  async function handleWorkflow(form, action) {
     setError("");
+    try {
+      if (action === "reject") {
+        const remark = window.prompt(`Reject remark for "${form.title}":`);
+        if (remark === null) return;
+        if (!remark.trim()) {
+          setError("A reject remark is required");
+          return;
+        }
+        await rejectForm(form.id, remark);
+      } else if (action === "approve") {
+        await approveForm(form.id);
+      } else {
+        await submitForm(form.id);
+      }
+      await loadForms();
+    } catch (err) {
+      console.error(err);
+      setError(err?.response?.data?.error || `Failed to ${action} form`);
+    }
+  }
 
+  async function handleDeleteForm(form) {
+    if (!window.confirm(`Delete "${form.title}" (${form.referenceNo})?`)) return;
+    try {
+      await deleteForm(form.id);
+      await loadForms();
+    } catch (err) {
+      console.error(err);
+      setError(err?.response?.data?.error || "Failed to delete form");
+    }
+  }
+
+  // Start a new filled copy of the form's approved revision
+  async function handleStartFill(form) {
+    const remembered = localStorage.getItem("pdfFiller.filledBy") || "";
+    const filledBy = window.prompt("Filled by (name / rank):", remembered);
+    if (filledBy === null) return;
+    if (!filledBy.trim()) {
+      setError("Please enter who is filling the form");
+      return;
+    }
+    localStorage.setItem("pdfFiller.filledBy", filledBy.trim());
+    setBusy(true);
+    setError("");
     try {
-      const { absoluteUrl } = await uploadPdf(file);
-      setServerUrl(absoluteUrl); // go to "next page" (PDF view)
+      setSubmission(await createSubmission(form.id, filledBy.trim()));
     } catch (err) {
       console.error(err);
-      setError(err?.response?.data?.error || "Upload failed");
+      setError(err?.response?.data?.error || "Failed to start form");
     } finally {
       setBusy(false);
-      // reset so choosing same file again triggers onChange
-      if (fileInputRef.current) fileInputRef.current.value = "";
     }
   }
 
+  // URL of the submission's last flattened PDF, falling back to the template
+  async function currentSubmissionPdfUrl() {
+    try {
+      const state = await loadDoc(submission.docId);
+      if (state?.pdfUrl) return absoluteUrl(state.pdfUrl);
+    } catch (err) {
+      console.error(err);
+    }
+    return absoluteUrl(submission.templateUrl);
+  }
+
+  async function handleSaveFields(fields) {
+    const { form, rev } = designing;
+    const updated = await saveRevisionFields(form.id, rev.revision, fields);
+    setDesigning((prev) => ({ ...prev, rev: updated.revisions.find((r) => r.revision === rev.revision) }));
+    loadForms();
+  }
+
   // Download current PDF as "draft"
   async function handleSaveDraft() {
-    if (!serverUrl) {
+    if (!submission) {
       alert("No PDF loaded to save.");
       return;
     }
     try {
-      const res = await fetch(serverUrl);
-      const blob = await res.blob();
+      if (submission.status === "DRAFT") {
+        setSubmission(await updateSubmission(submission.id, { status: "DRAFT" }));
+      }
+      // The draft stays editable; only the downloaded copy has the overlays drawn in
+      const blob = editorRef.current
+        ? new Blob([await editorRef.current.flattenPdf()], { type: "application/pdf" })
+        : await fetch(await currentSubmissionPdfUrl()).then((res) => res.blob());
       const url = URL.createObjectURL(blob);
 
       const a = document.createElement("a");
@@ -60,14 +256,18 @@ export default function App() {
 
   // Share current PDF link (WhatsApp / Email / native share)
   async function handleSubmitShare() {
-    if (!serverUrl) {
+    if (!submission) {
       alert("No PDF loaded to share.");
       return;
     }
 
-    const shareUrl = serverUrl;
+    let shareUrl = absoluteUrl(submission.templateUrl);
 
     try {
+      // Flatten and store the filled PDF first so the submission records its bytes
+      const flattened = await editorRef.current?.saveFlattenedPdf();
+      setSubmission(await updateSubmission(submission.id, { status: "SUBMITTED" }));
+      shareUrl = flattened ? absoluteUrl(flattened.url) : await currentSubmissionPdfUrl();
       if (navigator.share) {
         // Native share sheet (mobile, some desktops)
         await navigator.share({
@@ -102,19 +302,8 @@ export default function App() {
     }
   }
 
-  // Common hidden file input used by ADD / Change PDF
-  const fileInput = (
-    <input
-      ref={fileInputRef}
-      type="file"
-      accept="application/pdf"
-      style={{ display: "none" }}
-      onChange={handleFile}
-    />
-  );
-
-  const openFilePicker = () => {
-    if (!busy) fileInputRef.current?.click();
+  const openAddDialog = () => {
+    if (!busy) setDialog({ initial: null });
   };
 
   return (
@@ -131,11 +320,8 @@ export default function App() {
         gap: 16,
       }}
     >
-      {/* Hidden input at top-level */}
-      {fileInput}
-
       {/* ---------- PAGE 1: FORMS MASTER ---------- */}
-      {!serverUrl && (
+      {!submission && !designing && (
         <>
           {/* Top bar: title + ADD button */}
           <div
@@ -151,8 +337,34 @@ export default function App() {
               FORMS MASTER
             </h2>
             <div style={{ flex: 1 }} />
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/pdf,application/zip,.zip,.pdf"
+              multiple
+              style={{ display: "none" }}
+              onChange={handleImportFiles}
+            />
+            <button
+              onClick={() => !busy && importInputRef.current?.click()}
+              disabled={busy}
+              title="Upload a zip or several PDFs; form numbers are read from the filenames"
+              style={{
+                padding: "8px 24px",
+                borderRadius: 20,
+                border: "2px solid #007bff",
+                backgroundColor: "#fff",
+                color: "#007bff",
+                fontWeight: 600,
+                cursor: busy ? "not-allowed" : "pointer",
+                fontSize: 14,
+                whiteSpace: "nowrap",
+              }}
+            >
+              {busy && !dialog ? "UPLOADING..." : "BULK IMPORT"}
+            </button>
             <button
-              onClick={openFilePicker}
+              onClick={openAddDialog}
               disabled={busy}
               style={{
                 padding: "8px 24px",
@@ -167,7 +379,7 @@ export default function App() {
                 whiteSpace: "nowrap",
               }}
             >
-              {busy ? "UPLOADING..." : "ADD"}
+              ADD
             </button>
           </div>
 
@@ -195,7 +407,7 @@ export default function App() {
               FILTER
             </div>
 
-            {/* Filter form (static for now) */}
+            {/* Filter form */}
             <div style={{ display: "grid", rowGap: 12, marginBottom: 16 }}>
               {/* Row 1 */}
               <div
@@ -208,12 +420,30 @@ export default function App() {
                 <FilterSelect
                   label="SELECT COMPANY"
                   placeholder="-SELECT COMPANY-"
+                  options={filterOptions.company}
+                  value={filters.company}
+                  onChange={setFilter("company")}
+                />
+                <FilterSelect
+                  label="RELATED TO"
+                  placeholder="-RELATED TO-"
+                  options={filterOptions.relatedTo}
+                  value={filters.relatedTo}
+                  onChange={setFilter("relatedTo")}
+                />
+                <FilterSelect
+                  label="TYPE"
+                  placeholder="-TYPE-"
+                  options={filterOptions.type}
+                  value={filters.type}
+                  onChange={setFilter("type")}
                 />
-                <FilterSelect label="RELATED TO" placeholder="-RELATED TO-" />
-                <FilterSelect label="TYPE" placeholder="-TYPE-" />
                 <FilterSelect
                   label="DEPARTMENT"
                   placeholder="-DEPARTMENT-"
+                  options={filterOptions.department}
+                  value={filters.department}
+                  onChange={setFilter("department")}
                 />
               </div>
 
@@ -228,10 +458,28 @@ export default function App() {
                 <FilterSelect
                   label="ACTIVE STATUS"
                   placeholder="-ACTIVE STATUS-"
+                  options={["ACTIVE", "INACTIVE"]}
+                  value={filters.activeStatus}
+                  onChange={setFilter("activeStatus")}
+                />
+                <FilterInput
+                  label="FORM NO"
+                  placeholder="FORM NO"
+                  value={filters.formNo}
+                  onChange={setFilter("formNo")}
+                />
+                <FilterInput
+                  label="REVISION FROM DATE"
+                  type="date"
+                  value={filters.revisionFrom}
+                  onChange={setFilter("revisionFrom")}
+                />
+                <FilterInput
+                  label="REVISION TO DATE"
+                  type="date"
+                  value={filters.revisionTo}
+                  onChange={setFilter("revisionTo")}
                 />
-                <FilterInput label="FORM NO" placeholder="FORM NO" />
-                <FilterInput label="REVISION FROM DATE" type="date" />
-                <FilterInput label="REVISION TO DATE" type="date" />
               </div>
             </div>
 
@@ -245,7 +493,8 @@ export default function App() {
               }}
             >
               <button
-                disabled
+                onClick={() => loadForms()}
+                disabled={loadingForms}
                 style={{
                   padding: "8px 24px",
                   borderRadius: 20,
@@ -253,14 +502,15 @@ export default function App() {
                   backgroundColor: "#007bff",
                   color: "#fff",
                   fontWeight: 600,
-                  cursor: "not-allowed",
+                  cursor: loadingForms ? "not-allowed" : "pointer",
                   flexShrink: 0,
                 }}
               >
-                SEARCH
+                {loadingForms ? "SEARCHING..." : "SEARCH"}
               </button>
               <button
-                disabled
+                onClick={handleClearFilters}
+                disabled={loadingForms}
                 style={{
                   padding: "8px 24px",
                   borderRadius: 20,
@@ -268,7 +518,7 @@ export default function App() {
                   backgroundColor: "#007bff",
                   color: "#fff",
                   fontWeight: 600,
-                  cursor: "not-allowed",
+                  cursor: loadingForms ? "not-allowed" : "pointer",
                   flexShrink: 0,
                 }}
               >
@@ -276,7 +526,7 @@ export default function App() {
               </button>
             </div>
 
-            {/* Static table (mock data) */}
+            {/* Forms table */}
             <div style={{ overflowX: "auto", width: "100%" }}>
               <table
                 style={{
@@ -302,40 +552,94 @@ export default function App() {
                   </tr>
                 </thead>
                 <tbody>
-                  {/* Row 1 */}
-                  <tr>
-                    <td style={tdStyle}>COMMON FOR ALL</td>
-                    <td style={tdStyle}>SHIP</td>
-                    <td style={tdStyle}>DECK</td>
-                    <td style={tdStyle}>CHECKLIST</td>
-                    <td style={tdStyle}>INDEX</td>
-                    <td style={tdStyle}>00- INDEX</td>
-                    <td style={tdStyle}>01-AUG-2025</td>
-                    <td style={tdStyle}>00- INDEX</td>
-                    <td style={tdStyle}>NA</td>
-                    <td style={tdStyle}>APPROVED</td>
-                    <td style={tdStyle}>
-                      <button style={editButtonStyle}>EDIT</button>
-                    </td>
-                  </tr>
-                  {/* Row 2 */}
-                  <tr>
-                    <td style={tdStyle}>COMMON FOR ALL</td>
-                    <td style={tdStyle}>SHIP</td>
-                    <td style={tdStyle}>ENGINE</td>
-                    <td style={tdStyle}>CHECKLIST</td>
-                    <td style={tdStyle}>WATCH KEEPING ENGINE</td>
-                    <td style={tdStyle}>01-ENG/01/WKE</td>
-                    <td style={tdStyle}>01-AUG-2025</td>
-                    <td style={tdStyle}>
-                      01- ENG 01 - WATCH KEEPING ENGINE
-                    </td>
-                    <td style={tdStyle}>NA</td>
-                    <td style={tdStyle}>APPROVED</td>
-                    <td style={tdStyle}>
-                      <button style={editButtonStyle}>EDIT</button>
-                    </td>
-                  </tr>
+                  {!forms.length && (
+                    <tr>
+                      <td style={{ ...tdStyle, color: "#888" }} colSpan={11}>
+                        {loadingForms ? "Loading..." : "No forms found"}
+                      </td>
+                    </tr>
+                  )}
+                  {forms.map((form) => (
+                    <tr key={form.id}>
+                      <td style={tdStyle}>{form.company}</td>
+                      <td style={tdStyle}>{form.relatedTo}</td>
+                      <td style={tdStyle}>{form.department}</td>
+                      <td style={tdStyle}>{form.type}</td>
+                      <td style={tdStyle}>{form.title}</td>
+                      <td style={tdStyle}>{form.referenceNo}</td>
+                      <td style={tdStyle}>{formatDate(form.effectiveDate)}</td>
+                      <td style={tdStyle}>{form.remark}</td>
+                      <td
+                        style={{
+                          ...tdStyle,
+                          color: form.rejectRemark ? "crimson" : undefined,
+                          whiteSpace: form.rejectRemark ? "normal" : "nowrap",
+                        }}
+                      >
+                        {form.rejectRemark || "NA"}
+                      </td>
+                      <td style={tdStyle}>{form.status}</td>
+                      <td style={{ ...tdStyle, display: "flex", gap: 4 }}>
+                        <button
+                          style={editButtonStyle}
+                          onClick={() => setDialog({ initial: form })}
+                        >
+                          EDIT
+                        </button>
+                        <button
+                          style={editButtonStyle}
+                          onClick={() => setRevisionsFor(form)}
+                        >
+                          REVISIONS
+                        </button>
+                        {(form.status === "DRAFT" || form.status === "REJECTED") && (
+                          <button
+                            style={editButtonStyle}
+                            onClick={() => handleWorkflow(form, "submit")}
+                          >
+                            SUBMIT
+                          </button>
+                        )}
+                        {form.status === "SUBMITTED" && (
+                          <>
+                            <button
+                              style={{ ...editButtonStyle, borderColor: "#28a745", color: "#28a745" }}
+                              onClick={() => handleWorkflow(form, "approve")}
+                            >
+                              APPROVE
+                            </button>
+                            <button
+                              style={{ ...editButtonStyle, borderColor: "crimson", color: "crimson" }}
+                              onClick={() => handleWorkflow(form, "reject")}
+                            >
+                              REJECT
+                            </button>
+                          </>
+                        )}
+                        {/* only the approved, active revision can be filled */}
+                        <button
+                          style={editButtonStyle}
+                          disabled={busy || form.activeRevision == null || !form.fileUrl}
+                          title={form.activeRevision == null ? "No approved revision yet" : undefined}
+                          onClick={() => handleStartFill(form)}
+                        >
+                          FILL
+                        </button>
+                        <button
+                          style={editButtonStyle}
+                          onClick={() => setSubmissionsFor(form)}
+                        >
+                          SUBMISSIONS
+                        </button>
+                        <button
+                          style={{ ...editButtonStyle, borderColor: "crimson", color: "crimson" }}
+                          onClick={() => handleDeleteForm(form)}
+                        >
+                          DELETE
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
                 </tbody>
               </table>
             </div>
@@ -346,13 +650,90 @@ export default function App() {
               </p>
             )}
           </div>
+
+          {dialog && (
+            <FormDialog
+              initial={dialog.initial}
+              options={filterOptions}
+              busy={busy}
+              onSave={handleSaveForm}
+              onCancel={() => setDialog(null)}
+            />
+          )}
+
+          {revisionsFor && (
+            <RevisionHistory
+              form={revisionsFor}
+              onClose={() => setRevisionsFor(null)}
+              onChanged={() => loadForms()}
+              onDesignFields={(rev, readOnly) => {
+                setDesigning({ form: revisionsFor, rev, readOnly });
+                setRevisionsFor(null);
+              }}
+            />
+          )}
+
+          {submissionsFor && (
+            <SubmissionsList
+              form={submissionsFor}
+              onClose={() => setSubmissionsFor(null)}
+              onOpen={(sub) => {
+                setSubmissionsFor(null);
+                setSubmission(sub);
+              }}
+            />
+          )}
+
+          {stagedImport && (
+            <ImportReview
+              staged={stagedImport}
+              busy={busy}
+              error={importError}
+              onCommit={handleCommitImport}
+              onCancel={handleDiscardImport}
+            />
+          )}
+        </>
+      )}
+
+      {/* ---------- FIELD DESIGNER (FULL PAGE) ---------- */}
+      {designing && (
+        <>
+          <h2 style={{ margin: 0, fontWeight: 600, fontSize: 20 }}>
+            {designing.form.referenceNo} {designing.form.title} · REV{" "}
+            {String(designing.rev.revision).padStart(2, "0")} FIELDS
+          </h2>
+          <div
+            className="pdf-wrapper-container"
+            style={{
+              flex: 1,
+              width: "100%",
+              minHeight: 0,
+              backgroundColor: "#fff",
+              borderRadius: 4,
+              border: "1px solid #e0e0e0",
+              padding: 8,
+              boxSizing: "border-box",
+              overflow: "auto",
+            }}
+          >
+            <PdfEditor
+              key={`${designing.form.id}-${designing.rev.revision}`}
+              mode="design"
+              fileUrl={absoluteUrl(designing.rev.fileUrl)}
+              templateFields={designing.rev.fields || []}
+              readOnly={designing.readOnly}
+              onSaveFields={handleSaveFields}
+              onClose={() => setDesigning(null)}
+            />
+          </div>
         </>
       )}
 
       {/* ---------- PAGE 2: PDF EDITOR (FULL PAGE) ---------- */}
-      {serverUrl && (
+      {submission && (
         <>
-          {/* Top bar: back + title + change PDF */}
+          {/* Top bar: back + title + submission info */}
           <div
             style={{
               display: "flex",
@@ -363,7 +744,10 @@ export default function App() {
             }}
           >
             <button
-              onClick={() => setServerUrl(null)}
+              onClick={() => {
+                setSubmission(null);
+                loadForms();
+              }}
               style={{
                 padding: "6px 14px",
                 borderRadius: 4,
@@ -376,25 +760,14 @@ export default function App() {
               ← Back
             </button>
             <h2 style={{ margin: 0, fontWeight: 600, fontSize: 20 }}>
-              PDF EDITOR
+              {submission.referenceNo} {submission.title}
             </h2>
             <div style={{ flex: 1 }} />
-            <button
-              onClick={openFilePicker}
-              disabled={busy}
-              style={{
-                padding: "8px 20px",
-                borderRadius: 20,
-                border: "none",
-                backgroundColor: "#007bff",
-                color: "#fff",
-                fontWeight: 600,
-                cursor: busy ? "not-allowed" : "pointer",
-                whiteSpace: "nowrap",
-              }}
-            >
-              {busy ? "UPLOADING..." : "CHANGE PDF"}
-            </button>
+            <div style={{ fontSize: 12, color: "#555", textAlign: "right" }}>
+              REV {String(submission.revision).padStart(2, "0")} · FILLED BY {submission.filledBy}
+              <br />
+              {submission.status} · UPDATED {new Date(submission.updatedAt).toLocaleString()}
+            </div>
           </div>
 
           {/* Save as Draft / Submit buttons row */}
@@ -462,7 +835,13 @@ export default function App() {
               overflow: "auto",
             }}
           >
-            <PdfEditor fileUrl={serverUrl} />
+            <PdfEditor
+              key={submission.docId}
+              ref={editorRef}
+              fileUrl={absoluteUrl(submission.templateUrl)}
+              docId={submission.docId}
+              templateFields={submission.templateFields}
+            />
           </div>
         </>
       )}
@@ -471,7 +850,7 @@ export default function App() {
 }
 
 /* Small helper components for filter fields */
-function FilterSelect({ label, placeholder }) {
+function FilterSelect({ label, placeholder, options = [], value, onChange }) {
   return (
     <div>
       <label
@@ -485,7 +864,8 @@ function FilterSelect({ label, placeholder }) {
         {label}
       </label>
       <select
-        disabled
+        value={value}
+        onChange={onChange}
         style={{
           width: "100%",
           padding: "6px 8px",
@@ -494,13 +874,18 @@ function FilterSelect({ label, placeholder }) {
           fontSize: 13,
         }}
       >
-        <option>{placeholder}</option>
+        <option value="">{placeholder}</option>
+        {options.map((opt) => (
+          <option key={opt} value={opt}>
+            {opt}
+          </option>
+        ))}
       </select>
     </div>
   );
 }
 
-function FilterInput({ label, placeholder, type = "text" }) {
+function FilterInput({ label, placeholder, type = "text", value, onChange }) {
   return (
     <div>
       <label
@@ -514,9 +899,10 @@ function FilterInput({ label, placeholder, type = "text" }) {
         {label}
       </label>
       <input
-        disabled
         type={type}
         placeholder={placeholder}
+        value={value}
+        onChange={onChange}
         style={{
           width: "100%",
           padding: "6px 8px",
@@ -529,6 +915,15 @@ function FilterInput({ label, placeholder, type = "text" }) {
   );
 }
 
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+// "2025-08-01" -> "01-AUG-2025" (the format the Forms Master screen uses)
+function formatDate(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(iso || "");
+  if (!m) return iso || "";
+  return `${m[3]}-${MONTHS[Number(m[2]) - 1]}-${m[1]}`;
+}
+
 const thStyle = {
   border: "1px solid #ddd",
   padding: "6px 8px",
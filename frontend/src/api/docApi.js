@@ -6,30 +6,40 @@ export async function loadDoc(docId) {
   return await res.json();
 }
 
-export async function saveDoc(docId, state) {
+// `keepalive` lets a save sent while the page unloads complete
+export async function saveDoc(docId, state, { keepalive = false } = {}) {
   const res = await fetch(`${API_BASE}/doc/${encodeURIComponent(docId)}`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(state || {}),
+    keepalive,
   });
   if (!res.ok) throw new Error("Failed to save doc");
   return await res.json();
 }
 
+// Upload rejections carry { error, code } (e.g. PDF_ENCRYPTED); surface them
+async function uploadError(res, fallback) {
+  const body = await res.json().catch(() => ({}));
+  const err = new Error(body.error || fallback);
+  err.code = body.code;
+  return err;
+}
+
 export async function uploadPdfBlob(file) {
   const form = new FormData();
   form.append('file', file, 'edited.pdf');
   const res = await fetch(`${API_BASE}/api/files/upload`, { method: 'POST', body: form });
-  if (!res.ok) throw new Error('Upload failed');
-  return await res.json(); // { url }
+  if (!res.ok) throw await uploadError(res, 'Upload failed');
+  return await res.json(); // { url, hash, existing }
 }
 
 export async function uploadImageBlob(file) {
   const form = new FormData();
   form.append('file', file, file.name || 'image.jpg');
   const res = await fetch(`${API_BASE}/api/files/upload`, { method: 'POST', body: form });
-  if (!res.ok) throw new Error('Image upload failed');
-  return await res.json(); // { url }
+  if (!res.ok) throw await uploadError(res, 'Image upload failed');
+  return await res.json(); // { url, hash, existing }
 }
 
 
@@ -0,0 +1,311 @@
+import { useState } from "react";
+import { TEMPLATE_FIELD_ALIGN, TEMPLATE_FIELD_TYPES } from "@shared/pdf/templateFields";
+
+/*
+ * Designer mode of PdfEditor: an admin draws the fill fields of a flat
+ * template on each page. Geometry is kept in PDF points (top-left origin) and
+ * shown at `scale`; see shared/pdf/templateFields.js for the stored shape.
+ */
+
+const MIN_SIZE = 4; // points; smaller drags are treated as clicks
+
+// Mouse drag in points relative to the start position
+function trackDrag(e, scale, onMove, onEnd) {
+  const startX = e.clientX, startY = e.clientY;
+  const move = (ev) => onMove((ev.clientX - startX) / scale, (ev.clientY - startY) / scale);
+  const up = (ev) => {
+    window.removeEventListener("mousemove", move);
+    window.removeEventListener("mouseup", up);
+    onEnd?.((ev.clientX - startX) / scale, (ev.clientY - startY) / scale);
+  };
+  window.addEventListener("mousemove", move);
+  window.addEventListener("mouseup", up);
+}
+
+/**
+ * Field regions of one page. Drag on empty space to draw a field, drag a
+ * field to move it, its corner handle to resize it. Read-only without onAdd.
+ * `suggestions` (shared/pdf/fieldSuggestions.js) are shown dashed with
+ * accept/reject buttons.
+ */
+export function FieldDesignLayer({
+  fields,
+  scale,
+  selectedId,
+  onSelect,
+  onAdd,
+  onChange,
+  suggestions = [],
+  onAcceptSuggestion,
+  onRejectSuggestion,
+}) {
+  const [draft, setDraft] = useState(null); // { left, top, width, height } while drawing
+  const readOnly = !onAdd;
+
+  function startDraw(e) {
+    if (readOnly || e.button !== 0) return;
+    e.preventDefault();
+    onSelect(null);
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x0 = (e.clientX - rect.left) / scale;
+    const y0 = (e.clientY - rect.top) / scale;
+    const box = (dx, dy) => ({
+      left: Math.min(x0, x0 + dx),
+      top: Math.min(y0, y0 + dy),
+      width: Math.abs(dx),
+      height: Math.abs(dy),
+    });
+    trackDrag(e, scale, (dx, dy) => setDraft(box(dx, dy)), (dx, dy) => {
+      setDraft(null);
+      const next = box(dx, dy);
+      if (next.width >= MIN_SIZE && next.height >= MIN_SIZE) onAdd(next);
+    });
+  }
+
+  function startMove(e, field) {
+    e.stopPropagation();
+    onSelect(field.id);
+    if (readOnly) return;
+    e.preventDefault();
+    trackDrag(e, scale, (dx, dy) => onChange(field.id, { left: field.left + dx, top: field.top + dy }));
+  }
+
+  function startResize(e, field) {
+    e.stopPropagation();
+    e.preventDefault();
+    trackDrag(e, scale, (dx, dy) =>
+      onChange(field.id, {
+        width: Math.max(MIN_SIZE, field.width + dx),
+        height: Math.max(MIN_SIZE, field.height + dy),
+      })
+    );
+  }
+
+  return (
+    <div style={{ ...layerStyle, cursor: readOnly ? "default" : "crosshair" }} onMouseDown={startDraw}>
+      {fields.map((field) => {
+        const selected = field.id === selectedId;
+        return (
+          <div
+            key={field.id}
+            title={`${field.name} (${field.type})`}
+            onMouseDown={(e) => startMove(e, field)}
+            style={{
+              ...fieldStyle,
+              left: field.left * scale,
+              top: field.top * scale,
+              width: field.width * scale,
+              height: field.height * scale,
+              borderColor: selected ? "#d32f2f" : "#1976d2",
+              backgroundColor: selected ? "rgba(211,47,47,0.12)" : "rgba(25,118,210,0.12)",
+              cursor: readOnly ? "pointer" : "move",
+            }}
+          >
+            <span style={labelStyle}>{field.name}</span>
+            {selected && !readOnly && <div style={handleStyle} onMouseDown={(e) => startResize(e, field)} />}
+          </div>
+        );
+      })}
+      {suggestions.map((suggestion) => (
+        <div
+          key={suggestion.id}
+          title={`Suggested ${suggestion.type} (${suggestion.source})`}
+          onMouseDown={(e) => e.stopPropagation()}
+          style={{
+            ...fieldStyle,
+            ...suggestionStyle,
+            left: suggestion.left * scale,
+            top: suggestion.top * scale,
+            width: suggestion.width * scale,
+            height: suggestion.height * scale,
+          }}
+        >
+          <div style={suggestionActionsStyle}>
+            <button title="Accept" style={suggestionButtonStyle} onClick={() => onAcceptSuggestion(suggestion.id)}>
+              ✓
+            </button>
+            <button title="Reject" style={suggestionButtonStyle} onClick={() => onRejectSuggestion(suggestion.id)}>
+              ✗
+            </button>
+          </div>
+        </div>
+      ))}
+      {draft && (
+        <div
+          style={{
+            ...fieldStyle,
+            left: draft.left * scale,
+            top: draft.top * scale,
+            width: draft.width * scale,
+            height: draft.height * scale,
+            borderStyle: "dashed",
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Toolbar of the designer: type of the next field, properties of the
+ * selected one, and save/close.
+ */
+export function FieldDesignPanel({
+  field,
+  count,
+  newType,
+  onNewTypeChange,
+  onChange,
+  onDelete,
+  onSave,
+  onClose,
+  saving,
+  error,
+  readOnly,
+  suggestionCount,
+  suggesting,
+  onSuggest,
+  onAcceptAll,
+  onRejectAll,
+}) {
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8, fontSize: 13 }}>
+      <strong>{readOnly ? "Fields (read-only)" : "Design fields"}</strong>
+      <span style={{ color: "#555" }}>{count} field(s)</span>
+      {!readOnly && (
+        <label>
+          New:{" "}
+          <select value={newType} onChange={(e) => onNewTypeChange(e.target.value)}>
+            {TEMPLATE_FIELD_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {!readOnly && (
+        <button onClick={onSuggest} disabled={suggesting} title="Propose fields from boxes, lines and ___ runs">
+          {suggesting ? "Detecting..." : "Suggest fields"}
+        </button>
+      )}
+      {suggestionCount > 0 && (
+        <>
+          <span style={{ color: "#e65100" }}>{suggestionCount} suggestion(s)</span>
+          <button onClick={onAcceptAll}>Accept all</button>
+          <button onClick={onRejectAll}>Reject all</button>
+        </>
+      )}
+      {field && (
+        <>
+          <input
+            value={field.name}
+            disabled={readOnly}
+            onChange={(e) => onChange({ name: e.target.value })}
+            style={{ width: 140 }}
+            title="Field name"
+          />
+          <select value={field.type} disabled={readOnly} onChange={(e) => onChange({ type: e.target.value })} title="Type">
+            {TEMPLATE_FIELD_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min={4}
+            max={72}
+            value={field.fontSize}
+            disabled={readOnly}
+            onChange={(e) => onChange({ fontSize: Number(e.target.value) || field.fontSize })}
+            style={{ width: 56 }}
+            title="Font size"
+          />
+          <select value={field.align} disabled={readOnly} onChange={(e) => onChange({ align: e.target.value })} title="Alignment">
+            {TEMPLATE_FIELD_ALIGN.map((align) => (
+              <option key={align} value={align}>
+                {align}
+              </option>
+            ))}
+          </select>
+          {field.type === "dropdown" && (
+            <input
+              value={(field.options || []).join(", ")}
+              disabled={readOnly}
+              onChange={(e) => onChange({ options: e.target.value.split(",").map((opt) => opt.trimStart()) })}
+              placeholder="Options, comma separated"
+              style={{ width: 200 }}
+            />
+          )}
+          {!readOnly && <button onClick={onDelete}>Delete field</button>}
+        </>
+      )}
+      <span style={{ flex: 1 }} />
+      {error && <span style={{ color: "crimson" }}>{error}</span>}
+      {!readOnly && (
+        <button onClick={onSave} disabled={saving} style={{ backgroundColor: "#007bff", color: "#fff", border: "none" }}>
+          {saving ? "SAVING..." : "SAVE FIELDS"}
+        </button>
+      )}
+      <button onClick={onClose}>CLOSE</button>
+    </div>
+  );
+}
+
+const layerStyle = {
+  position: "absolute",
+  inset: 0,
+  zIndex: 60,
+};
+
+const fieldStyle = {
+  position: "absolute",
+  boxSizing: "border-box",
+  border: "1px solid #1976d2",
+};
+
+const suggestionStyle = {
+  border: "1px dashed #e65100",
+  backgroundColor: "rgba(230,81,0,0.08)",
+};
+
+const suggestionActionsStyle = {
+  position: "absolute",
+  right: 0,
+  top: -16,
+  display: "flex",
+  gap: 2,
+};
+
+const suggestionButtonStyle = {
+  padding: "0 4px",
+  fontSize: 10,
+  lineHeight: "14px",
+  cursor: "pointer",
+};
+
+const labelStyle = {
+  position: "absolute",
+  left: 2,
+  top: 0,
+  fontSize: 10,
+  lineHeight: "12px",
+  color: "#0d47a1",
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  maxWidth: "100%",
+  pointerEvents: "none",
+};
+
+const handleStyle = {
+  position: "absolute",
+  right: -5,
+  bottom: -5,
+  width: 10,
+  height: 10,
+  backgroundColor: "#d32f2f",
+  border: "2px solid white",
+  borderRadius: "50%",
+  cursor: "nwse-resize",
+};
@@ -0,0 +1,147 @@
+import { useState } from "react";
+
+const EMPTY_FORM = {
+  company: "",
+  relatedTo: "",
+  department: "",
+  type: "",
+  title: "",
+  referenceNo: "",
+  effectiveDate: "",
+  remark: "",
+  active: true,
+};
+
+/*
+ * Create / edit dialog for a Forms Master entry.
+ * `initial` is the form being edited (null when adding). `onSave` receives
+ * ({ values, file }) where file is the template PDF picked when adding.
+ * The PDF and effective date of an existing form change through revisions.
+ */
+export default function FormDialog({ initial, options = {}, busy, onSave, onCancel }) {
+  const [values, setValues] = useState(() => ({ ...EMPTY_FORM, ...(initial || {}) }));
+  const [file, setFile] = useState(null);
+
+  const set = (key) => (e) => {
+    const val = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setValues((prev) => ({ ...prev, [key]: val }));
+  };
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave({ values, file });
+  }
+
+  return (
+    <div style={backdropStyle}>
+      <form onSubmit={handleSubmit} style={dialogStyle}>
+        <h3 style={{ margin: "0 0 12px", fontSize: 16 }}>
+          {initial ? "EDIT FORM" : "ADD FORM"}
+        </h3>
+
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+            gap: 12,
+          }}
+        >
+          <DialogField label="COMPANY" required value={values.company} onChange={set("company")} list="opt-company" />
+          <DialogField label="RELATED TO" required value={values.relatedTo} onChange={set("relatedTo")} list="opt-relatedTo" />
+          <DialogField label="DEPARTMENT" required value={values.department} onChange={set("department")} list="opt-department" />
+          <DialogField label="TYPE" required value={values.type} onChange={set("type")} list="opt-type" />
+          <DialogField label="TITLE" required value={values.title} onChange={set("title")} />
+          <DialogField label="REFERENCE NO" required value={values.referenceNo} onChange={set("referenceNo")} />
+          {!initial && (
+            <DialogField label="EFFECTIVE DATE" type="date" value={values.effectiveDate} onChange={set("effectiveDate")} />
+          )}
+          <DialogField label="REMARK" value={values.remark} onChange={set("remark")} />
+        </div>
+
+        {/* Suggestions from existing entries so values stay consistent */}
+        {["company", "relatedTo", "department", "type"].map((key) => (
+          <datalist key={key} id={`opt-${key}`}>
+            {(options[key] || []).map((v) => (
+              <option key={v} value={v} />
+            ))}
+          </datalist>
+        ))}
+
+        <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 12, fontSize: 12, fontWeight: 600 }}>
+          <input type="checkbox" checked={!!values.active} onChange={set("active")} />
+          ACTIVE
+        </label>
+
+        {!initial && (
+          <label style={{ display: "block", marginTop: 12, fontSize: 12, fontWeight: 600 }}>
+            TEMPLATE PDF
+            <input
+              type="file"
+              accept="application/pdf"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              style={{ display: "block", marginTop: 4 }}
+            />
+          </label>
+        )}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 16 }}>
+          <button type="button" onClick={onCancel} disabled={busy}>
+            CANCEL
+          </button>
+          <button
+            type="submit"
+            disabled={busy}
+            style={{ backgroundColor: "#007bff", color: "#fff", border: "none", fontWeight: 600 }}
+          >
+            {busy ? "SAVING..." : "SAVE"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function DialogField({ label, required, type = "text", ...inputProps }) {
+  return (
+    <label style={{ display: "block", fontSize: 12, fontWeight: 600 }}>
+      {label}
+      {required && <span style={{ color: "crimson" }}> *</span>}
+      <input
+        type={type}
+        required={required}
+        {...inputProps}
+        style={{
+          display: "block",
+          width: "100%",
+          marginTop: 4,
+          padding: "6px 8px",
+          borderRadius: 4,
+          border: "1px solid #ccc",
+          fontSize: 13,
+        }}
+      />
+    </label>
+  );
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  backgroundColor: "rgba(0,0,0,0.35)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  zIndex: 100,
+  padding: 16,
+};
+
+const dialogStyle = {
+  width: "100%",
+  maxWidth: 720,
+  maxHeight: "90vh",
+  overflowY: "auto",
+  backgroundColor: "#fff",
+  borderRadius: 6,
+  padding: 20,
+  boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+};
@@ -0,0 +1,135 @@
+/*
+ * HTML inputs over the fields of one page: the template's own AcroForm
+ * widgets (detectFormFields) or admin-defined template fields, both in
+ * points with a top-left origin. `values` are the doc's entered values,
+ * falling back to the field's own. Template fields carry fontSize/align,
+ * laid out the way shared/pdf/flatten.js draws them.
+ */
+export default function FormFieldLayer({ fields, values, scale, onChange }) {
+  return fields.map((field) => {
+    const value = field.name in values ? values[field.name] : field.value;
+    const box = {
+      position: "absolute",
+      left: field.left * scale,
+      top: field.top * scale,
+      width: field.width * scale,
+      height: field.height * scale,
+      zIndex: 30,
+    };
+    const fontSize = (field.fontSize || Math.max(8, Math.min(12, field.height * 0.65))) * scale;
+    const textStyle = {
+      ...box,
+      ...inputStyle,
+      padding: `0 ${2 * scale}px`,
+      fontSize,
+      textAlign: field.align || "left",
+    };
+    const set = (next) => onChange(field.name, next);
+    // Keep clicks from reaching the page (text tool / double-click quick add)
+    const events = { onClick: stopPropagation, onDoubleClick: stopPropagation };
+
+    switch (field.kind) {
+      case "text":
+        return field.multiline ? (
+          <textarea
+            key={field.id}
+            {...events}
+            value={value}
+            disabled={field.readOnly}
+            onChange={(e) => set(e.target.value)}
+            style={{ ...textStyle, paddingTop: 2 * scale, lineHeight: 1.2, resize: "none" }}
+          />
+        ) : (
+          <input
+            key={field.id}
+            {...events}
+            type="text"
+            value={value}
+            disabled={field.readOnly}
+            onChange={(e) => set(e.target.value)}
+            style={textStyle}
+          />
+        );
+      case "date":
+        return (
+          <input
+            key={field.id}
+            {...events}
+            type="date"
+            value={value}
+            disabled={field.readOnly}
+            onChange={(e) => set(e.target.value)}
+            style={textStyle}
+          />
+        );
+      case "checkbox":
+        return (
+          <input
+            key={field.id}
+            {...events}
+            type="checkbox"
+            checked={!!value}
+            disabled={field.readOnly}
+            onChange={(e) => set(e.target.checked)}
+            style={{ ...box, margin: 0 }}
+          />
+        );
+      case "radio":
+        return (
+          <input
+            key={field.id}
+            {...events}
+            type="radio"
+            name={field.name}
+            checked={value === field.exportValue}
+            disabled={field.readOnly}
+            onChange={() => set(field.exportValue)}
+            style={{ ...box, margin: 0 }}
+          />
+        );
+      case "dropdown":
+        return (
+          <select
+            key={field.id}
+            {...events}
+            value={value}
+            disabled={field.readOnly}
+            onChange={(e) => set(e.target.value)}
+            style={textStyle}
+          >
+            <option value="" />
+            {field.options.map((opt) => (
+              <option key={opt} value={opt}>
+                {opt}
+              </option>
+            ))}
+          </select>
+        );
+      case "signature":
+      case "initials":
+        return (
+          <input
+            key={field.id}
+            {...events}
+            type="text"
+            placeholder={field.kind === "initials" ? "Initials" : "Sign (type name)"}
+            value={value}
+            disabled={field.readOnly}
+            onChange={(e) => set(e.target.value)}
+            style={{ ...textStyle, fontStyle: "italic" }}
+          />
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+const stopPropagation = (e) => e.stopPropagation();
+
+const inputStyle = {
+  boxSizing: "border-box",
+  border: "1px solid rgba(25,118,210,0.5)",
+  backgroundColor: "rgba(232,240,254,0.9)",
+  fontFamily: "Helvetica, Arial, sans-serif",
+};
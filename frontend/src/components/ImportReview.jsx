@@ -0,0 +1,193 @@
+import { useState } from "react";
+
+const STATUS_COLORS = {
+  ok: "#28a745",
+  ambiguous: "#e0a800",
+  error: "crimson",
+};
+
+/*
+ * Review screen for a staged bulk import. Shows what was parsed from each
+ * filename, lets the user correct or skip rows, then commits the rest.
+ * `onCommit` receives ({ defaults, items }) in the shape the commit endpoint takes.
+ */
+export default function ImportReview({ staged, busy, error, onCommit, onCancel }) {
+  const [defaults, setDefaults] = useState({
+    company: "COMMON FOR ALL",
+    relatedTo: "SHIP",
+    type: "CHECKLIST",
+    effectiveDate: "",
+  });
+  // rows start from the parsed values; unparseable files are skipped by default
+  const [rows, setRows] = useState(() =>
+    staged.items.map((item) => ({
+      key: item.key,
+      skip: item.status === "error",
+      title: item.parsed.title,
+      department: item.parsed.department,
+      referenceNo: item.parsed.referenceNo,
+      remark: item.parsed.remark,
+    }))
+  );
+
+  const setDefault = (key) => (e) =>
+    setDefaults((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const setRow = (key, field) => (e) => {
+    const val = e.target.type === "checkbox" ? !e.target.checked : e.target.value;
+    setRows((prev) => prev.map((r) => (r.key === key ? { ...r, [field]: val } : r)));
+  };
+
+  const counts = staged.items.reduce((acc, item) => {
+    acc[item.status] = (acc[item.status] || 0) + 1;
+    return acc;
+  }, {});
+  const included = rows.filter((r) => !r.skip).length;
+
+  return (
+    <div style={backdropStyle}>
+      <div style={dialogStyle}>
+        <h3 style={{ margin: "0 0 4px", fontSize: 16 }}>REVIEW IMPORT</h3>
+        <div style={{ fontSize: 12, color: "#555", marginBottom: 12 }}>
+          {staged.items.length} file(s): {counts.ok || 0} parsed, {counts.ambiguous || 0} need review,{" "}
+          {counts.error || 0} could not be parsed
+        </div>
+
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))",
+            gap: 12,
+            marginBottom: 12,
+          }}
+        >
+          {[
+            ["company", "COMPANY"],
+            ["relatedTo", "RELATED TO"],
+            ["type", "TYPE"],
+          ].map(([key, label]) => (
+            <label key={key} style={labelStyle}>
+              {label}
+              <input value={defaults[key]} onChange={setDefault(key)} style={inputStyle} />
+            </label>
+          ))}
+          <label style={labelStyle}>
+            EFFECTIVE DATE
+            <input type="date" value={defaults.effectiveDate} onChange={setDefault("effectiveDate")} style={inputStyle} />
+          </label>
+        </div>
+
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, minWidth: 800 }}>
+            <thead>
+              <tr style={{ backgroundColor: "#f5f5f5" }}>
+                <th style={thStyle}>IMPORT</th>
+                <th style={thStyle}>FILE</th>
+                <th style={thStyle}>TITLE</th>
+                <th style={thStyle}>DEPARTMENT</th>
+                <th style={thStyle}>REFERENCE NO</th>
+                <th style={thStyle}>REMARK</th>
+                <th style={thStyle}>NOTES</th>
+              </tr>
+            </thead>
+            <tbody>
+              {staged.items.map((item, idx) => {
+                const row = rows[idx];
+                return (
+                  <tr key={item.key} style={{ opacity: row.skip ? 0.5 : 1 }}>
+                    <td style={tdStyle}>
+                      <input type="checkbox" checked={!row.skip} onChange={setRow(item.key, "skip")} />
+                    </td>
+                    <td style={tdStyle}>
+                      <span style={{ color: STATUS_COLORS[item.status], fontWeight: 600 }}>●</span>{" "}
+                      {item.fileName}
+                    </td>
+                    <td style={tdStyle}>
+                      <input value={row.title} onChange={setRow(item.key, "title")} style={inputStyle} />
+                    </td>
+                    <td style={tdStyle}>
+                      <input value={row.department} onChange={setRow(item.key, "department")} style={inputStyle} />
+                    </td>
+                    <td style={tdStyle}>
+                      <input value={row.referenceNo} onChange={setRow(item.key, "referenceNo")} style={inputStyle} />
+                    </td>
+                    <td style={tdStyle}>
+                      <input value={row.remark} onChange={setRow(item.key, "remark")} style={inputStyle} />
+                    </td>
+                    <td style={{ ...tdStyle, whiteSpace: "normal", color: "#8a6d00" }}>
+                      {item.issues.join("; ")}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {error && <p style={{ color: "crimson", fontSize: 12 }}>{error}</p>}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 16 }}>
+          <button type="button" onClick={onCancel} disabled={busy}>
+            DISCARD
+          </button>
+          <button
+            type="button"
+            disabled={busy || !included}
+            onClick={() => onCommit({ defaults, items: rows })}
+            style={{ backgroundColor: "#007bff", color: "#fff", border: "none", fontWeight: 600 }}
+          >
+            {busy ? "IMPORTING..." : `IMPORT ${included} FORM(S)`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  backgroundColor: "rgba(0,0,0,0.35)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  zIndex: 100,
+  padding: 16,
+};
+
+const dialogStyle = {
+  width: "100%",
+  maxWidth: 1100,
+  maxHeight: "90vh",
+  overflowY: "auto",
+  backgroundColor: "#fff",
+  borderRadius: 6,
+  padding: 20,
+  boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+};
+
+const labelStyle = { display: "block", fontSize: 12, fontWeight: 600 };
+
+const inputStyle = {
+  display: "block",
+  width: "100%",
+  marginTop: 2,
+  padding: "4px 6px",
+  borderRadius: 4,
+  border: "1px solid #ccc",
+  fontSize: 12,
+};
+
+const thStyle = {
+  border: "1px solid #ddd",
+  padding: "6px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+};
+
+const tdStyle = {
+  border: "1px solid #eee",
+  padding: "4px 6px",
+  whiteSpace: "nowrap",
+  verticalAlign: "top",
+};
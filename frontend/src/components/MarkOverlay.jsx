@@ -0,0 +1,99 @@
+import { MARK_TYPES, NA_TEXT, markStrokeWidth, markStrokes, naFontSize } from "@shared/pdf/flatten";
+
+/*
+ * Checklist marks (type "mark" in shared/pdf/flatten.js): a tick or cross
+ * drawn with the same strokes as the export, or a bold "N/A".
+ */
+
+const MARK_LABELS = { tick: "✓", cross: "✗", na: "N/A" };
+
+/** One mark; mouse handlers go to the wrapper (move/delete in the editor). */
+export default function MarkOverlay({ mark, scale, onMouseDown, cursor }) {
+  const side = Math.min(mark.width, mark.height);
+  const color = mark.color || "#000000";
+  return (
+    <div
+      title={MARK_LABELS[mark.mark]}
+      onMouseDown={onMouseDown}
+      onClick={stopPropagation}
+      style={{
+        ...markStyle,
+        left: mark.left * scale,
+        top: mark.top * scale,
+        width: mark.width * scale,
+        height: mark.height * scale,
+        cursor,
+      }}
+    >
+      {mark.mark === "na" ? (
+        <span style={{ fontSize: naFontSize(mark.width, mark.height) * scale, color, ...naStyle }}>{NA_TEXT}</span>
+      ) : (
+        <svg width="100%" height="100%" viewBox={`0 0 ${mark.width} ${mark.height}`} style={{ display: "block" }}>
+          {/* Unit-square strokes have a bottom-left origin; flip y for SVG */}
+          <g transform={`translate(${(mark.width - side) / 2} ${(mark.height + side) / 2}) scale(${side} ${-side})`}>
+            {markStrokes(mark.mark).map(([x1, y1, x2, y2], i) => (
+              <line key={i} x1={x1} y1={y1} x2={x2} y2={y2} stroke={color} strokeWidth={markStrokeWidth(side) / side} />
+            ))}
+          </g>
+        </svg>
+      )}
+    </div>
+  );
+}
+
+/** Toolbar choice of the mark the Mark tool places. */
+export function MarkPicker({ value, onChange }) {
+  return (
+    <span style={{ display: "inline-flex", gap: 2, marginLeft: 4 }}>
+      {MARK_TYPES.map((type) => (
+        <button
+          key={type}
+          onClick={() => onChange(type)}
+          title={`Place ${MARK_LABELS[type]}`}
+          style={{ fontWeight: 700, backgroundColor: value === type ? "#1976d2" : "", color: value === type ? "white" : "" }}
+        >
+          {MARK_LABELS[type]}
+        </button>
+      ))}
+    </span>
+  );
+}
+
+/** Click layer of the Mark tool; `onMark({ x, y })` gets the click in points. */
+export function MarkClickLayer({ scale, onMark }) {
+  return (
+    <div
+      style={clickLayerStyle}
+      onDoubleClick={stopPropagation}
+      onClick={(e) => {
+        e.stopPropagation();
+        const rect = e.currentTarget.getBoundingClientRect();
+        onMark({ x: (e.clientX - rect.left) / scale, y: (e.clientY - rect.top) / scale });
+      }}
+    />
+  );
+}
+
+const stopPropagation = (e) => e.stopPropagation();
+
+const markStyle = {
+  position: "absolute",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  zIndex: 36,
+};
+
+const naStyle = {
+  fontFamily: "Helvetica, Arial, sans-serif",
+  fontWeight: 700,
+  whiteSpace: "nowrap",
+  pointerEvents: "none",
+};
+
+const clickLayerStyle = {
+  position: "absolute",
+  inset: 0,
+  zIndex: 70,
+  cursor: "crosshair",
+};
@@ -0,0 +1,207 @@
+import { cloneElement, useState } from "react";
+import {
+  arrowHead,
+  boundsOf,
+  DEFAULT_STROKE_WIDTH,
+  HIGHLIGHT_OPACITY,
+  markupLine,
+  markupLineWidth,
+  markupRects,
+  pointsPath,
+  SHAPE_KINDS,
+  shapeFromPoints,
+  TEXT_MARKUP_KINDS,
+} from "@shared/pdf/markup";
+
+/*
+ * Review markup (types "markup" and "shape", see shared/pdf/markup.js):
+ * highlight/underline/strikeout of text lines and rectangles, ellipses,
+ * lines, arrows and ink, drawn as SVG from the geometry the export uses.
+ */
+
+const KIND_LABELS = {
+  highlight: "Highlight",
+  underline: "Underline",
+  strikeout: "Strikeout",
+  rect: "▭",
+  ellipse: "◯",
+  line: "╱",
+  arrow: "→",
+  ink: "✎",
+};
+const KIND_TITLES = { rect: "Rectangle", ellipse: "Ellipse", line: "Line", arrow: "Arrow", ink: "Freehand ink" };
+
+const MIN_SIZE = 2; // points; smaller shapes are treated as clicks
+
+/**
+ * One markup or shape. When `interactive`, its strokes and fills take the
+ * mouse (move/delete in the editor); otherwise clicks go through to the page.
+ */
+export default function MarkupOverlay({ item, scale, interactive, onMouseDown, cursor }) {
+  return (
+    <svg width={1} height={1} style={svgStyle} onClick={stopPropagation}>
+      <g transform={`scale(${scale})`} style={{ cursor }} onMouseDown={onMouseDown}>
+        <MarkupShapes item={item} hitWidth={interactive ? 8 / scale : 0} />
+      </g>
+    </svg>
+  );
+}
+
+// SVG elements of an item in points. With a `hitWidth`, strokes catch the
+// mouse at least that wide and highlights over their whole area.
+function MarkupShapes({ item, hitWidth = 0 }) {
+  const color = item.color || "#000000";
+  const strokeWidth = item.strokeWidth || DEFAULT_STROKE_WIDTH;
+  const stroke = (key, element, width = strokeWidth) => [
+    cloneElement(element, {
+      key,
+      fill: "none",
+      stroke: color,
+      strokeWidth: width,
+      strokeLinecap: "round",
+      strokeLinejoin: "round",
+    }),
+    hitWidth > 0 &&
+      cloneElement(element, {
+        key: `${key}-hit`,
+        fill: "none",
+        stroke: "transparent",
+        strokeWidth: Math.max(width, hitWidth),
+        pointerEvents: "stroke",
+      }),
+  ];
+
+  if (item.type === "markup") {
+    return (item.rects || []).map((rect, i) => {
+      if (item.kind === "highlight") {
+        return (
+          <rect
+            key={i}
+            x={rect.left}
+            y={rect.top}
+            width={rect.width}
+            height={rect.height}
+            fill={color}
+            opacity={HIGHLIGHT_OPACITY}
+            pointerEvents={hitWidth > 0 ? "visiblePainted" : "none"}
+            style={{ mixBlendMode: "multiply" }}
+          />
+        );
+      }
+      const [x1, y1, x2, y2] = markupLine(item.kind, rect);
+      return stroke(i, <line x1={x1} y1={y1} x2={x2} y2={y2} />, markupLineWidth(rect, item.strokeWidth));
+    });
+  }
+  if (item.kind === "rect") {
+    return stroke("rect", <rect x={item.left} y={item.top} width={item.width} height={item.height} />);
+  }
+  if (item.kind === "ellipse") {
+    const [rx, ry] = [item.width / 2, item.height / 2];
+    return stroke("ellipse", <ellipse cx={item.left + rx} cy={item.top + ry} rx={rx} ry={ry} />);
+  }
+  const points = item.points || [];
+  if (points.length < 2) return null;
+  const paths = [pointsPath(points, item.left, item.top)];
+  if (item.kind === "arrow") {
+    const [[x1, y1], [x2, y2]] = points.slice(-2);
+    for (const [hx1, hy1, hx2, hy2] of arrowHead(x1, y1, x2, y2, strokeWidth)) {
+      paths.push(pointsPath([[hx1, hy1], [hx2, hy2]], item.left, item.top));
+    }
+  }
+  return stroke("path", <path d={paths.join(" ")} />);
+}
+
+/**
+ * Drag layer of the Markup tool. Text kinds mark the `lines` (textLinesByPage)
+ * under the dragged area; shapes follow the drag. `onDraw(item)` gets the
+ * finished overlay without an id.
+ */
+export function MarkupDrawLayer({ scale, kind, color, strokeWidth, lines, pageHeight, onDraw }) {
+  const [draft, setDraft] = useState(null);
+
+  function startDraw(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const pointAt = (ev) => [(ev.clientX - rect.left) / scale, (ev.clientY - rect.top) / scale];
+    const start = pointAt(e);
+    const ink = [start];
+    const style = { kind, color, strokeWidth };
+    const itemTo = (end) => {
+      if (TEXT_MARKUP_KINDS.includes(kind)) {
+        const rects = markupRects(lines, boundsOf([start, end]), pageHeight);
+        return rects.length ? { type: "markup", ...style, ...boundsOf(rects), rects } : null;
+      }
+      if (kind === "rect" || kind === "ellipse") {
+        const bounds = boundsOf([start, end]);
+        return bounds.width >= MIN_SIZE && bounds.height >= MIN_SIZE ? { type: "shape", ...style, ...bounds } : null;
+      }
+      if (kind === "ink") {
+        const last = ink[ink.length - 1];
+        if (Math.hypot(end[0] - last[0], end[1] - last[1]) >= 1 / scale) ink.push(end);
+        return ink.length > 1 ? { type: "shape", ...style, ...shapeFromPoints(ink) } : null;
+      }
+      const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+      return length >= MIN_SIZE ? { type: "shape", ...style, ...shapeFromPoints([start, end]) } : null;
+    };
+    const move = (ev) => setDraft(itemTo(pointAt(ev)));
+    const up = (ev) => {
+      window.removeEventListener("mousemove", move);
+      window.removeEventListener("mouseup", up);
+      setDraft(null);
+      const item = itemTo(pointAt(ev));
+      if (item) onDraw(item);
+    };
+    window.addEventListener("mousemove", move);
+    window.addEventListener("mouseup", up);
+  }
+
+  return (
+    <div style={drawLayerStyle} onMouseDown={startDraw} onClick={stopPropagation} onDoubleClick={stopPropagation}>
+      {draft && (
+        <svg width={1} height={1} style={svgStyle}>
+          <g transform={`scale(${scale})`}>
+            <MarkupShapes item={draft} />
+          </g>
+        </svg>
+      )}
+    </div>
+  );
+}
+
+/** Toolbar choice of what the Markup tool draws. */
+export function MarkupPicker({ value, onChange }) {
+  return (
+    <span style={{ display: "inline-flex", gap: 2, marginLeft: 4 }}>
+      {[...TEXT_MARKUP_KINDS, ...SHAPE_KINDS].map((kind) => (
+        <button
+          key={kind}
+          onClick={() => onChange(kind)}
+          title={KIND_TITLES[kind] || `${KIND_LABELS[kind]} text: drag over the lines`}
+          style={{ backgroundColor: value === kind ? "#1976d2" : "", color: value === kind ? "white" : "" }}
+        >
+          {KIND_LABELS[kind]}
+        </button>
+      ))}
+    </span>
+  );
+}
+
+const stopPropagation = (e) => e.stopPropagation();
+
+// 1px SVG whose content overflows it, so strokes are placed in page points
+const svgStyle = {
+  position: "absolute",
+  left: 0,
+  top: 0,
+  overflow: "visible",
+  zIndex: 55,
+  pointerEvents: "none",
+};
+
+const drawLayerStyle = {
+  position: "absolute",
+  inset: 0,
+  zIndex: 70,
+  cursor: "crosshair",
+};
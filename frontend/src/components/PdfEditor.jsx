@@ -1,7 +1,8 @@
-import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Fragment, useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState } from "react";
 import { Document, Page, pdfjs } from "react-pdf";
 import { io } from "socket.io-client";
-import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import { decodePDFRawStream, degrees, drawText, PDFDocument, PDFHexString, PDFName, rgb, setCharacterSpacing, StandardFontEmbedder, StandardFonts } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
 import * as pdfjsLib from 'pdfjs-dist';
 import workerSrc from "pdfjs-dist/build/pdf.worker.min.mjs?url";
 pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
@@ -9,29 +10,74 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
 import 'react-pdf/dist/Page/AnnotationLayer.css';
 import 'react-pdf/dist/Page/TextLayer.css';
 import { loadDoc, saveDoc, uploadPdfBlob, uploadImageBlob } from "../api/docApi";
+import { loadBundledFont } from "../services/fonts.js";
+import FormFieldLayer from "./FormFieldLayer.jsx";
+import { FieldDesignLayer, FieldDesignPanel } from "./FieldDesigner.jsx";
+import TableOverlay from "./TableOverlay.jsx";
+import MarkOverlay, { MarkClickLayer, MarkPicker } from "./MarkOverlay.jsx";
+import RegionDrawLayer from "./RegionDrawLayer.jsx";
+import TextBoxStylePanel from "./TextBoxStylePanel.jsx";
+import MarkupOverlay, { MarkupDrawLayer, MarkupPicker } from "./MarkupOverlay.jsx";
+import RedactionOverlay, { RedactionDrawLayer } from "./RedactionOverlay.jsx";
+import {
+  baselineOffset,
+  createOverlayFlattener,
+  lineEditRuns,
+  overlayType,
+  textBoxHeight,
+  TEXT_BOX_LINE_HEIGHT,
+  TEXT_BOX_LINE_HEIGHTS,
+  TEXT_BOX_PADDING,
+} from "@shared/pdf/flatten";
+import { detectFormFields } from "@shared/pdf/formFields";
+import { DEFAULT_FIELD_FONT_SIZE } from "@shared/pdf/templateFields";
+import { detectTableGrid, suggestTemplateFields } from "@shared/pdf/fieldSuggestions";
+import { baseFontStyle, createDocumentFonts, fontFamilyOf, lineEditFonts } from "@shared/pdf/documentFonts";
+import { standardFontName } from "@shared/pdf/fonts";
+import { createPageContent } from "@shared/pdf/contentStream";
+import { createRedactor, findRedactionLeaks } from "@shared/pdf/redaction";
 
 const SOCKET_URL = import.meta.env.VITE_API_BASE || "http://localhost:4000";
 const DEFAULT_PAGE_SIZE = { width: 595, height: 842 };
 const LINE_MERGE_TOLERANCE = 2; // PDF units (~2pt)
 
-const sanitizeTextForStandardFont = (text = "") => {
-  const fallbackMap = {
-    '●': '*',
-    '•': '*',
-    '–': '-',
-    '—': '-',
-    '’': "'",
-    '‘': "'",
-    '“': '"',
-    '”': '"',
-  };
-  return Array.from(text).map((ch) => {
-    const code = ch.codePointAt(0) ?? 0;
-    if (code <= 255) return ch;
-    return fallbackMap[ch] || '?';
-  }).join('');
+// Overlays are drawn into the template only on Download/Submit (see shared/pdf/flatten.js)
+const documentFonts = createDocumentFonts({ PDFName, PDFHexString, decodePDFRawStream, drawText, degrees, StandardFontEmbedder });
+const pageContent = createPageContent({ PDFName, decodePDFRawStream });
+const flattenOverlays = createOverlayFlattener({
+  PDFDocument,
+  rgb,
+  setCharacterSpacing,
+  StandardFonts,
+  fontkit,
+  loadFont: loadBundledFont,
+  documentFonts,
+  pageContent,
+  redactor: createRedactor({ PDFName, decodePDFRawStream, documentFonts, pageContent }),
+});
+// Screen font of an edited line (its document font) or a text box, after their `family`
+const cssFontFamily = (font) => ({
+  serif: '"Times New Roman", Times, serif',
+  mono: '"Courier New", Courier, monospace',
+}[font?.family] || 'Helvetica, Arial, sans-serif');
+
+// Where an edited line could not keep its document font: a message naming
+// the standard font drawn instead, or "" when every run kept it.
+const fontSubstitutionNotice = (choices, font) => {
+  const notes = choices.filter(c => c.substitute).map(({ run, style, substitute }) => {
+    const standard = standardFontName(StandardFonts, style);
+    const why = substitute.reason === "glyphs"
+      ? `has no ${substitute.characters.map(ch => `"${ch}"`).join(", ")}`
+      : style.bold || style.italic
+        ? `has no ${[style.bold && "bold", style.italic && "italic"].filter(Boolean).join(" ")} variant on this page`
+        : "is not available on this page";
+    return `"${run.text.trim()}" is drawn in ${standard} (${font.baseFont.replace(/^[A-Z]{6}\+/, "")} ${why})`;
+  });
+  return notes.length ? `Font substituted: ${notes.join("; ")}.` : "";
 };
 
+const assetUrl = (src) => (/^(https?:|blob:|data:)/.test(src) ? src : `${SOCKET_URL}${src}`);
+
 // small throttle helper so drag updates don't spam
 const throttle = (fn, ms=30) => {
   let last = 0, timer;
@@ -70,6 +116,7 @@ const mergeSpansIntoLines = (spans = [], pageNumber) => {
         isBold: span.isBold,
         isItalic: span.isItalic,
         color: span.color,
+        font: span.font,
         text: "",
         spans: [],
       };
@@ -89,17 +136,209 @@ const mergeSpansIntoLines = (spans = [], pageNumber) => {
     current.fontSize = Math.max(current.fontSize, span.fontSize || current.fontSize);
     current.isBold = current.isBold || span.isBold;
     current.isItalic = current.isItalic || span.isItalic;
+    current.font = current.font || span.font;
   });
 
   return lines;
 };
 
+// The text item (with its document font) a text layer span was rendered from.
+// Span positions are top-left, item positions baselines: match loosely.
+const documentSpanAt = (items = [], text, x, y, fontSize) => {
+  let best = null;
+  for (const item of items) {
+    if (item.text !== text) continue;
+    const distance = Math.abs(item.x - x) + Math.abs(item.y - y);
+    if (distance <= fontSize * 2 && (!best || distance < best.distance)) best = { item, distance };
+  }
+  return best?.item || null;
+};
+
+// CSS color (rgb(...) or #hex) as #rrggbb
+const cssColorToHex = (value) => {
+  if (!value) return null;
+  if (/^#[0-9a-f]{6}$/i.test(value)) return value.toLowerCase();
+  const rgbMatch = value.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+  if (!rgbMatch) return null;
+  return '#' + rgbMatch.slice(1, 4).map(n => Number(n).toString(16).padStart(2, '0')).join('');
+};
+
+// Parse inline editor HTML into runs with bold/italic flags. Underline,
+// color and size (screen px / scale, in points) are only set where the HTML
+// styles them; `bold` and `italic` are the flags of the element the HTML
+// came from.
+const parseRunsFromHtml = (html, { bold: baseBold = false, italic: baseItalic = false, scale = 1 } = {}) => {
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = html;
+  const runs = [];
+  const walk = (node, bold = false, italic = false, extra = {}) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const txt = node.nodeValue.replace(/\u00A0/g, ' ');
+      if (txt.length > 0) runs.push({ text: txt, bold, italic, ...extra });
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    let nb = bold;
+    let ni = italic;
+    const ne = { ...extra };
+    const tag = node.tagName && node.tagName.toLowerCase();
+    if (tag === 'br') {
+      runs.push({ text: '\n', bold, italic, ...extra });
+      return;
+    }
+    if (tag === 'b' || tag === 'strong') nb = true;
+    if (tag === 'i' || tag === 'em') ni = true;
+    if (tag === 'u') ne.underline = true;
+    if (tag === 'font' && node.getAttribute('color')) ne.color = cssColorToHex(node.getAttribute('color')) || ne.color;
+    const fw = node.style && node.style.fontWeight;
+    if (fw) {
+      const num = parseInt(fw, 10);
+      if (!isNaN(num)) nb = num >= 600;
+      else if (fw === 'bold') nb = true;
+      else if (fw === 'normal') nb = false;
+    }
+    const fs = node.style && node.style.fontStyle;
+    if (fs === 'italic' || fs === 'oblique') ni = true;
+    else if (fs === 'normal') ni = false;
+    const decoration = node.style && (node.style.textDecorationLine || node.style.textDecoration);
+    if (decoration && decoration.includes('underline')) ne.underline = true;
+    const color = node.style && cssColorToHex(node.style.color);
+    if (color) ne.color = color;
+    const px = node.style && parseFloat(node.style.fontSize);
+    if (px > 0) ne.size = Math.round((px / scale) * 10) / 10;
+    // Recurse children
+    for (const child of Array.from(node.childNodes)) walk(child, nb, ni, ne);
+  };
+  for (const child of Array.from(wrapper.childNodes)) walk(child, baseBold, baseItalic);
+  return mergeRuns(runs);
+};
+
+const RUN_STYLE_KEYS = ['bold', 'italic', 'underline', 'color', 'size'];
+
+// Join neighbouring runs that look the same
+const mergeRuns = (runs) => runs.reduce((list, run) => {
+  const last = list[list.length - 1];
+  if (last && RUN_STYLE_KEYS.every(k => (last[k] || false) === (run[k] || false))) last.text += run.text;
+  else list.push({ ...run });
+  return list;
+}, []);
+
+// Runs of a text box, the whole text in the box style when it has none
+const textBoxRunsOf = (box) => (box.runs?.length ? box.runs : [{ text: box.text || '', bold: !!box.isBold, italic: false }]);
+
+// Apply `patch` to the characters start..end of the runs, splitting at the ends
+const styleRuns = (runs, start, end, patch) => {
+  const out = [];
+  let pos = 0;
+  for (const run of runs) {
+    const chars = Array.from(run.text);
+    const from = Math.min(Math.max(start - pos, 0), chars.length);
+    const to = Math.min(Math.max(end - pos, 0), chars.length);
+    pos += chars.length;
+    const pieces = [[chars.slice(0, from), false], [chars.slice(from, to), true], [chars.slice(to), false]];
+    for (const [piece, styled] of pieces) {
+      if (piece.length) out.push({ ...run, ...(styled ? patch : {}), text: piece.join('') });
+    }
+  }
+  return mergeRuns(out);
+};
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Markup of a text box's content; parseRunsFromHtml reads it back
+const textBoxHtml = (box, scale) => {
+  if (!box.runs?.length) return escapeHtml(box.text || '');
+  return box.runs.map(run => {
+    const css = [`font-weight:${run.bold ? 700 : 400}`];
+    if (run.italic) css.push('font-style:italic');
+    if (run.underline) css.push('text-decoration:underline');
+    if (run.color) css.push(`color:${run.color}`);
+    if (run.size) css.push(`font-size:${run.size * scale}px`);
+    return `<span style="${css.join(';')}">${escapeHtml(run.text)}</span>`;
+  }).join('');
+};
+
+// Character offsets of the selection inside `el`, or null when collapsed or elsewhere
+const selectionOffsets = (el) => {
+  const selection = window.getSelection();
+  if (!selection || !selection.rangeCount) return null;
+  const range = selection.getRangeAt(0);
+  if (range.collapsed || !el.contains(range.startContainer) || !el.contains(range.endContainer)) return null;
+  const before = document.createRange();
+  before.selectNodeContents(el);
+  before.setEnd(range.startContainer, range.startOffset);
+  const start = Array.from(before.toString()).length;
+  return { start, end: start + Array.from(range.toString()).length };
+};
+
+// Replace the selection with plain text and put the caret after it
+const insertTextAtSelection = (text) => {
+  const selection = window.getSelection();
+  if (!selection || !selection.rangeCount) return;
+  const range = selection.getRangeAt(0);
+  range.deleteContents();
+  const node = document.createTextNode(text);
+  range.insertNode(node);
+  range.setStartAfter(node);
+  range.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+// Pass the ids of the text boxes whose text runs past their edges to `setIds`
+const flagOverflowingTextBoxes = (els, setIds) => {
+  const ids = Object.entries(els)
+    .filter(([, el]) => el.isConnected && (el.scrollHeight > el.clientHeight + 1 || el.scrollWidth > el.clientWidth + 1))
+    .map(([id]) => id);
+  setIds(prev => (prev.join() === ids.join() ? prev : ids));
+};
+
+// Apply the difference between two overlay snapshots through the regular
+// socket events, so undo/redo reaches other clients and the server store.
+const emitBoxesDiff = (socket, docId, prev, next) => {
+  if (!socket) return;
+  const pages = new Set([...Object.keys(prev || {}), ...Object.keys(next || {})]);
+  for (const page of pages) {
+    const pageNumber = Number(page);
+    const before = new Map((prev?.[page] || []).map(b => [b.id, b]));
+    const after = new Map((next?.[page] || []).map(b => [b.id, b]));
+    for (const [id, box] of before) {
+      if (!after.has(id)) socket.emit("delete_box", { docId, pageNumber, boxId: id });
+      else if (after.get(id) !== box) socket.emit("update_box", { docId, pageNumber, boxId: id, patch: after.get(id) });
+    }
+    for (const [id, box] of after) {
+      if (!before.has(id)) socket.emit("add_box", { docId, pageNumber, box });
+    }
+  }
+};
+
+// Overlay changes received from other clients, as updates of a boxes map.
+// They are applied to the undo snapshots too, so undo only reverts local edits.
+const remoteBoxEdits = {
+  added: ({ pageNumber, box }) => (boxes) => ({
+    ...boxes,
+    [pageNumber]: [...(boxes[pageNumber] || []).filter(b => b.id !== box.id), box],
+  }),
+  updated: ({ pageNumber, boxId, patch }) => (boxes) => {
+    const arr = boxes[pageNumber] || [];
+    const i = arr.findIndex(b => b.id === boxId);
+    if (i < 0) return boxes;
+    const clone = [...arr]; clone[i] = { ...clone[i], ...patch };
+    return { ...boxes, [pageNumber]: clone };
+  },
+  deleted: ({ pageNumber, boxId }) => (boxes) => ({
+    ...boxes,
+    [pageNumber]: (boxes[pageNumber] || []).filter(b => b.id !== boxId),
+  }),
+};
+
 const hydrateDocumentTextLinesFactory = ({
   pdfjsLib,
   mergeSpansIntoLines,
   setPageSizes,
   setPdfTextItems,
   setTextLinesByPage,
+  documentSpansRef,
 }) => async (pdfArrayBuffer, target = 'all') => {
   try {
     const normalizeColorValue = (val) => {
@@ -141,9 +380,19 @@ const hydrateDocumentTextLinesFactory = ({
           currentColor = { r: 0, g: 0, b: 0 };
         }
       }
+      // The operator list has loaded the fonts; their BaseFont tells the style
+      const fontOf = (fontName) => {
+        try {
+          const loaded = fontName && page.commonObjs.get(fontName);
+          return loaded?.name ? { baseFont: loaded.name, family: fontFamilyOf(loaded.fallbackName) } : null;
+        } catch {
+          return null;
+        }
+      };
       const spans = textContent.items.map((item, idx) => {
         const [, , , d, e, f] = item.transform;
-        const fontName = item.fontName || 'Helvetica';
+        const font = fontOf(item.fontName);
+        const style = baseFontStyle(font?.baseFont || item.fontName || 'Helvetica');
         const fontSize = Math.abs(d) || 12;
         return {
           id: `preload-${pageNumber}-${idx}`,
@@ -153,12 +402,14 @@ const hydrateDocumentTextLinesFactory = ({
           width: item.width || fontSize,
           height: item.height || fontSize,
           fontSize,
-          isBold: /Bold|Semibold|Medium/gi.test(fontName),
-          isItalic: /Italic|Oblique/gi.test(fontName),
+          isBold: style.bold,
+          isItalic: style.italic,
           color: currentColor,
+          font,
         };
       });
       spansByPage[pageNumber] = spans;
+      documentSpansRef.current[pageNumber] = spans;
       linesByPage[pageNumber] = mergeSpansIntoLines(spans, pageNumber);
     }
 
@@ -186,40 +437,125 @@ const hydrateDocumentTextLinesFactory = ({
   }
 };
 
-export default function PdfEditor({ fileUrl, docId }) {
+const NO_TEMPLATE_FIELDS = [];
+// Cell size of tables drawn where the template has no ruled grid, in points
+const DEFAULT_TABLE_ROW_HEIGHT = 18;
+const DEFAULT_TABLE_COLUMN_WIDTH = 80;
+// Marks snap to detected boxes up to this size (points); elsewhere they get
+// a DEFAULT_MARK_SIZE square
+const MARK_TARGET_MAX = { width: 80, height: 40 };
+const MARK_SNAP_DISTANCE = 12;
+const DEFAULT_MARK_SIZE = 12;
+
+const boxContains = (box, { x, y }) =>
+  x >= box.left && x <= box.left + box.width && y >= box.top && y <= box.top + box.height;
+
+// New template field definition named `${type}_${n}`; `used` holds the taken
+// names and receives the new one
+const newTemplateField = (type, page, rect, used) => {
+  let n = used.size + 1;
+  while (used.has(`${type}_${n}`)) n++;
+  used.add(`${type}_${n}`);
+  return {
+    id: crypto.randomUUID(),
+    name: `${type}_${n}`,
+    type,
+    page,
+    left: rect.left,
+    top: rect.top,
+    width: rect.width,
+    height: rect.height,
+    fontSize: DEFAULT_FIELD_FONT_SIZE,
+    align: "left",
+    ...(type === "dropdown" && { options: ["Yes", "No"] }),
+  };
+};
+
+// Admin-defined template fields as FormFieldLayer inputs
+const templateFieldInput = (def) => ({
+  ...def,
+  kind: def.type === "multiline" ? "text" : def.type,
+  multiline: def.type === "multiline",
+  value: def.type === "checkbox" ? false : "",
+});
+
+/**
+ * mode "fill" (default): edit the doc `docId` on top of the template. With
+ * `templateFields` (the revision's admin-defined fields) crew fill only those
+ * fields instead of the free-form canvas.
+ * mode "design": draw `templateFields` on the template; `onSaveFields(fields)`
+ * stores them, `readOnly` only shows them. No doc or socket is involved.
+ */
+export default function PdfEditor({
+  fileUrl,
+  docId,
+  ref,
+  mode = "fill",
+  templateFields = NO_TEMPLATE_FIELDS,
+  onSaveFields,
+  onClose,
+  readOnly = false,
+}) {
+  const designing = mode === "design";
+  const freeCanvas = !designing && !templateFields.length;
+  // Review markup also goes on forms filled through template fields
+  const markupTools = !designing;
   const [numPages, setNumPages] = useState(null);
   const [scale, setScale] = useState(1.2);
   const [autoFitEnabled, setAutoFitEnabled] = useState(true);
   const [tool, setTool] = useState("select");
-  const [boxes, setBoxes] = useState({});
+  const [boxes, setBoxes] = useState({}); // overlays per page, see shared/pdf/flatten.js
   const wrapperRefs = useRef({});
   const socketRef = useRef(null);
-  const [pdfBuffer, setPdfBuffer] = useState(null); // Uint8Array for pdf-lib
-  const [editedUrl, setEditedUrl] = useState(null); // Updated PDF fileUrl
-  const [editText, setEditText] = useState("");
+  const [pdfBuffer, setPdfBuffer] = useState(null); // Uint8Array of the (immutable) template
   const [pdfTextItems, setPdfTextItems] = useState({}); // Individual span measurements (from text layer)
   const [textLinesByPage, setTextLinesByPage] = useState({});
-  const [editBlock, setEditBlock] = useState(null); // {item, idx}
   const [boldToggle, setBoldToggle] = useState(false);
   const inlineEditorRef = useRef(null);
   const [pageSizes, setPageSizes] = useState({ 1: DEFAULT_PAGE_SIZE });
-  const [docVersion, setDocVersion] = useState(0);
   const [fontSizeInput, setFontSizeInput] = useState(12);
+  const [lineHeightInput, setLineHeightInput] = useState(TEXT_BOX_LINE_HEIGHT);
   const [fontColorHex, setFontColorHex] = useState('#000000');
-  const [history, setHistory] = useState([]); // Array<{bytes: Uint8Array, url: string|null}>
+  const [history, setHistory] = useState([]); // Array<boxes snapshot>
   const [historyIndex, setHistoryIndex] = useState(-1);
-  const [images, setImages] = useState({}); // {pageNumber: [{id, left, top, width, height, imageUrl, imageBytes}]}
+  const [commitPending, setCommitPending] = useState(false);
   const [selectedImageFile, setSelectedImageFile] = useState(null);
   const imageInputRef = useRef(null);
   const textBoxRefs = useRef({});
-  const caretPositionsRef = useRef({});
   const [activeBoxId, setActiveBoxId] = useState(null);
   const activeBoxIdRef = useRef(null);
+  const [selectedTextBox, setSelectedTextBox] = useState(null); // { pageNumber, id } of the text box edited last
+  const textSelectionRef = useRef(null); // { pageNumber, id, start, end } of the text selected in it
+  const [overflowingBoxIds, setOverflowingBoxIds] = useState([]);
   const [editOverlayBgHex, setEditOverlayBgHex] = useState('#ffffff');
   const scaleRef = useRef(scale);
   const [activeLineEdit, setActiveLineEdit] = useState(null);
   const [lineEditorValue, setLineEditorValue] = useState("");
+  const [formFields, setFormFields] = useState([]); // AcroForm widgets of the template
+  const [fieldValues, setFieldValues] = useState({}); // { [fieldName]: value } entered in this doc
+  const [flattenFields, setFlattenFields] = useState(true); // false keeps the exported form fillable
+  const [markupAnnotations, setMarkupAnnotations] = useState(false); // export markup as PDF annotations
+  const [designFields, setDesignFields] = useState(templateFields); // design mode working copy
+  const [selectedFieldId, setSelectedFieldId] = useState(null);
+  const [newFieldType, setNewFieldType] = useState("text");
+  const [designSaving, setDesignSaving] = useState(false);
+  const [designError, setDesignError] = useState("");
+  const [fieldSuggestions, setFieldSuggestions] = useState([]); // proposals awaiting accept/reject
+  const [suggesting, setSuggesting] = useState(false);
+  const [markKind, setMarkKind] = useState("tick");
+  const [markColumn, setMarkColumn] = useState(false); // mark every box in the clicked column
+  const [markupKind, setMarkupKind] = useState("highlight");
+  const [markupColors, setMarkupColors] = useState({ highlight: '#ffeb3b', pen: '#d32f2f' });
+  const [markupStrokeWidth, setMarkupStrokeWidth] = useState(2);
+  const markTargetsRef = useRef(null); // { bytes, promise } of the boxes marks snap to
+  const fillFields = useMemo(
+    () => [...formFields, ...templateFields.map(templateFieldInput)],
+    [formFields, templateFields]
+  );
   const lineEditorValueRef = useRef("");
+  const documentSpansRef = useRef({}); // text items with their document fonts, per page
+  const templateDocRef = useRef(null); // { bytes, promise } of the template in pdf-lib
+  const [fontNotice, setFontNotice] = useState("");
 
   const hydrateDocumentTextLines = useMemo(
     () => hydrateDocumentTextLinesFactory({
@@ -228,23 +564,23 @@ export default function PdfEditor({ fileUrl, docId }) {
       setPageSizes,
       setPdfTextItems,
       setTextLinesByPage,
+      documentSpansRef,
     }),
     []
   );
 
   // Ensure we always have valid PDF bytes for pdf-lib
-  async function ensurePdfBytes() {
+  const ensurePdfBytes = useCallback(async () => {
     if (pdfBuffer && pdfBuffer.length > 6) {
       const hdr = String.fromCharCode(pdfBuffer[0], pdfBuffer[1], pdfBuffer[2], pdfBuffer[3]);
       if (hdr === '%PDF') return pdfBuffer;
     }
-    const src = editedUrl || fileUrl;
-    if (!src) throw new Error('No PDF source available');
-    const ab = await fetch(src).then(r => r.arrayBuffer());
+    if (!fileUrl) throw new Error('No PDF source available');
+    const ab = await fetch(fileUrl).then(r => r.arrayBuffer());
     const bytes = new Uint8Array(ab);
     setPdfBuffer(bytes);
     return bytes;
-  }
+  }, [pdfBuffer, fileUrl]);
 
   // connect socket & join doc room
   useEffect(() => {
@@ -254,25 +590,24 @@ export default function PdfEditor({ fileUrl, docId }) {
 
     socket.emit("join", { docId });
 
-    socket.on("init_state", ({ boxes, images }) => {
+    socket.on("init_state", ({ boxes, fields, flattenFields, markupAnnotations }) => {
       setBoxes(boxes || {});
-      setImages(images || {});
+      setHistory([boxes || {}]);
+      setHistoryIndex(0);
+      setFieldValues(fields || {});
+      setFlattenFields(flattenFields !== false);
+      setMarkupAnnotations(markupAnnotations === true);
     });
-    socket.on("box_added", ({ pageNumber, box }) => {
-      setBoxes(prev => ({ ...prev, [pageNumber]: [...(prev[pageNumber]||[]), box] }));
-    });
-    socket.on("box_updated", ({ pageNumber, boxId, patch }) => {
-      setBoxes(prev => {
-        const arr = prev[pageNumber] || [];
-        const i = arr.findIndex(b => b.id === boxId);
-        if (i < 0) return prev;
-        const clone = [...arr]; clone[i] = { ...clone[i], ...patch };
-        return { ...prev, [pageNumber]: clone };
-      });
-    });
-    socket.on("box_deleted", ({ pageNumber, boxId }) => {
-      setBoxes(prev => ({ ...prev, [pageNumber]: (prev[pageNumber]||[]).filter(b => b.id !== boxId) }));
+    socket.on("field_set", ({ name, value }) => {
+      setFieldValues(prev => ({ ...prev, [name]: value }));
     });
+    const applyRemote = (edit) => {
+      setBoxes(edit);
+      setHistory(prev => prev.map(edit));
+    };
+    socket.on("box_added", (event) => applyRemote(remoteBoxEdits.added(event)));
+    socket.on("box_updated", (event) => applyRemote(remoteBoxEdits.updated(event)));
+    socket.on("box_deleted", (event) => applyRemote(remoteBoxEdits.deleted(event)));
 
     // optional lock visuals
     socket.on("box_locked", ({ boxId }) => {
@@ -299,49 +634,140 @@ export default function PdfEditor({ fileUrl, docId }) {
     };
   }, [docId]);
 
-  // Load persisted boxes/pdf once when docId changes (in addition to socket init)
+  // Load persisted overlays once when docId changes (in addition to socket init).
+  // state.pdfUrl is the last flattened export, never the editing base.
   useEffect(() => {
     if (!docId) return;
     let cancelled = false;
     loadDoc(docId).then((state) => {
       if (cancelled || !state) return;
-      if (state.boxes) setBoxes(state.boxes);
-      if (state.images) setImages(state.images);
-      if (state.pdfUrl) setEditedUrl(`${SOCKET_URL}${state.pdfUrl}`);
+      if (state.boxes) {
+        setBoxes(state.boxes);
+        setHistory([state.boxes]);
+        setHistoryIndex(0);
+      }
+      if (state.fields) setFieldValues(state.fields);
+      setFlattenFields(state.flattenFields !== false);
+      setMarkupAnnotations(state.markupAnnotations === true);
     }).catch(() => {});
     return () => { cancelled = true; };
   }, [docId]);
 
-  // Persist boxes and images when window unloads or doc changes
+  // Persist overlays when window unloads or doc changes
   useEffect(() => {
     if (!docId) return;
-    const handler = () => { try { saveDoc(docId, { boxes, images }); } catch {}
-    };
+    const handler = () => { saveDoc(docId, { boxes }, { keepalive: true }).catch(() => {}); };
     window.addEventListener('beforeunload', handler);
     return () => window.removeEventListener('beforeunload', handler);
-  }, [docId, boxes, images]);
+  }, [docId, boxes]);
 
   useEffect(() => {
     setBoxes({});
-    setImages({});
     setNumPages(null);
-    setEditedUrl(null); // Reset edited file
     setPdfTextItems({}); // Reset when file changes
+    documentSpansRef.current = {};
+    setFontNotice("");
     setPageSizes({ 1: DEFAULT_PAGE_SIZE });
-    setEditBlock(null);
     setAutoFitEnabled(true);
+    setFormFields([]);
     // Fetch as ArrayBuffer and normalize to Uint8Array for pdf-lib usage
     if (fileUrl) {
       fetch(fileUrl).then(res => res.arrayBuffer()).then(buf => {
         const bytes = new Uint8Array(buf);
         setPdfBuffer(bytes);
-        setHistory([{ bytes: new Uint8Array(bytes), url: fileUrl || null }]);
-        setHistoryIndex(0);
         hydrateDocumentTextLines(bytes, 'all');
+        detectTemplateFields(bytes);
       });
     }
   }, [fileUrl, hydrateDocumentTextLines]);
 
+  // Native AcroForm fields are filled through HTML inputs instead of free text boxes
+  async function detectTemplateFields(bytes) {
+    const loading = pdfjsLib.getDocument({ data: new Uint8Array(bytes) });
+    try {
+      const [libDoc, jsDoc] = await Promise.all([
+        PDFDocument.load(bytes, { ignoreEncryption: true }),
+        loading.promise,
+      ]);
+      setFormFields(await detectFormFields(libDoc, jsDoc));
+    } catch (err) {
+      console.error('Failed to detect form fields:', err);
+    } finally {
+      loading.destroy();
+    }
+  }
+
+  const setFieldValue = (name, value) => {
+    setFieldValues(prev => ({ ...prev, [name]: value }));
+    socketRef.current?.emit("set_field", { docId, name, value });
+  };
+
+  function addDesignField(pageNumber, rect) {
+    const field = newTemplateField(newFieldType, pageNumber, rect, new Set(designFields.map(f => f.name)));
+    setDesignFields(prev => [...prev, field]);
+    setSelectedFieldId(field.id);
+  }
+
+  // Boxes, rules and underscore runs of the template proposed as fields
+  async function handleSuggestFields() {
+    setSuggesting(true);
+    setDesignError("");
+    let pdf = null;
+    try {
+      const bytes = await ensurePdfBytes();
+      pdf = await pdfjsLib.getDocument({ data: new Uint8Array(bytes) }).promise;
+      const found = await suggestTemplateFields(pdf, pdfjsLib.OPS, designFields);
+      setFieldSuggestions(found);
+      if (!found.length) setDesignError("No field suggestions found");
+    } catch (err) {
+      console.error('Failed to suggest fields:', err);
+      setDesignError("Failed to suggest fields");
+    } finally {
+      pdf?.destroy();
+      setSuggesting(false);
+    }
+  }
+
+  function acceptSuggestions(ids) {
+    const used = new Set(designFields.map(f => f.name));
+    const accepted = fieldSuggestions
+      .filter(s => ids.includes(s.id))
+      .map(s => newTemplateField(s.type, s.page, s, used));
+    setDesignFields(prev => [...prev, ...accepted]);
+    setFieldSuggestions(prev => prev.filter(s => !ids.includes(s.id)));
+    if (accepted.length === 1) setSelectedFieldId(accepted[0].id);
+  }
+
+  const rejectSuggestion = (id) => {
+    setFieldSuggestions(prev => prev.filter(s => s.id !== id));
+  };
+
+  const updateDesignField = (id, patch) => {
+    setDesignFields(prev => prev.map(f => (f.id === id ? { ...f, ...patch } : f)));
+  };
+
+  async function handleSaveDesign() {
+    setDesignSaving(true);
+    setDesignError("");
+    try {
+      await onSaveFields(designFields);
+    } catch (err) {
+      setDesignError(err?.response?.data?.error || err.message || "Failed to save fields");
+    } finally {
+      setDesignSaving(false);
+    }
+  }
+
+  function handleFlattenFieldsChange(next) {
+    setFlattenFields(next);
+    if (docId) saveDoc(docId, { flattenFields: next }).catch(() => {});
+  }
+
+  function handleMarkupAnnotationsChange(next) {
+    setMarkupAnnotations(next);
+    if (docId) saveDoc(docId, { markupAnnotations: next }).catch(() => {});
+  }
+
   useEffect(() => {
     scaleRef.current = scale;
   }, [scale]);
@@ -364,98 +790,14 @@ export default function PdfEditor({ fileUrl, docId }) {
     } catch (err) {
       // ignore
     }
-  }, [numPages, pageSizes, autoFitEnabled, editedUrl, fileUrl]);
-
-  // If we load an already-edited PDF from backend (editedUrl), fetch bytes so pdf-lib can edit
-  useEffect(() => {
-    if (!editedUrl) return;
-    if (editedUrl.startsWith('blob:')) return; // already have bytes for blob URL
-    fetch(editedUrl).then(res => res.arrayBuffer()).then(buf => {
-      const bytes = new Uint8Array(buf);
-      setPdfBuffer(bytes);
-      hydrateDocumentTextLines(bytes, 'all');
-    }).catch(() => {});
-  }, [editedUrl, hydrateDocumentTextLines]);
-
-  // Function to extract text items (pageNum=1) with color information
-  async function extractTextItems(pdfArrayBuffer, pageNum=1) {
-    // Use the same worker version already set from pdfjs-dist import above
-    const pdf = await pdfjsLib.getDocument({ data: pdfArrayBuffer }).promise;
-    const targets = pageNum === 'all'
-      ? Array.from({ length: pdf.numPages }, (_, idx) => idx + 1)
-      : Array.isArray(pageNum) ? pageNum : [pageNum];
-
-    const itemsByPage = {};
-    const sizesByPage = {};
-
-    // Normalize color values to 0-1 range for consistent storage
-    const normalizeColorValue = (val) => {
-      const num = typeof val === 'number' ? val : parseFloat(val);
-      if (isNaN(num)) return 0;
-      return Math.max(0, Math.min(1, num));
-    };
-
-    for (const targetPage of targets) {
-      const page = await pdf.getPage(targetPage);
-      const viewport = page.getViewport({ scale: 1 });
-      sizesByPage[targetPage] = { width: viewport.width, height: viewport.height };
-      const textContent = await page.getTextContent();
-      const ops = await page.getOperatorList();
-      let currentColor = { r: 0, g: 0, b: 0 };
-
-      for (let i = 0; i < ops.fnArray.length; i++) {
-        const op = ops.fnArray[i];
-        if (op === pdfjsLib.OPS.setFillRGBColor && ops.argsArray[i] && ops.argsArray[i].length >= 3) {
-          currentColor = {
-            r: normalizeColorValue(ops.argsArray[i][0]),
-            g: normalizeColorValue(ops.argsArray[i][1]),
-            b: normalizeColorValue(ops.argsArray[i][2])
-          };
-        } else if (op === pdfjsLib.OPS.setFillGrayColor && ops.argsArray[i] && ops.argsArray[i].length >= 1) {
-          const gray = normalizeColorValue(ops.argsArray[i][0]);
-          currentColor = { r: gray, g: gray, b: gray };
-        } else if (op === pdfjsLib.OPS.setFillColorSpace && ops.argsArray[i]) {
-          currentColor = { r: 0, g: 0, b: 0 };
-        }
-      }
-
-      const items = textContent.items.map((item) => {
-        const [, , , d, e, f] = item.transform;
-        const fontName = item.fontName || 'Helvetica';
-        const isBold = /Bold|Semibold|Medium/gi.test(fontName);
-        const isItalic = /Italic|Oblique/gi.test(fontName);
-
-        return {
-          str: item.str,
-          x: e,
-          y: f,
-          fontSize: Math.abs(d),
-          width: item.width,
-          height: item.height,
-          fontName,
-          isBold,
-          isItalic,
-          color: currentColor,
-        };
-      });
-
-      itemsByPage[targetPage] = items;
-    }
-
-    if (Object.keys(sizesByPage).length) {
-      setPageSizes(prev => ({ ...prev, ...sizesByPage }));
-    }
-    if (Object.keys(itemsByPage).length) {
-      setPdfTextItems(prev => ({ ...prev, ...itemsByPage }));
-    }
-  }
+  }, [numPages, pageSizes, autoFitEnabled, fileUrl]);
 
   // Sample the rendered page to get the background color under a text item.
   // Returns {r,g,b} in 0..1 range or null on failure.
-  async function sampleBackgroundColorForItem(pageNumber, item) {
+  const sampleBackgroundColorForItem = useCallback(async (pageNumber, item) => {
     try {
       const bytes = await ensurePdfBytes();
-      const pdf = await pdfjsLib.getDocument({ data: bytes }).promise;
+      const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(bytes) }).promise;
       if (pageNumber < 1 || pageNumber > pdf.numPages) return null;
       const page = await pdf.getPage(pageNumber);
       const viewport = page.getViewport({ scale: 1 });
@@ -476,8 +818,8 @@ export default function PdfEditor({ fileUrl, docId }) {
     } catch (err) {
       return null;
     }
-  }
-  
+  }, [ensurePdfBytes]);
+
   // Helper to convert RGB color to hex
   function rgbToHex(r, g, b) {
     const toHex = (n) => {
@@ -487,302 +829,54 @@ export default function PdfEditor({ fileUrl, docId }) {
     return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
   }
 
-  // Escape text for safe innerHTML insertion
-  function escapeHtml(unsafe) {
-    return String(unsafe)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#039;');
-  }
-
   function onDocLoadSuccess({ numPages }) {
     setNumPages(numPages);
   }
 
-  // --- Demo add text at fixed loc ---
-  async function handleAddPdfText() {
-    const bytes = await ensurePdfBytes();
-    const pdfDoc = await PDFDocument.load(bytes);
-    const page = pdfDoc.getPages()[0];
-    const size = Number(fontSizeInput) || 12;
-    const { r, g, b } = hexToRgb01(fontColorHex);
-    page.drawText(editText || 'Edited Text!', {
-      x: 50, y: 600,
-      size,
-      color: rgb(r, g, b),
-    });
-    const newBytes = await pdfDoc.save(); // Uint8Array
-    const blob = new Blob([newBytes], { type: 'application/pdf' });
-    try {
-      const { url } = await uploadPdfBlob(blob);
-      const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-      setEditedUrl(absolute);
-      setPdfBuffer(newBytes);
-      pushHistory(newBytes, absolute);
-      if (docId) await saveDoc(docId, { boxes, pdfUrl: url });
-      setDocVersion(v => v + 1);
-    } catch {
-      const url = URL.createObjectURL(blob);
-      setEditedUrl(url);
-      setPdfBuffer(newBytes);
-      pushHistory(newBytes, url);
-      setDocVersion(v => v + 1);
-    }
-    setShowTextEdit(false);
-    setEditText("");
-    await extractTextItems(newBytes, 'all');
-  }
-
-  // Inline save of edited block (cover old, write new) with original font, size, and color
+  // Inline save of an edited PDF line as a lineEdit overlay
   async function handleSaveTextEditInline(newStr) {
-    if (activeLineEdit) {
-      await persistLineEditToPdf(activeLineEdit, newStr ?? lineEditorValue);
-      return;
-    }
-    if (!editBlock) return;
-    const bytes = await ensurePdfBytes();
-    const pdfDoc = await PDFDocument.load(bytes);
-    const pageIndex = ((editBlock && editBlock.pageNumber) ? editBlock.pageNumber : 1) - 1;
-    const page = pdfDoc.getPages()[pageIndex];
-
-    // Use original font properties - don't override with user inputs
-    const item = editBlock.item;
-    const fontSizeToUse = item.fontSize || 12;
-
-    // Use original color if available, otherwise default to black
-    const originalColor = item.color || { r: 0, g: 0, b: 0 };
-    const normalizeColor = (val) => {
-      if (typeof val !== 'number') {
-        const num = parseFloat(val);
-        if (isNaN(num)) return 0;
-        return num > 1 ? num / 255 : num;
-      }
-      return val > 1 ? val / 255 : val;
-    };
-    const r = Math.max(0, Math.min(1, normalizeColor(originalColor.r)));
-    const g = Math.max(0, Math.min(1, normalizeColor(originalColor.g)));
-    const b = Math.max(0, Math.min(1, normalizeColor(originalColor.b)));
-    const textColor = rgb(r, g, b);
-
-    // Get HTML from the inline editor (prefer rich HTML to preserve bold runs)
-    const editorHtml = inlineEditorRef.current?.innerHTML || newStr || item.str;
-
-    // Parse HTML into runs with bold/italic flags
-    const parseRunsFromHtml = (html) => {
-      const wrapper = document.createElement('div');
-      wrapper.innerHTML = html;
-      const runs = [];
-      const walk = (node, bold = false, italic = false) => {
-        if (node.nodeType === Node.TEXT_NODE) {
-          const txt = node.nodeValue.replace(/\u00A0/g, ' ');
-          if (txt.length > 0) runs.push({ text: txt, bold, italic });
-          return;
-        }
-        if (node.nodeType !== Node.ELEMENT_NODE) return;
-        let nb = bold;
-        let ni = italic;
-        const tag = node.tagName && node.tagName.toLowerCase();
-        if (tag === 'b' || tag === 'strong') nb = true;
-        if (tag === 'i' || tag === 'em') ni = true;
-        const fw = node.style && node.style.fontWeight;
-        if (fw) {
-          const num = parseInt(fw, 10);
-          if (!isNaN(num)) nb = num >= 600;
-          else if (fw === 'bold' || fw === '700') nb = true;
-        }
-        const fs = node.style && node.style.fontStyle;
-        if (fs === 'italic' || fs === 'oblique') ni = true;
-        // Recurse children
-        for (const child of Array.from(node.childNodes)) walk(child, nb, ni);
-      };
-      for (const child of Array.from(wrapper.childNodes)) walk(child, false, false);
-      return runs;
-    };
-
-    const runs = parseRunsFromHtml(editorHtml);
-
-    // Calculate cover rect dimensions using a regular font to measure
-    const regularFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const oldTextWidth = regularFont.widthOfTextAtSize(item.str, fontSizeToUse);
-    // sum new widths
-    const newTextWidth = runs.reduce((s, r) => {
-      const f = r.bold ? StandardFonts.HelveticaBold : StandardFonts.Helvetica;
-      // Use embedded font for measurement
-      try {
-        const embedded = pdfDoc.embedFont ? pdfDoc.embedFont(f) : null; // placeholder
-      } catch {}
-      // fallback to regular measurement
-      return s + regularFont.widthOfTextAtSize(r.text, fontSizeToUse);
-    }, 0);
-    const textWidth = Math.max(oldTextWidth, newTextWidth) + 2;
-
-    const actualHeight = item.height || (fontSizeToUse * 0.7);
-    const baselineY = item.y;
-    const coverY = baselineY - (actualHeight * 0.2);
-    const coverHeight = actualHeight * 1.1;
-
-    // Sample background color and use that to cover the old text
-    let coverColor = { r: 1, g: 1, b: 1 };
-    try {
-      const sampled = await sampleBackgroundColorForItem(editBlock.pageNumber || 1, item);
-      if (sampled) coverColor = sampled;
-    } catch {}
-
-    page.drawRectangle({ x: item.x - 1, y: coverY, width: textWidth, height: coverHeight, color: rgb(coverColor.r, coverColor.g, coverColor.b), opacity: 1.0 });
-
-    // Embed fonts we'll need
-    const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-    let fontItalic, fontBoldItalic;
-    try { fontItalic = await pdfDoc.embedFont(StandardFonts.HelveticaOblique); } catch { fontItalic = fontRegular; }
-    try { fontBoldItalic = await pdfDoc.embedFont(StandardFonts.HelveticaBoldOblique); } catch { fontBoldItalic = fontBold; }
-
-    // Draw each run sequentially, advancing X by measured widths
-    let curX = item.x;
-    for (const run of runs) {
-      const useFont = run.bold && run.italic ? fontBoldItalic : run.bold ? fontBold : run.italic ? fontItalic : fontRegular;
-      const w = useFont.widthOfTextAtSize(run.text, fontSizeToUse);
-      page.drawText(run.text, { x: curX, y: item.y, size: fontSizeToUse, font: useFont, color: textColor });
-      curX += w;
-    }
-
-    const newBytes = await pdfDoc.save(); // Uint8Array
-    const blob = new Blob([newBytes], { type: 'application/pdf' });
-    try {
-      const { url } = await uploadPdfBlob(blob);
-      const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-      setEditedUrl(absolute);
-      setPdfBuffer(newBytes);
-      pushHistory(newBytes, absolute);
-      if (docId) await saveDoc(docId, { boxes, pdfUrl: url });
-      setDocVersion(v => v + 1);
-    } catch {
-      const url = URL.createObjectURL(blob);
-      setEditedUrl(url);
-      setPdfBuffer(newBytes);
-      pushHistory(newBytes, url);
-      setDocVersion(v => v + 1);
-    }
-    setEditBlock(null);
-    // Re-extract to refresh clickable zones
-    await extractTextItems(newBytes, 'all');
+    if (!activeLineEdit) return;
+    // Read the editor before it unmounts; runs keep bold/italic toggled with B
+    const html = inlineEditorRef.current?.innerHTML || "";
+    await saveLineEdit(activeLineEdit, newStr ?? lineEditorValue, html);
   }
 
-  // Delete inline PDF text by covering the original text area with white
-  // and saving the PDF. Mirrors the covering logic used when saving edits.
+  // Delete an original PDF line: a lineEdit overlay with no text removes it on export
   async function handleDeleteTextInline() {
-    if (activeLineEdit) {
-      await persistLineEditToPdf(activeLineEdit, "");
-      return;
-    }
-    if (!editBlock) return;
-    const item = editBlock.item;
-    try {
-      const bytes = await ensurePdfBytes();
-      const pdfDoc = await PDFDocument.load(bytes);
-      const pageIndex = ((editBlock && editBlock.pageNumber) ? editBlock.pageNumber : 1) - 1;
-      const page = pdfDoc.getPages()[pageIndex];
-
-      // Determine original font size and metrics
-      const originalFontSize = item.fontSize || 12;
-      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-
-      const oldTextWidth = font.widthOfTextAtSize(item.str, originalFontSize);
-      const textWidth = oldTextWidth + 2;
-      const actualHeight = item.height || (originalFontSize * 0.7);
-      const baselineY = item.y;
-      const coverY = baselineY - (actualHeight * 0.2);
-      const coverHeight = actualHeight * 1.1;
-
-      // Sample background color and use that to cover the old text
-      let coverColor = { r: 1, g: 1, b: 1 };
-      try {
-        const sampled = await sampleBackgroundColorForItem(editBlock.pageNumber || 1, item);
-        if (sampled) coverColor = sampled;
-      } catch {}
-
-      page.drawRectangle({
-        x: item.x - 1,
-        y: coverY,
-        width: textWidth,
-        height: coverHeight,
-        color: rgb(coverColor.r, coverColor.g, coverColor.b),
-        opacity: 1.0,
-      });
-
-      const newBytes = await pdfDoc.save();
-      const blob = new Blob([newBytes], { type: 'application/pdf' });
-      try {
-        const { url } = await uploadPdfBlob(blob);
-        const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-        setEditedUrl(absolute);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, absolute);
-        if (docId) await saveDoc(docId, { boxes, pdfUrl: url });
-        setDocVersion(v => v + 1);
-      } catch {
-        const url = URL.createObjectURL(blob);
-        setEditedUrl(url);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, url);
-        setDocVersion(v => v + 1);
-      }
-      setEditBlock(null);
-      await extractTextItems(newBytes, 'all');
-    } catch (err) {
-      console.error('Failed to delete inline text:', err);
-    }
+    if (!activeLineEdit) return;
+    await saveLineEdit(activeLineEdit, "", "");
   }
 
-  // Convert #RRGGBB to 0..1 rgb for pdf-lib
-  function hexToRgb01(hex) {
-    const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '#000000');
-    if (!m) return { r: 0, g: 0, b: 0 };
-    return { r: parseInt(m[1],16)/255, g: parseInt(m[2],16)/255, b: parseInt(m[3],16)/255 };
-  }
+  // Record the overlays as an undo step. The flag is batched with the box
+  // updates of the change, so the effect below sees their final state.
+  const commitChange = () => setCommitPending(true);
 
-  function pushHistory(bytes, url) {
-    // Clone bytes to avoid detached ArrayBuffer issues
-    const clonedBytes = new Uint8Array(bytes);
-    setHistory(prev => {
-      const trimmed = prev.slice(0, historyIndex + 1);
-      const next = [...trimmed, { bytes: clonedBytes, url }];
-      setHistoryIndex(next.length - 1);
-      return next;
-    });
-  }
+  useEffect(() => {
+    if (!commitPending) return;
+    setCommitPending(false);
+    const next = [...history.slice(0, historyIndex + 1), boxes];
+    setHistory(next);
+    setHistoryIndex(next.length - 1);
+  }, [commitPending, boxes, history, historyIndex]);
 
   const canUndo = historyIndex > 0;
   const canRedo = historyIndex >= 0 && historyIndex < history.length - 1;
 
+  function applySnapshot(idx) {
+    const snapshot = history[idx];
+    emitBoxesDiff(socketRef.current, docId, boxes, snapshot);
+    setHistoryIndex(idx);
+    setBoxes(snapshot);
+  }
+
   function handleUndo() {
     if (!canUndo) return;
-    const idx = historyIndex - 1;
-    const entry = history[idx];
-    setHistoryIndex(idx);
-    // Clone bytes to avoid detached ArrayBuffer issues
-    const clonedBytes = new Uint8Array(entry.bytes);
-    setPdfBuffer(clonedBytes);
-    const url = URL.createObjectURL(new Blob([clonedBytes], { type: 'application/pdf' }));
-    setEditedUrl(url);
-    setDocVersion(v => v + 1);
-    extractTextItems(clonedBytes, 'all');
+    applySnapshot(historyIndex - 1);
   }
 
   function handleRedo() {
     if (!canRedo) return;
-    const idx = historyIndex + 1;
-    const entry = history[idx];
-    setHistoryIndex(idx);
-    // Clone bytes to avoid detached ArrayBuffer issues
-    const clonedBytes = new Uint8Array(entry.bytes);
-    setPdfBuffer(clonedBytes);
-    const url = URL.createObjectURL(new Blob([clonedBytes], { type: 'application/pdf' }));
-    setEditedUrl(url);
-    setDocVersion(v => v + 1);
-    extractTextItems(clonedBytes, 'all');
+    applySnapshot(historyIndex + 1);
   }
 
   const getPageMetrics = (pageNumber) => {
@@ -791,11 +885,12 @@ export default function PdfEditor({ fileUrl, docId }) {
     return DEFAULT_PAGE_SIZE;
   };
 
+  // Default text box size in PDF points
   const getBoxDimensions = (fontSize) => {
     const resolved = Math.max(6, fontSize || Number(fontSizeInput) || 12);
     return {
       width: Math.max(180, resolved * 10),
-      height: resolved + 8,
+      height: textBoxHeight(resolved, lineHeightInput),
     };
   };
 
@@ -821,19 +916,6 @@ export default function PdfEditor({ fileUrl, docId }) {
     selection.addRange(range);
   };
 
-  const rememberCaret = (boxId, offset) => {
-    caretPositionsRef.current[boxId] = offset;
-  };
-
-  const restoreCaret = (boxId, fallbackToEnd=true) => {
-    const el = textBoxRefs.current[boxId];
-    if (!el) return;
-    const stored = caretPositionsRef.current[boxId];
-    if (stored == null && !fallbackToEnd) return;
-    const offset = stored == null ? null : stored;
-    placeCaret(el, offset);
-  };
-
   const focusNewTextBox = (boxId) => {
     setTimeout(() => {
       const textBoxEl = textBoxRefs.current[boxId];
@@ -855,23 +937,31 @@ export default function PdfEditor({ fileUrl, docId }) {
         }
         textBoxEl.focus();
         placeCaret(textBoxEl, null);
-        rememberCaret(boxId, null);
       }
     }, 50);
   };
 
+  const addOverlay = (pageNumber, box) => {
+    setBoxes(prev => ({ ...prev, [pageNumber]: [...(prev[pageNumber] || []), box] }));
+    socketRef.current?.emit("add_box", { docId, pageNumber, box });
+    commitChange();
+  };
+
+  // left/top are the click position in screen px; the box is stored in points
   const createTextBox = ({ pageNumber, left, top, fontSize, color, isBold, width, height, text }) => {
+    const currentScale = scaleRef.current || 1;
     const resolvedFontSize = Math.max(6, fontSize || Number(fontSizeInput) || 12);
     const dims = getBoxDimensions(resolvedFontSize);
     const boxWidth = width || dims.width;
     const boxHeight = height || dims.height;
-    const wrap = wrapperRefs.current[pageNumber];
-    const maxWidth = wrap?.clientWidth || boxWidth;
-    const maxHeight = wrap?.clientHeight || boxHeight;
-    const normalizedLeft = Math.min(Math.max(0, left - boxWidth / 2), Math.max(0, maxWidth - boxWidth));
-    const normalizedTop = Math.min(Math.max(0, top - (boxHeight * 0.75)), Math.max(0, maxHeight - boxHeight));
+    const metrics = getPageMetrics(pageNumber);
+    const leftPt = left / currentScale;
+    const topPt = top / currentScale;
+    const normalizedLeft = Math.min(Math.max(0, leftPt - boxWidth / 2), Math.max(0, metrics.width - boxWidth));
+    const normalizedTop = Math.min(Math.max(0, topPt - (boxHeight * 0.75)), Math.max(0, metrics.height - boxHeight));
     const box = {
       id: crypto.randomUUID(),
+      type: "text",
       left: normalizedLeft,
       top: normalizedTop,
       width: boxWidth,
@@ -880,6 +970,7 @@ export default function PdfEditor({ fileUrl, docId }) {
       fontSize: resolvedFontSize,
       color: color || fontColorHex,
       isBold: typeof isBold === "boolean" ? isBold : boldToggle,
+      lineHeight: lineHeightInput,
     };
     setBoxes(prev => ({ ...prev, [pageNumber]: [...(prev[pageNumber] || []), box] }));
     socketRef.current?.emit("add_box", { docId, pageNumber, box });
@@ -920,6 +1011,7 @@ export default function PdfEditor({ fileUrl, docId }) {
       const fontSize = fontSizePx / currentScale;
       const fontWeight = style.fontWeight || '400';
       const fontStyle = style.fontStyle || 'normal';
+      const source = documentSpanAt(documentSpansRef.current[pageNumber], span.textContent || '', x, y, fontSize);
       return {
         id: `p${pageNumber}-s${idx}`,
         text: span.textContent || '',
@@ -928,9 +1020,10 @@ export default function PdfEditor({ fileUrl, docId }) {
         width,
         height,
         fontSize,
-        isBold: parseInt(fontWeight, 10) >= 600 || fontWeight === 'bold',
-        isItalic: fontStyle === 'italic' || fontStyle === 'oblique',
+        isBold: source ? source.isBold : parseInt(fontWeight, 10) >= 600 || fontWeight === 'bold',
+        isItalic: source ? source.isItalic : fontStyle === 'italic' || fontStyle === 'oblique',
         color: { r: 0, g: 0, b: 0 },
+        font: source?.font,
       };
     });
 
@@ -946,114 +1039,107 @@ export default function PdfEditor({ fileUrl, docId }) {
     });
   }, [scale, pageSizes]);
 
-  const persistLineEditToPdf = useCallback(async (lineContext, newStr) => {
+  const findLineEdit = (pageNumber, lineId) =>
+    (boxes[pageNumber] || []).find(b => overlayType(b) === 'lineEdit' && b.lineId === lineId);
+
+  // Store a replacement for an original PDF line. The template is untouched;
+  // the overlay hides the line on screen and carries the new text until export,
+  // which cuts the old text from the page (or covers it, see shared/pdf/flatten.js).
+  async function saveLineEdit(lineContext, newStr, html) {
     if (!lineContext) return;
     const { pageNumber, line } = lineContext;
     if (!line) return;
-    const targetText = sanitizeTextForStandardFont(newStr || "");
+    const text = newStr || "";
+    const runs = html ? parseRunsFromHtml(html) : [];
+    const styled = runs.some(run => run.bold !== !!line.isBold || run.italic !== !!line.isItalic);
+    const existing = findLineEdit(pageNumber, line.id);
+
     try {
-      const bytes = await ensurePdfBytes();
-      const pdfDoc = await PDFDocument.load(bytes);
-      const pageIndex = Math.max(0, Math.min(pageNumber - 1, pdfDoc.getPageCount() - 1));
-      const page = pdfDoc.getPages()[pageIndex];
-      if (!page) return;
-
-      const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-      const fontItalic = await pdfDoc.embedFont(StandardFonts.HelveticaOblique).catch(() => fontRegular);
-      const fontBoldItalic = await pdfDoc.embedFont(StandardFonts.HelveticaBoldOblique).catch(() => fontBold);
-      const fontToUse = line.isBold && line.isItalic
-        ? fontBoldItalic
-        : line.isBold
-          ? fontBold
-          : line.isItalic
-            ? fontItalic
-            : fontRegular;
+      // Back to the original wording: drop the overlay instead of covering the line
+      if (text === (line.text || "") && !styled) {
+        if (existing) {
+          setBoxes(prev => ({ ...prev, [pageNumber]: (prev[pageNumber] || []).filter(b => b.id !== existing.id) }));
+          socketRef.current?.emit("delete_box", { docId, pageNumber, boxId: existing.id });
+          commitChange();
+        }
+        return;
+      }
 
       const fontSize = Math.max(6, line.fontSize || 12);
-      const newTextWidth = fontToUse.widthOfTextAtSize(targetText || " ", fontSize);
-      const coverWidth = Math.max(line.width || newTextWidth, newTextWidth) + 2;
-      const coverHeight = (line.height || fontSize) * 1.1;
-      const coverY = line.y - (line.height || fontSize) * 0.2;
+      const lineHeight = line.height || fontSize;
+      const coverBottom = line.y - lineHeight * 0.2;
+      const coverHeight = lineHeight * 1.1;
+      const metrics = getPageMetrics(pageNumber);
 
-      let coverColor = { r: 1, g: 1, b: 1 };
-      try {
-        const sampled = await sampleBackgroundColorForItem(pageNumber, {
-          x: line.x,
-          y: line.y,
-          width: line.width,
-          height: line.height || fontSize,
-        });
-        if (sampled) coverColor = sampled;
-      } catch {
-        // ignore sampling failures
+      let coverColor = existing?.coverColor || { r: 1, g: 1, b: 1 };
+      if (!existing) {
+        try {
+          const sampled = await sampleBackgroundColorForItem(pageNumber, {
+            x: line.x,
+            y: line.y,
+            width: line.width,
+            height: lineHeight,
+          });
+          if (sampled) coverColor = sampled;
+        } catch {
+          // ignore sampling failures
+        }
       }
 
-      page.drawRectangle({
-        x: line.x - 1,
-        y: coverY,
-        width: coverWidth,
+      const overlay = {
+        id: existing?.id || crypto.randomUUID(),
+        type: 'lineEdit',
+        lineId: line.id,
+        left: line.x - 1,
+        top: metrics.height - coverBottom - coverHeight,
+        width: (line.width || 0) + 2,
         height: coverHeight,
-        color: rgb(coverColor.r, coverColor.g, coverColor.b),
-        opacity: 1.0,
-      });
-
-      if (targetText) {
-        const normalize = (v) => {
-          if (typeof v !== "number") {
-            const parsed = parseFloat(v);
-            if (isNaN(parsed)) return 0;
-            return parsed > 1 ? parsed / 255 : parsed;
-          }
-          return v > 1 ? v / 255 : v;
-        };
-        const sourceColor = line.color || { r: 0, g: 0, b: 0 };
-        const textColor = rgb(
-          normalize(sourceColor.r),
-          normalize(sourceColor.g),
-          normalize(sourceColor.b)
-        );
-
-        page.drawText(targetText, {
-          x: line.x,
-          y: line.y,
-          size: fontSize,
-          font: fontToUse,
-          color: textColor,
-        });
-      }
-
-      const newBytes = await pdfDoc.save();
-      const blob = new Blob([newBytes], { type: 'application/pdf' });
-      try {
-        const { url } = await uploadPdfBlob(blob);
-        const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-        setEditedUrl(absolute);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, absolute);
-        if (docId) await saveDoc(docId, { boxes, images, pdfUrl: url });
-      } catch {
-        const objectUrl = URL.createObjectURL(blob);
-        setEditedUrl(objectUrl);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, objectUrl);
+        text,
+        runs: runs.length ? runs : undefined,
+        fontSize,
+        isBold: !!line.isBold,
+        isItalic: !!line.isItalic,
+        color: line.color || { r: 0, g: 0, b: 0 },
+        coverColor,
+        baseline: { x: line.x, y: line.y },
+        font: line.font,
+        originalText: line.text,
+      };
+      if (existing) {
+        setBoxes(prev => ({
+          ...prev,
+          [pageNumber]: (prev[pageNumber] || []).map(b => b.id === existing.id ? overlay : b),
+        }));
+        socketRef.current?.emit("update_box", { docId, pageNumber, boxId: existing.id, patch: overlay });
+        commitChange();
+      } else {
+        addOverlay(pageNumber, overlay);
       }
-      setDocVersion((v) => v + 1);
-      setTextLinesByPage((prev) => {
-        const pageLines = prev[pageNumber] || [];
-        const idx = pageLines.findIndex((l) => l.id === line.id);
-        if (idx < 0) return prev;
-        const updated = [...pageLines];
-        updated[idx] = { ...updated[idx], text: targetText, str: targetText };
-        return { ...prev, [pageNumber]: updated };
-      });
+      await noteFontSubstitution(pageNumber, overlay);
+    } catch (err) {
+      console.error('Failed to save inline edit:', err);
+    } finally {
       setActiveLineEdit(null);
       setLineEditorValue("");
-      await hydrateDocumentTextLines(new Uint8Array(newBytes), [pageNumber]);
+    }
+  }
+
+  // Tell the user when an edited line cannot keep its document font
+  // (the same choice the export makes, see lineEditFonts)
+  async function noteFontSubstitution(pageNumber, overlay) {
+    if (!overlay.font) return;
+    try {
+      const bytes = await ensurePdfBytes();
+      if (templateDocRef.current?.bytes !== bytes) {
+        templateDocRef.current = { bytes, promise: PDFDocument.load(bytes, { updateMetadata: false }) };
+      }
+      const page = (await templateDocRef.current.promise).getPage(pageNumber - 1);
+      const choices = lineEditFonts(documentFonts, page, overlay, lineEditRuns(overlay));
+      setFontNotice(fontSubstitutionNotice(choices, overlay.font));
     } catch (err) {
-      console.error('Failed to persist inline edit:', err);
+      console.error('Failed to check the fonts of an edited line:', err);
     }
-  }, [boxes, images, docId, ensurePdfBytes, hydrateDocumentTextLines]);
+  }
 
   const beginInlineLineEdit = useCallback((pageNumber, line, clickEvent) => {
     if (!line) return;
@@ -1069,17 +1155,18 @@ export default function PdfEditor({ fileUrl, docId }) {
       },
       line,
     });
-    const initial = line.text || "";
+    // Continue from an earlier edit of this line, if any
+    const existing = (boxes[pageNumber] || []).find(b => overlayType(b) === 'lineEdit' && b.lineId === line.id);
+    const initial = existing ? existing.text : (line.text || "");
     setLineEditorValue(initial);
     lineEditorValueRef.current = initial;
-    setEditBlock(null);
-  }, []);
+  }, [boxes]);
 
   const isPointInExistingContent = (pageNumber, left, top) => {
     const pageBoxes = boxes[pageNumber] || [];
     const hitBox = pageBoxes.some(b => (
-      left >= b.left && left <= b.left + b.width &&
-      top >= b.top && top <= b.top + b.height
+      left >= b.left * scale && left <= (b.left + b.width) * scale &&
+      top >= b.top * scale && top <= (b.top + b.height) * scale
     ));
     if (hitBox) return true;
 
@@ -1177,7 +1264,7 @@ export default function PdfEditor({ fileUrl, docId }) {
     });
   };
 
-  const updateBox = throttle((pageNumber, boxId, patch) => {
+  const patchBox = (pageNumber, boxId, patch) => {
     setBoxes(prev => {
       const arr = prev[pageNumber] || [];
       const i = arr.findIndex(b => b.id === boxId);
@@ -1186,148 +1273,157 @@ export default function PdfEditor({ fileUrl, docId }) {
       return { ...prev, [pageNumber]: clone };
     });
     socketRef.current?.emit("update_box", { docId, pageNumber, boxId, patch });
-  }, 30);
+  };
 
-  // Rebuild PDF with all text boxes and images
-  async function rebuildPdfWithAllContent(boxesToUse = null, imagesToUse = null) {
-    try {
-      const boxesToEmbed = boxesToUse || boxes;
-      const imagesToEmbed = imagesToUse || images;
-      // Prefer the most-recent in-memory/edited PDF so previously-embedded
-      // text/images are preserved. Fall back to `editedUrl`, then the
-      // original `fileUrl` if needed.
-      if (pdfBuffer && pdfBuffer.length > 6) {
-        const pdfDoc = await PDFDocument.load(pdfBuffer);
-        await embedAllContent(pdfDoc, boxesToEmbed, imagesToEmbed);
-        return;
-      }
+  const updateBox = throttle(patchBox, 30);
+
+  // Shared drag handler for text boxes and images; `toPatch` maps the mouse
+  // delta (converted to points) to the box patch.
+  const startBoxDrag = (pageNumber, boxId, e, toPatch) => {
+    const startX = e.clientX, startY = e.clientY;
+    let lastPatch = null;
+    const move = (ev) => {
+      const dx = ev.clientX - startX, dy = ev.clientY - startY;
+      if (!lastPatch && Math.abs(dx) <= 3 && Math.abs(dy) <= 3) return;
+      lastPatch = toPatch(dx / scale, dy / scale);
+      updateBox(pageNumber, boxId, lastPatch);
+    };
+    const up = () => {
+      window.removeEventListener("mousemove", move);
+      window.removeEventListener("mouseup", up);
+      if (!lastPatch) return;
+      patchBox(pageNumber, boxId, lastPatch);
+      commitChange();
+    };
+    window.addEventListener("mousemove", move);
+    window.addEventListener("mouseup", up);
+  };
+
+  const deleteBox = (pageNumber, boxId) => {
+    setBoxes(prev => ({ ...prev, [pageNumber]: (prev[pageNumber] || []).filter(b => b.id !== boxId) }));
+    socketRef.current?.emit("delete_box", { docId, pageNumber, boxId });
+    commitChange();
+  };
 
-      const src = editedUrl || fileUrl;
-      if (!src) return;
-      const ab = await fetch(src).then(r => r.arrayBuffer());
-      const bytes = new Uint8Array(ab);
-      const pdfDoc = await PDFDocument.load(bytes);
-      await embedAllContent(pdfDoc, boxesToEmbed, imagesToEmbed);
+  // Table tool: snap to the grid ruled on the template inside the dragged
+  // region, or split the region evenly when it has none
+  async function addTable(pageNumber, region) {
+    let grid = null;
+    let pdf = null;
+    try {
+      const bytes = await ensurePdfBytes();
+      pdf = await pdfjsLib.getDocument({ data: new Uint8Array(bytes) }).promise;
+      grid = await detectTableGrid(pdf, pdfjsLib.OPS, pageNumber, region);
     } catch (err) {
-      console.error('Failed to rebuild PDF with all content:', err);
+      console.error('Failed to detect table grid:', err);
+    } finally {
+      pdf?.destroy();
     }
+    if (!grid) {
+      const rowCount = Math.max(1, Math.round(region.height / DEFAULT_TABLE_ROW_HEIGHT));
+      const colCount = Math.max(1, Math.round(region.width / DEFAULT_TABLE_COLUMN_WIDTH));
+      grid = {
+        left: region.left,
+        top: region.top,
+        columns: Array(colCount).fill(region.width / colCount),
+        rows: Array(rowCount).fill(region.height / rowCount),
+      };
+    }
+    addOverlay(pageNumber, {
+      type: "table",
+      id: crypto.randomUUID(),
+      ...grid,
+      cells: grid.rows.map(() => grid.columns.map(() => "")),
+      fontSize: Number(fontSizeInput) || 10,
+      color: fontColorHex,
+    });
+    setTool("select");
   }
-  
-  // Helper function to embed all content (text boxes and images) into PDF
-  async function embedAllContent(pdfDoc, boxesToEmbed, imagesToEmbed) {
-    try {
-      // Embed text boxes first
-      const allPages = Object.keys(boxesToEmbed);
-      for (const pageNum of allPages) {
-        const pageIndex = parseInt(pageNum) - 1;
-        if (pageIndex >= 0 && pageIndex < pdfDoc.getPageCount()) {
-          const page = pdfDoc.getPages()[pageIndex];
-          const pageHeight = page.getHeight();
-          const pageBoxes = boxesToEmbed[pageNum] || [];
-          
-          for (const box of pageBoxes) {
-            if (!box.text || box.text.trim() === "" || box.text === "Type...") continue;
-            
-            // Use box-specific font settings or fallback to global settings
-            const boxFontSize = box.fontSize || Number(fontSizeInput) || 12;
-            const boxColor = box.color || fontColorHex;
-            const boxIsBold = box.isBold !== undefined ? box.isBold : boldToggle;
-            
-            const { r, g, b } = hexToRgb01(boxColor);
-            const textColor = rgb(r, g, b);
-            const font = await pdfDoc.embedFont(boxIsBold ? StandardFonts.HelveticaBold : StandardFonts.Helvetica);
-            
-            // Convert screen coordinates to PDF coordinates
-            const pdfX = box.left / scale;
-            const pdfY = pageHeight - (box.top / scale) - (box.height / scale);
-            
-            // Draw text in PDF
-            page.drawText(box.text, {
-              x: pdfX,
-              y: pdfY + boxFontSize, // Adjust for baseline
-              size: boxFontSize,
-              font,
-              color: textColor,
-            });
-          }
-        }
-      }
-      
-      // Embed images
-      const allImagePages = Object.keys(imagesToEmbed);
-      for (const pageNum of allImagePages) {
-        const pageIndex = parseInt(pageNum) - 1;
-        if (pageIndex >= 0 && pageIndex < pdfDoc.getPageCount()) {
-          const page = pdfDoc.getPages()[pageIndex];
-          const pageHeight = page.getHeight();
-          const imagesOnPage = imagesToEmbed[pageNum] || [];
-          
-          for (const img of imagesOnPage) {
-            const pdfX = img.left / scale;
-            const pdfY = pageHeight - (img.top / scale) - (img.height / scale);
-            const pdfWidth = img.width / scale;
-            const pdfHeight = img.height / scale;
-
-            let pdfImage;
-            try {
-              if (img.imageType === 'image/png') {
-                pdfImage = await pdfDoc.embedPng(img.imageBytes);
-              } else if (img.imageType === 'image/jpeg' || img.imageType === 'image/jpg') {
-                pdfImage = await pdfDoc.embedJpg(img.imageBytes);
-              } else {
-                pdfImage = await pdfDoc.embedPng(img.imageBytes);
-              }
-            } catch {
-              pdfImage = await pdfDoc.embedPng(img.imageBytes);
-            }
 
-            page.drawImage(pdfImage, {
-              x: Math.max(0, pdfX),
-              y: Math.max(0, pdfY),
-              width: pdfWidth,
-              height: pdfHeight,
-            });
-          }
-        }
-      }
+  // Redact tool: each dragged area is added; the tool stays on for the next one
+  const addRedaction = (pageNumber, region) => {
+    addOverlay(pageNumber, { type: "redact", id: crypto.randomUUID(), ...region });
+  };
 
-      const newBytes = await pdfDoc.save();
-      const blob = new Blob([newBytes], { type: 'application/pdf' });
-      try {
-        const { url } = await uploadPdfBlob(blob);
-        const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-        setEditedUrl(absolute);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, absolute);
-        if (docId) await saveDoc(docId, { boxes: boxesToEmbed, images: imagesToEmbed, pdfUrl: url });
-        setDocVersion(v => v + 1);
-      } catch {
-        const url = URL.createObjectURL(blob);
-        setEditedUrl(url);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, url);
-        setDocVersion(v => v + 1);
-      }
-      await extractTextItems(newBytes, 'all');
-    } catch (err) {
-      console.error('Failed to embed all content:', err);
+  // Markup tool: like Redact it stays on for the next highlight or shape
+  const markupColorKey = markupKind === "highlight" ? "highlight" : "pen";
+  const addMarkup = (pageNumber, item) => {
+    addOverlay(pageNumber, { id: crypto.randomUUID(), ...item });
+  };
+
+  const setTableCell = (pageNumber, table, row, col, text) => {
+    const cells = table.rows.map((_, r) => table.columns.map((__, c) => table.cells?.[r]?.[c] || ""));
+    cells[row][col] = text;
+    patchBox(pageNumber, table.id, { cells });
+  };
+
+  // Checkbox squares and small empty cells of the template (fieldSuggestions),
+  // detected once per template
+  function markTargets(bytes) {
+    if (markTargetsRef.current?.bytes !== bytes) {
+      const loading = pdfjsLib.getDocument({ data: new Uint8Array(bytes) });
+      const promise = loading.promise
+        .then(pdf => suggestTemplateFields(pdf, pdfjsLib.OPS))
+        .then(found => found.filter(f =>
+          f.source !== "underscore" && f.width <= MARK_TARGET_MAX.width && f.height <= MARK_TARGET_MAX.height))
+        .catch(err => {
+          console.error('Failed to detect mark boxes:', err);
+          return [];
+        })
+        .finally(() => loading.destroy());
+      markTargetsRef.current = { bytes, promise };
     }
+    return markTargetsRef.current.promise;
   }
 
-  const deleteBox = async (pageNumber, boxId) => {
-    // Remove from state and get updated boxes
-    let updatedBoxes;
-    setBoxes(prev => {
-      const remaining = (prev[pageNumber] || []).filter(b => b.id !== boxId);
-      updatedBoxes = { ...prev, [pageNumber]: remaining };
-      return updatedBoxes;
-    });
-    
-    socketRef.current?.emit("delete_box", { docId, pageNumber, boxId });
-    
-    // Rebuild PDF with remaining boxes and images
-    await rebuildPdfWithAllContent(updatedBoxes, images);
-  };
+  // Mark tool click at `point` (points). Clicking a mark replaces it with the
+  // current kind, or removes it when it already is that kind.
+  async function placeMark(pageNumber, point) {
+    const existing = (boxes[pageNumber] || []).filter(b => overlayType(b) === 'mark');
+    const hit = existing.find(m => boxContains(m, point));
+    if (hit) {
+      if (hit.mark === markKind) deleteBox(pageNumber, hit.id);
+      else {
+        patchBox(pageNumber, hit.id, { mark: markKind });
+        commitChange();
+      }
+      return;
+    }
+
+    const targets = (await markTargets(await ensurePdfBytes())).filter(t => t.page === pageNumber);
+    const centre = (t) => ({ x: t.left + t.width / 2, y: t.top + t.height / 2 });
+    const distance = (t) => Math.hypot(centre(t).x - point.x, centre(t).y - point.y);
+    const target = targets.filter(t => boxContains(t, point)).sort((a, b) => a.width * a.height - b.width * b.height)[0]
+      || targets.filter(t => distance(t) <= MARK_SNAP_DISTANCE).sort((a, b) => distance(a) - distance(b))[0]
+      || {
+        left: point.x - DEFAULT_MARK_SIZE / 2,
+        top: point.y - DEFAULT_MARK_SIZE / 2,
+        width: DEFAULT_MARK_SIZE,
+        height: DEFAULT_MARK_SIZE,
+      };
+
+    // Whole column: boxes of about the same width centred under the target
+    const column = markColumn && targets.includes(target)
+      ? targets.filter(t =>
+          Math.abs(centre(t).x - centre(target).x) <= Math.max(3, target.width * 0.25) &&
+          Math.abs(t.width - target.width) <= target.width * 0.3 &&
+          !existing.some(m => boxContains(t, centre(m))))
+      : [target];
+
+    for (const t of column) {
+      const inset = Math.min(t.width, t.height) * 0.1;
+      addOverlay(pageNumber, {
+        type: "mark",
+        id: crypto.randomUUID(),
+        left: t.left + inset,
+        top: t.top + inset,
+        width: t.width - inset * 2,
+        height: t.height - inset * 2,
+        mark: markKind,
+        color: fontColorHex,
+      });
+    }
+  }
 
   const lock = (boxId) => socketRef.current?.emit("lock_box", { docId, boxId });
   const unlock = (boxId) => socketRef.current?.emit("unlock_box", { docId, boxId });
@@ -1349,64 +1445,65 @@ export default function PdfEditor({ fileUrl, docId }) {
     // User will now click on PDF to place it
   }
 
+  // pdf-lib can only embed PNG and JPEG; other formats are converted to PNG
+  async function toEmbeddableImage(file, img) {
+    if (file.type === 'image/png' || file.type === 'image/jpeg' || file.type === 'image/jpg') return file;
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth || img.width;
+    canvas.height = img.naturalHeight || img.height;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return new File([blob], `${(file.name || 'image').replace(/\.[^.]+$/, '')}.png`, { type: 'image/png' });
+  }
+
   async function addImage(pageNumber, e) {
     if (tool !== "image" || !selectedImageFile) {
       return;
     }
-    
+
     e.stopPropagation();
     const wrap = wrapperRefs.current[pageNumber];
     if (!wrap) return;
-    
+
     const rect = wrap.getBoundingClientRect();
     const left = e.clientX - rect.left;
     const top = e.clientY - rect.top;
 
     try {
-      // Create image preview URL
-      const imageUrl = URL.createObjectURL(selectedImageFile);
-      
-      // Read image as bytes for embedding
-      const imageBytes = await selectedImageFile.arrayBuffer();
-
       // Get actual image dimensions
+      const previewUrl = URL.createObjectURL(selectedImageFile);
       const img = new Image();
-      img.src = imageUrl;
+      img.src = previewUrl;
       await new Promise((resolve, reject) => {
         img.onload = resolve;
         img.onerror = reject;
         setTimeout(reject, 5000); // 5 second timeout
       });
 
-      // Calculate size to fit nicely (default 150px max on screen)
-      const maxScreenSize = 150;
-      let screenWidth = img.width;
-      let screenHeight = img.height;
-      if (screenWidth > maxScreenSize || screenHeight > maxScreenSize) {
-        const ratio = Math.min(maxScreenSize / screenWidth, maxScreenSize / screenHeight);
-        screenWidth = screenWidth * ratio;
-        screenHeight = screenHeight * ratio;
+      // Images are stored on the server so every client (and the export) can load them
+      const { url } = await uploadImageBlob(await toEmbeddableImage(selectedImageFile, img));
+      URL.revokeObjectURL(previewUrl);
+
+      // Calculate size to fit nicely (default 150pt max)
+      const maxSize = 150;
+      let width = img.width;
+      let height = img.height;
+      if (width > maxSize || height > maxSize) {
+        const ratio = Math.min(maxSize / width, maxSize / height);
+        width = width * ratio;
+        height = height * ratio;
       }
 
-      const imageObj = {
+      addOverlay(pageNumber, {
         id: crypto.randomUUID(),
-        left,
-        top,
-        width: screenWidth,
-        height: screenHeight,
-        imageUrl,
-        imageBytes: new Uint8Array(imageBytes),
-        imageType: selectedImageFile.type,
-      };
+        type: "image",
+        left: left / scale,
+        top: top / scale,
+        width,
+        height,
+        src: url,
+      });
 
-      // Add to state
-      const updatedImages = { ...images, [pageNumber]: [...(images[pageNumber]||[]), imageObj] };
-      setImages(updatedImages);
-      socketRef.current?.emit("add_image", { docId, pageNumber, image: imageObj });
-      
-      // Embed image in PDF (preserves all text boxes)
-      await rebuildPdfWithAllContent(boxes, updatedImages);
-      
       // Reset tool and selected file
       setSelectedImageFile(null);
       if (imageInputRef.current) imageInputRef.current.value = '';
@@ -1419,330 +1516,49 @@ export default function PdfEditor({ fileUrl, docId }) {
     }
   }
 
-  async function embedImageInPdf(pageNumber, imageObj) {
-    try {
-      const bytes = await ensurePdfBytes();
-      const pdfDoc = await PDFDocument.load(bytes);
-      const page = pdfDoc.getPages()[pageNumber - 1];
-      const pageHeight = page.getHeight();
-      
-      // Convert screen coordinates to PDF coordinates
-      // Screen: top-left origin, PDF: bottom-left origin
-      const pdfX = imageObj.left / scale;
-      const pdfY = pageHeight - (imageObj.top / scale) - (imageObj.height / scale);
-      const pdfWidth = imageObj.width / scale;
-      const pdfHeight = imageObj.height / scale;
-
-      // Embed image based on type
-      let pdfImage;
-      try {
-        if (imageObj.imageType === 'image/png') {
-          pdfImage = await pdfDoc.embedPng(imageObj.imageBytes);
-        } else if (imageObj.imageType === 'image/jpeg' || imageObj.imageType === 'image/jpg') {
-          pdfImage = await pdfDoc.embedJpg(imageObj.imageBytes);
-        } else {
-          // Default to PNG for other formats
-          pdfImage = await pdfDoc.embedPng(imageObj.imageBytes);
-        }
-      } catch (embedErr) {
-        console.error('Image embed error:', embedErr);
-        // Try PNG as fallback
-        pdfImage = await pdfDoc.embedPng(imageObj.imageBytes);
-      }
-
-      // Draw image on PDF
-      page.drawImage(pdfImage, {
-        x: Math.max(0, pdfX),
-        y: Math.max(0, pdfY),
-        width: pdfWidth,
-        height: pdfHeight,
-      });
-
-      const newBytes = await pdfDoc.save();
-      const blob = new Blob([newBytes], { type: 'application/pdf' });
-      try {
-        const { url } = await uploadPdfBlob(blob);
-        const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-        setEditedUrl(absolute);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, absolute);
-        if (docId) {
-          const currentImages = { ...images, [pageNumber]: [...(images[pageNumber]||[]), imageObj] };
-          await saveDoc(docId, { boxes, images: currentImages, pdfUrl: url });
-        }
-        setDocVersion(v => v + 1);
-      } catch {
-        const url = URL.createObjectURL(blob);
-        setEditedUrl(url);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, url);
-        setDocVersion(v => v + 1);
-      }
-      await extractTextItems(newBytes, 'all');
-    } catch (err) {
-      console.error('Failed to embed image:', err);
-      alert('Failed to embed image in PDF: ' + err.message);
-    }
-  }
-
-  const updateImage = throttle((pageNumber, imageId, patch) => {
-    setImages(prev => {
-      const arr = prev[pageNumber] || [];
-      const i = arr.findIndex(img => img.id === imageId);
-      if (i < 0) return prev;
-      const clone = [...arr]; clone[i] = { ...clone[i], ...patch };
-      return { ...prev, [pageNumber]: clone };
+  // Draw all overlays into a copy of the template (Download / Submit only).
+  // With redactions the result is read back with pdf.js, and refused when
+  // text in a redacted area can still be extracted.
+  async function flattenPdf() {
+    const bytes = await ensurePdfBytes();
+    const flattened = await flattenOverlays(bytes, boxes, {
+      loadImage: (src) => fetch(assetUrl(src)).then(r => r.arrayBuffer()),
+      fields: fieldValues,
+      flattenFields,
+      templateFields,
+      markupAnnotations,
     });
-    socketRef.current?.emit("update_image", { docId, pageNumber, imageId, patch });
-  }, 30);
-
-  // Re-embed all images on a page (useful after moving/resizing)
-  async function reEmbedAllImagesOnPage(pageNumber, imagesToUse = null) {
-    try {
-      const imagesToEmbed = imagesToUse || images;
-      const pageImages = imagesToEmbed[pageNumber] || [];
-      if (pageImages.length === 0) {
-        // If no images on this page, we need to rebuild PDF without images
-        // Load original PDF and re-embed all images from other pages
-        await rebuildPdfWithImages(imagesToEmbed);
-        return;
-      }
-      
-      // Start from original PDF or current edited PDF
-      const src = fileUrl || editedUrl;
-      if (!src) return;
-      
-      const ab = await fetch(src).then(r => r.arrayBuffer());
-      const bytes = new Uint8Array(ab);
-      const pdfDoc = await PDFDocument.load(bytes);
-      
-      // Re-embed all images from all pages
-      const allPages = Object.keys(imagesToEmbed);
-      for (const pageNum of allPages) {
-        const pageIndex = parseInt(pageNum) - 1;
-        const page = pdfDoc.getPages()[pageIndex];
-        const pageHeight = page.getHeight();
-        const imagesOnPage = imagesToEmbed[pageNum] || [];
-        
-        for (const img of imagesOnPage) {
-          const pdfX = img.left / scale;
-          const pdfY = pageHeight - (img.top / scale) - (img.height / scale);
-          const pdfWidth = img.width / scale;
-          const pdfHeight = img.height / scale;
-
-          let pdfImage;
-          try {
-            if (img.imageType === 'image/png') {
-              pdfImage = await pdfDoc.embedPng(img.imageBytes);
-            } else if (img.imageType === 'image/jpeg' || img.imageType === 'image/jpg') {
-              pdfImage = await pdfDoc.embedJpg(img.imageBytes);
-            } else {
-              pdfImage = await pdfDoc.embedPng(img.imageBytes);
-            }
-          } catch {
-            pdfImage = await pdfDoc.embedPng(img.imageBytes);
-          }
-
-          page.drawImage(pdfImage, {
-            x: Math.max(0, pdfX),
-            y: Math.max(0, pdfY),
-            width: pdfWidth,
-            height: pdfHeight,
-          });
-        }
-      }
-
-      const newBytes = await pdfDoc.save();
-      const blob = new Blob([newBytes], { type: 'application/pdf' });
+    if (Object.values(boxes).some(list => (list || []).some(b => overlayType(b) === 'redact'))) {
+      const pdf = await pdfjsLib.getDocument({ data: flattened.slice() }).promise;
+      let leaks;
       try {
-        const { url } = await uploadPdfBlob(blob);
-        const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-        setEditedUrl(absolute);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, absolute);
-        if (docId) await saveDoc(docId, { boxes, images: imagesToEmbed, pdfUrl: url });
-        setDocVersion(v => v + 1);
-      } catch {
-        const url = URL.createObjectURL(blob);
-        setEditedUrl(url);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, url);
-        setDocVersion(v => v + 1);
+        leaks = await findRedactionLeaks(pdf, boxes);
+      } finally {
+        await pdf.destroy();
+      }
+      if (leaks.length) {
+        const found = leaks.map(l => `page ${l.page}: "${l.text}"`).join(', ');
+        throw Object.assign(new Error(`Redacted text can still be extracted (${found})`), { code: 'REDACTION_LEAK' });
       }
-      await extractTextItems(newBytes, 'all');
-    } catch (err) {
-      console.error('Failed to re-embed images:', err);
     }
+    return flattened;
   }
 
-  // Rebuild PDF from original with all current images
-  async function rebuildPdfWithImages(imagesToUse = null) {
-    try {
-      const imagesToEmbed = imagesToUse || images;
-      // Always start from original PDF to avoid duplicate images
-      const src = fileUrl;
-      if (!src) {
-        // Fallback to editedUrl if fileUrl not available
-        const fallbackSrc = editedUrl;
-        if (!fallbackSrc) return;
-        const ab = await fetch(fallbackSrc).then(r => r.arrayBuffer());
-        const bytes = new Uint8Array(ab);
-        const pdfDoc = await PDFDocument.load(bytes);
-        
-        // Clear page and re-embed (simplified - we'll still have the issue but better than nothing)
-        const allPages = Object.keys(imagesToEmbed);
-        for (const pageNum of allPages) {
-          const pageIndex = parseInt(pageNum) - 1;
-          if (pageIndex >= 0 && pageIndex < pdfDoc.getPageCount()) {
-            const page = pdfDoc.getPages()[pageIndex];
-            const pageHeight = page.getHeight();
-            const imagesOnPage = imagesToEmbed[pageNum] || [];
-            
-            for (const img of imagesOnPage) {
-              const pdfX = img.left / scale;
-              const pdfY = pageHeight - (img.top / scale) - (img.height / scale);
-              const pdfWidth = img.width / scale;
-              const pdfHeight = img.height / scale;
-
-              let pdfImage;
-              try {
-                if (img.imageType === 'image/png') {
-                  pdfImage = await pdfDoc.embedPng(img.imageBytes);
-                } else if (img.imageType === 'image/jpeg' || img.imageType === 'image/jpg') {
-                  pdfImage = await pdfDoc.embedJpg(img.imageBytes);
-                } else {
-                  pdfImage = await pdfDoc.embedPng(img.imageBytes);
-                }
-              } catch {
-                pdfImage = await pdfDoc.embedPng(img.imageBytes);
-              }
-
-              page.drawImage(pdfImage, {
-                x: Math.max(0, pdfX),
-                y: Math.max(0, pdfY),
-                width: pdfWidth,
-                height: pdfHeight,
-              });
-            }
-          }
-        }
-        
-        const newBytes = await pdfDoc.save();
-        const blob = new Blob([newBytes], { type: 'application/pdf' });
-        try {
-          const { url } = await uploadPdfBlob(blob);
-          const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-          setEditedUrl(absolute);
-          setPdfBuffer(newBytes);
-          pushHistory(newBytes, absolute);
-          if (docId) await saveDoc(docId, { boxes, images: imagesToEmbed, pdfUrl: url });
-          setDocVersion(v => v + 1);
-        } catch {
-          const url = URL.createObjectURL(blob);
-          setEditedUrl(url);
-          setPdfBuffer(newBytes);
-          pushHistory(newBytes, url);
-          setDocVersion(v => v + 1);
-        }
-        await extractTextItems(newBytes, 'all');
-        return;
-      }
-      
-      const ab = await fetch(src).then(r => r.arrayBuffer());
-      const bytes = new Uint8Array(ab);
-      const pdfDoc = await PDFDocument.load(bytes);
-      
-      // Re-embed all images from all pages
-      const allPages = Object.keys(imagesToEmbed);
-      for (const pageNum of allPages) {
-        const pageIndex = parseInt(pageNum) - 1;
-        const page = pdfDoc.getPages()[pageIndex];
-        const pageHeight = page.getHeight();
-        const imagesOnPage = imagesToEmbed[pageNum] || [];
-        
-        for (const img of imagesOnPage) {
-          const pdfX = img.left / scale;
-          const pdfY = pageHeight - (img.top / scale) - (img.height / scale);
-          const pdfWidth = img.width / scale;
-          const pdfHeight = img.height / scale;
-
-          let pdfImage;
-          try {
-            if (img.imageType === 'image/png') {
-              pdfImage = await pdfDoc.embedPng(img.imageBytes);
-            } else if (img.imageType === 'image/jpeg' || img.imageType === 'image/jpg') {
-              pdfImage = await pdfDoc.embedJpg(img.imageBytes);
-            } else {
-              pdfImage = await pdfDoc.embedPng(img.imageBytes);
-            }
-          } catch {
-            pdfImage = await pdfDoc.embedPng(img.imageBytes);
-          }
-
-          page.drawImage(pdfImage, {
-            x: Math.max(0, pdfX),
-            y: Math.max(0, pdfY),
-            width: pdfWidth,
-            height: pdfHeight,
-          });
-        }
-      }
-
-      const newBytes = await pdfDoc.save();
-      const blob = new Blob([newBytes], { type: 'application/pdf' });
-      try {
-        const { url } = await uploadPdfBlob(blob);
-        const absolute = `${SOCKET_URL}${url}?v=${Date.now()}`;
-        setEditedUrl(absolute);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, absolute);
-        if (docId) await saveDoc(docId, { boxes, images: imagesToEmbed, pdfUrl: url });
-        setDocVersion(v => v + 1);
-      } catch {
-        const url = URL.createObjectURL(blob);
-        setEditedUrl(url);
-        setPdfBuffer(newBytes);
-        pushHistory(newBytes, url);
-        setDocVersion(v => v + 1);
-      }
-      await extractTextItems(newBytes, 'all');
-    } catch (err) {
-      console.error('Failed to rebuild PDF with images:', err);
-    }
+  // Upload the flattened PDF and record it as the doc's output (state.pdfUrl)
+  async function saveFlattenedPdf() {
+    const bytes = await flattenPdf();
+    const { url } = await uploadPdfBlob(new Blob([bytes], { type: 'application/pdf' }));
+    if (docId) await saveDoc(docId, { boxes, pdfUrl: url });
+    return { url, bytes };
   }
 
-  const deleteImage = async (pageNumber, imageId) => {
-    // Remove from state and get updated images
-    let updatedImages;
-    setImages(prev => {
-      const remaining = (prev[pageNumber] || []).filter(img => img.id !== imageId);
-      updatedImages = { ...prev, [pageNumber]: remaining };
-      return updatedImages;
-    });
-    
-    socketRef.current?.emit("delete_image", { docId, pageNumber, imageId });
-    
-    // Rebuild PDF with remaining images and all text boxes
-    await rebuildPdfWithAllContent(boxes, updatedImages);
-  };
+  useImperativeHandle(ref, () => ({ flattenPdf, saveFlattenedPdf }));
 
-  // Download the current edited PDF
+  // Download the current document with all overlays flattened
   async function handleDownload() {
     try {
-      let blob;
-      if (pdfBuffer && pdfBuffer.length > 0) {
-        // Use current in-memory buffer (most up-to-date)
-        blob = new Blob([pdfBuffer], { type: 'application/pdf' });
-      } else {
-        // Fallback: fetch from URL
-        const url = editedUrl || fileUrl;
-        if (!url) {
-          alert('No PDF available to download');
-          return;
-        }
-        const response = await fetch(url);
-        blob = await response.blob();
-      }
+      const bytes = await flattenPdf();
+      const blob = new Blob([bytes], { type: 'application/pdf' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
@@ -1753,13 +1569,13 @@ export default function PdfEditor({ fileUrl, docId }) {
       URL.revokeObjectURL(url);
     } catch (err) {
       console.error('Download failed:', err);
-      alert('Failed to download PDF');
+      alert(err.code === 'REDACTION_LEAK' ? err.message : 'Failed to download PDF');
     }
   }
 
   // focus inline editor when set
   useEffect(() => {
-    if (inlineEditorRef.current && (editBlock || activeLineEdit)) {
+    if (inlineEditorRef.current && activeLineEdit) {
       inlineEditorRef.current.focus();
       const range = document.createRange();
       range.selectNodeContents(inlineEditorRef.current);
@@ -1768,29 +1584,79 @@ export default function PdfEditor({ fileUrl, docId }) {
       sel.removeAllRanges();
       sel.addRange(range);
       try {
-        const boldSource = activeLineEdit?.line?.isBold || (editBlock && editBlock.item && editBlock.item.isBold);
-        const italicSource = activeLineEdit?.line?.isItalic || (editBlock && editBlock.item && editBlock.item.isItalic);
-        if (boldSource) document.execCommand('bold');
-        if (italicSource) document.execCommand('italic');
+        if (activeLineEdit.line?.isBold) document.execCommand('bold');
+        if (activeLineEdit.line?.isItalic) document.execCommand('italic');
       } catch {
         // ignore
       }
     }
-  }, [editBlock, activeLineEdit]);
+  }, [activeLineEdit]);
 
   useEffect(() => {
     activeBoxIdRef.current = activeBoxId;
   }, [activeBoxId]);
 
+  // Text boxes whose text runs past their edges (flagged on screen; the
+  // export draws the text all the same)
+  useEffect(() => {
+    flagOverflowingTextBoxes(textBoxRefs.current, setOverflowingBoxIds);
+  }, [boxes, scale]);
+
+  const selectedTextBoxData = selectedTextBox
+    ? (boxes[selectedTextBox.pageNumber] || []).find(b => b.id === selectedTextBox.id && overlayType(b) === 'text')
+    : null;
+
+  // Line height for new text boxes and for the text box edited last
+  function handleLineHeightChange(lineHeight) {
+    setLineHeightInput(lineHeight);
+    if (selectedTextBoxData) {
+      patchBox(selectedTextBox.pageNumber, selectedTextBox.id, { lineHeight });
+      commitChange();
+    }
+  }
+
+  // Style panel changes; italic is set on every run so styled runs follow it
+  function handleTextBoxStyle(patch) {
+    if (!selectedTextBoxData) return;
+    const runs = selectedTextBoxData.runs;
+    const fullPatch = 'isItalic' in patch && runs?.length
+      ? { ...patch, runs: runs.map(run => ({ ...run, italic: patch.isItalic })) }
+      : patch;
+    patchBox(selectedTextBox.pageNumber, selectedTextBox.id, fullPatch);
+    commitChange();
+  }
+
+  // Style the text selected in a text box when it was left (toolbar size and color)
+  function styleTextSelection(patch) {
+    const target = textSelectionRef.current;
+    const box = target && (boxes[target.pageNumber] || []).find(b => b.id === target.id);
+    if (!box) return;
+    patchBox(target.pageNumber, target.id, { runs: styleRuns(textBoxRunsOf(box), target.start, target.end, patch) });
+    commitChange();
+  }
+
+  // Bold/italic/underline for the selection in the focused text box, or
+  // (bold and italic) the inline line editor; false when neither has focus
+  function formatSelection(command) {
+    const focused = document.activeElement;
+    const activeBoxEl = activeBoxIdRef.current ? textBoxRefs.current[activeBoxIdRef.current] : null;
+    const inlineEl = command !== 'underline' ? inlineEditorRef.current : null;
+    const target = [inlineEl, activeBoxEl].find(el => el && el === focused);
+    if (!target) return false;
+    document.execCommand(command);
+    target.focus();
+    return true;
+  }
+
   useEffect(() => {
     let cancelled = false;
     async function hydrateBackground() {
-      if (!editBlock) {
+      if (!activeLineEdit) {
         setEditOverlayBgHex('#ffffff');
         return;
       }
       try {
-        const sampled = await sampleBackgroundColorForItem(editBlock.pageNumber || 1, editBlock.item);
+        const sampled = await sampleBackgroundColorForItem(activeLineEdit.pageNumber || 1, activeLineEdit.line);
         if (!cancelled && sampled) {
           setEditOverlayBgHex(rgbToHex(sampled.r, sampled.g, sampled.b));
         } else if (!cancelled) {
@@ -1802,88 +1668,190 @@ export default function PdfEditor({ fileUrl, docId }) {
     }
     hydrateBackground();
     return () => { cancelled = true; };
-  }, [editBlock]);
+  }, [activeLineEdit, sampleBackgroundColorForItem]);
 
   // Intentionally do not bind to native text layer clicks.
   // We open editors only via our invisible overlay rectangles, which
   // are derived from pdf.js text extraction and thus have stable
   // coordinates for pdf-lib edits.
 
+  const markupControls = (
+    <>
+      <button onClick={() => setTool("markup")} disabled={tool==="markup"} title="Highlight, underline or strike out text; draw shapes and ink">Markup</button>
+      {tool === "markup" && (
+        <>
+          <MarkupPicker value={markupKind} onChange={setMarkupKind} />
+          <input type="color" value={markupColors[markupColorKey]}
+                 onChange={(e) => setMarkupColors(prev => ({ ...prev, [markupColorKey]: e.target.value }))}
+                 style={{ marginLeft: 4 }} title="Markup color" />
+          {markupKind !== "highlight" && (
+            <input type="number" min={0.5} max={20} step={0.5} value={markupStrokeWidth}
+                   onChange={(e) => setMarkupStrokeWidth(Number(e.target.value) || 2)}
+                   style={{ width: 52, marginLeft: 4 }} title="Stroke width (points)" />
+          )}
+        </>
+      )}
+    </>
+  );
+
   return (
     <div className="viewer">
       <div className="toolbar">
-        <strong>Tool:</strong>
-        <button onClick={() => setTool("select")} disabled={tool==="select"}>Select</button>
-        <button onClick={() => setTool("text")} disabled={tool==="text"}>Text</button>
-        <button 
-          onClick={() => {
-            if (tool === "image") {
-              setTool("select");
-              setSelectedImageFile(null);
-            } else {
-              imageInputRef.current?.click();
-            }
-          }} 
-          style={{ marginLeft: 4, backgroundColor: tool === "image" ? "#1976d2" : "", color: tool === "image" ? "white" : "" }}
-        >
-          {tool === "image" ? "Cancel Image" : "Image/Signature"}
-        </button>
-        <input
-          ref={imageInputRef}
-          type="file"
-          accept="image/*"
-          style={{ display: 'none' }}
-          onChange={handleImageFileSelect}
-        />
-        <button onClick={() => setTool("delete")} disabled={tool==="delete"}>Delete</button>
-        <button
-          onClick={() => {
-            // If an inline editor or a focused text box is active, toggle bold for the selection
-            const focused = document.activeElement;
-            const inlineEl = inlineEditorRef.current;
-            const activeBoxEl = activeBoxIdRef.current ? textBoxRefs.current[activeBoxIdRef.current] : null;
-            if (inlineEl && focused === inlineEl) {
-              document.execCommand('bold');
-              inlineEl.focus();
-              return;
-            }
-            if (activeBoxEl && focused === activeBoxEl) {
-              document.execCommand('bold');
-              activeBoxEl.focus();
-              return;
-            }
-            // Fallback: toggle default bold for new boxes
-            setBoldToggle(b=>!b);
-          }}
-          style={{ marginLeft: 12, fontWeight: boldToggle?700:400 }}
-        >
-          B
-        </button>
-        <input type="number" min={6} max={96} value={fontSizeInput}
-               onChange={(e)=>setFontSizeInput(e.target.value)}
-               style={{ width: 64, marginLeft: 8 }} title="Font size" />
-        <input type="color" value={fontColorHex} onChange={(e)=>setFontColorHex(e.target.value)}
-               style={{ marginLeft: 6 }} title="Font color" />
-        <button onClick={handleUndo} disabled={!canUndo} style={{ marginLeft: 8 }}>Undo</button>
-        <button onClick={handleRedo} disabled={!canRedo} style={{ marginLeft: 4 }}>Redo</button>
-        <button onClick={handleDownload} style={{ marginLeft: 12, backgroundColor: '#4CAF50', color: 'white', border: 'none', padding: '4px 12px', borderRadius: '4px', cursor: 'pointer' }}>
-          Download PDF
-        </button>
+        {designing && (
+          <div style={{ flex: 1 }}>
+            <FieldDesignPanel
+              field={designFields.find(f => f.id === selectedFieldId)}
+              count={designFields.length}
+              newType={newFieldType}
+              onNewTypeChange={setNewFieldType}
+              onChange={(patch) => updateDesignField(selectedFieldId, patch)}
+              onDelete={() => {
+                setDesignFields(prev => prev.filter(f => f.id !== selectedFieldId));
+                setSelectedFieldId(null);
+              }}
+              onSave={handleSaveDesign}
+              onClose={onClose}
+              saving={designSaving}
+              error={designError}
+              readOnly={readOnly}
+              suggestionCount={fieldSuggestions.length}
+              suggesting={suggesting}
+              onSuggest={handleSuggestFields}
+              onAcceptAll={() => acceptSuggestions(fieldSuggestions.map(s => s.id))}
+              onRejectAll={() => setFieldSuggestions([])}
+            />
+          </div>
+        )}
+        {freeCanvas && (
+          <>
+          <strong>Tool:</strong>
+          <button onClick={() => setTool("select")} disabled={tool==="select"}>Select</button>
+          <button onClick={() => setTool("text")} disabled={tool==="text"}>Text</button>
+          <button 
+            onClick={() => {
+              if (tool === "image") {
+                setTool("select");
+                setSelectedImageFile(null);
+              } else {
+                imageInputRef.current?.click();
+              }
+            }} 
+            style={{ marginLeft: 4, backgroundColor: tool === "image" ? "#1976d2" : "", color: tool === "image" ? "white" : "" }}
+          >
+            {tool === "image" ? "Cancel Image" : "Image/Signature"}
+          </button>
+          <input
+            ref={imageInputRef}
+            type="file"
+            accept="image/*"
+            style={{ display: 'none' }}
+            onChange={handleImageFileSelect}
+          />
+          <button onClick={() => setTool("table")} disabled={tool==="table"} title="Drag over a grid to fill it cell by cell">Table</button>
+          <button onClick={() => setTool("mark")} disabled={tool==="mark"} title="Place ✓ / ✗ / N/A in checklist boxes">Mark</button>
+          <button onClick={() => setTool("redact")} disabled={tool==="redact"} title="Drag over areas whose content is removed from the exported PDF">Redact</button>
+          {tool === "mark" && (
+            <>
+              <MarkPicker value={markKind} onChange={setMarkKind} />
+              <label style={{ marginLeft: 6, fontSize: 13 }} title="Mark every box in the clicked column">
+                <input type="checkbox" checked={markColumn} onChange={(e) => setMarkColumn(e.target.checked)} />
+                {' '}Whole column
+              </label>
+            </>
+          )}
+          {markupControls}
+          <button onClick={() => setTool("delete")} disabled={tool==="delete"}>Delete</button>
+          <button
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => {
+              // Bold for the selection being edited, else the default for new boxes
+              if (!formatSelection('bold')) setBoldToggle(b=>!b);
+            }}
+            style={{ marginLeft: 12, fontWeight: boldToggle?700:400 }}
+          >
+            B
+          </button>
+          <button onMouseDown={(e) => e.preventDefault()} onClick={() => formatSelection('italic')}
+                  style={{ marginLeft: 4, fontStyle: 'italic' }} title="Italic (selected text)">
+            I
+          </button>
+          <button onMouseDown={(e) => e.preventDefault()} onClick={() => formatSelection('underline')}
+                  style={{ marginLeft: 4, textDecoration: 'underline' }} title="Underline (selected text of a text box)">
+            U
+          </button>
+          <input type="number" min={6} max={96} value={fontSizeInput}
+                 onChange={(e) => {
+                   setFontSizeInput(e.target.value);
+                   if (Number(e.target.value) >= 6) styleTextSelection({ size: Number(e.target.value) });
+                 }}
+                 style={{ width: 64, marginLeft: 8 }} title="Font size (new text, and text selected in a text box)" />
+          <select value={lineHeightInput} onChange={(e) => handleLineHeightChange(Number(e.target.value))}
+                  style={{ marginLeft: 6 }} title="Line height of text boxes (new ones and the one edited last)">
+            {TEXT_BOX_LINE_HEIGHTS.map(h => <option key={h} value={h}>{h}×</option>)}
+          </select>
+          <input type="color" value={fontColorHex}
+                 onChange={(e) => {
+                   setFontColorHex(e.target.value);
+                   styleTextSelection({ color: e.target.value });
+                 }}
+                 style={{ marginLeft: 6 }} title="Font color (new text, and text selected in a text box)" />
+          <button onClick={handleUndo} disabled={!canUndo} style={{ marginLeft: 8 }}>Undo</button>
+          <button onClick={handleRedo} disabled={!canRedo} style={{ marginLeft: 4 }}>Redo</button>
+          </>
+        )}
+        {markupTools && !freeCanvas && (
+          <>
+          <strong>Tool:</strong>
+          <button onClick={() => setTool("select")} disabled={tool==="select"}>Select</button>
+          {markupControls}
+          <button onClick={() => setTool("delete")} disabled={tool==="delete"}>Delete</button>
+          <button onClick={handleUndo} disabled={!canUndo} style={{ marginLeft: 8 }}>Undo</button>
+          <button onClick={handleRedo} disabled={!canRedo} style={{ marginLeft: 4 }}>Redo</button>
+          </>
+        )}
+        {!designing && (
+          <button onClick={handleDownload} style={{ marginLeft: 12, backgroundColor: '#4CAF50', color: 'white', border: 'none', padding: '4px 12px', borderRadius: '4px', cursor: 'pointer' }}>
+            Download PDF
+          </button>
+        )}
+        {!designing && formFields.length > 0 && (
+          <label style={{ marginLeft: 12, fontSize: 13 }} title="Keep the PDF's form fields editable in the downloaded/submitted file">
+            <input type="checkbox" checked={!flattenFields} onChange={(e) => handleFlattenFieldsChange(!e.target.checked)} />
+            {' '}Keep fields fillable
+          </label>
+        )}
+        {!designing && Object.values(boxes).some(list => (list || []).some(b => ['markup', 'shape'].includes(overlayType(b)))) && (
+          <label style={{ marginLeft: 12, fontSize: 13 }} title="Export highlights and shapes as PDF comments that viewers can list, edit or remove">
+            <input type="checkbox" checked={markupAnnotations} onChange={(e) => handleMarkupAnnotationsChange(e.target.checked)} />
+            {' '}Markup as comments
+          </label>
+        )}
         <span style={{flex:1}}/>
         <button onClick={() => { setAutoFitEnabled(false); setScale(s => Math.max(0.5, s-0.1)); }}>-</button>
         <div style={{padding:"0 .5rem"}}>{Math.round(scale*100)}%</div>
         <button onClick={() => { setAutoFitEnabled(false); setScale(s => Math.min(2.0, s+0.1)); }}>+</button>
       </div>
       {/* removed standalone Add-to-PDF panel to simplify UX for direct inline editing */}
-
-      <Document key={`doc_${docVersion}`} file={editedUrl || fileUrl} onLoadSuccess={onDocLoadSuccess} loading="Loading PDF...">
+      {!designing && selectedTextBoxData && (
+        <TextBoxStylePanel box={selectedTextBoxData} onChange={handleTextBoxStyle} onClose={() => setSelectedTextBox(null)} />
+      )}
+      {fontNotice && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '4px 8px', marginBottom: 6, fontSize: 13, backgroundColor: '#fff8e1', border: '1px solid #ffcc80', borderRadius: 4 }}>
+          <span style={{ flex: 1 }}>{fontNotice}</span>
+          <button onClick={() => setFontNotice("")} title="Dismiss">✕</button>
+        </div>
+      )}
+
+      <Document file={fileUrl} onLoadSuccess={onDocLoadSuccess} loading="Loading PDF...">
         {Array.from(new Array(numPages || 0), (_, i) => (
           <div
             key={`page_${i+1}`}
             className="pageWrap"
             ref={(el) => (wrapperRefs.current[i+1] = el)}
-            onDoubleClick={(e) => handleQuickAddTextBox(i + 1, e)}
+            onDoubleClick={(e) => freeCanvas && handleQuickAddTextBox(i + 1, e)}
             onClick={(e) => {
+              textSelectionRef.current = null;
+              if (!freeCanvas) return;
               if (tool === "text") {
                 addTextBox(i + 1, e);
               } else if (tool === "image") {
@@ -1900,395 +1868,489 @@ export default function PdfEditor({ fileUrl, docId }) {
               onRenderTextLayerSuccess={(layerDiv) => handleTextLayerRender(i + 1, layerDiv)}
             />
 
-            {/* Transparent hit areas for native PDF lines */}
-            {(textLinesByPage[i+1] || []).map((line) => {
-              const pageMetrics = pageSizes[i+1] || pageSizes[1] || DEFAULT_PAGE_SIZE;
-              const topPx = (pageMetrics.height - line.y) * scale;
-              const leftPx = line.x * scale;
-              const heightPx = (line.height || line.fontSize || 12) * scale;
-              const widthPx = (line.width || (line.text?.length || 1) * (line.fontSize || 12) * 0.6) * scale;
-              return (
-                <div
-                  key={line.id}
-                  style={{
-                    position: 'absolute',
-                    left: leftPx,
-                    top: topPx - (heightPx * 0.8),
-                    width: Math.max(widthPx, 2),
-                    height: Math.max(heightPx * 1.2, 12),
-                    backgroundColor: 'rgba(25,118,210,0.15)',
-                    border: '1px dashed rgba(25,118,210,0.4)',
-                    opacity: activeLineEdit && activeLineEdit.lineId === line.id ? 0.8 : 0,
-                    cursor: 'text',
-                    pointerEvents: 'auto',
-                    zIndex: 25,
-                    transition: 'opacity 120ms ease',
-                  }}
-                  onMouseEnter={(e) => {
-                    e.currentTarget.style.opacity = '0.35';
-                  }}
-                  onMouseLeave={(e) => {
-                    if (!activeLineEdit || activeLineEdit.lineId !== line.id) {
-                      e.currentTarget.style.opacity = '0';
+            {designing ? (
+              <FieldDesignLayer
+                fields={designFields.filter(f => f.page === i + 1)}
+                scale={scale}
+                selectedId={selectedFieldId}
+                onSelect={setSelectedFieldId}
+                onAdd={readOnly ? undefined : (rect) => addDesignField(i + 1, rect)}
+                onChange={updateDesignField}
+                suggestions={fieldSuggestions.filter(s => s.page === i + 1)}
+                onAcceptSuggestion={(id) => acceptSuggestions([id])}
+                onRejectSuggestion={rejectSuggestion}
+              />
+            ) : (
+              // Native AcroForm fields and admin-defined template fields
+              <FormFieldLayer
+                fields={fillFields.filter(f => f.page === i + 1)}
+                values={fieldValues}
+                scale={scale}
+                onChange={setFieldValue}
+              />
+            )}
+
+            {markupTools && (
+              <>
+              {(boxes[i+1] || []).filter(b => overlayType(b) === 'markup' || overlayType(b) === 'shape').map((m) => (
+                <MarkupOverlay
+                  key={m.id}
+                  item={m}
+                  scale={scale}
+                  interactive={tool === "delete" || tool === "select"}
+                  cursor={tool === "delete" ? 'pointer' : tool === "select" && overlayType(m) === 'shape' ? 'move' : 'default'}
+                  onMouseDown={(e) => {
+                    if (tool === "delete") {
+                      e.preventDefault();
+                      deleteBox(i + 1, m.id);
+                    } else if (tool === "select" && overlayType(m) === 'shape') {
+                      // Markups stay on the text they mark; shapes move
+                      startBoxDrag(i + 1, m.id, e, (dx, dy) => ({ left: m.left + dx, top: m.top + dy }));
                     }
                   }}
-                  onClick={(e) => beginInlineLineEdit(i + 1, line, e)}
                 />
-              );
-            })}
-
-            {/* Inline editor overlay when editing a real PDF line */}
-            {activeLineEdit && activeLineEdit.pageNumber === i + 1 && (() => {
-              const { bbox, line } = activeLineEdit;
-              const pageMetrics = pageSizes[i+1] || pageSizes[1] || DEFAULT_PAGE_SIZE;
-              const baselineTopPx = (pageMetrics.height - bbox.y) * scale;
-              const leftPx = bbox.x * scale;
-              const heightPx = (bbox.height || line.fontSize || 12) * scale;
-              const overlayTopPx = baselineTopPx - (heightPx * 0.8);
-              return (
-                <div
-                  key="line-editor"
-                  style={{
-                    position: 'absolute',
-                    left: leftPx,
-                    top: Math.max(0, overlayTopPx),
-                    zIndex: 40,
-                    minWidth: Math.max(60, bbox.width * scale),
-                  }}
-                >
+              ))}
+              {tool === "markup" && (
+                <MarkupDrawLayer
+                  scale={scale}
+                  kind={markupKind}
+                  color={markupColors[markupColorKey]}
+                  strokeWidth={markupStrokeWidth}
+                  lines={textLinesByPage[i+1]}
+                  pageHeight={(pageSizes[i+1] || pageSizes[1] || DEFAULT_PAGE_SIZE).height}
+                  onDraw={(item) => addMarkup(i + 1, item)}
+                />
+              )}
+              </>
+            )}
+
+            {freeCanvas && (
+              <>
+              {/* Transparent hit areas for native PDF lines */}
+              {(textLinesByPage[i+1] || []).map((line) => {
+                const pageMetrics = pageSizes[i+1] || pageSizes[1] || DEFAULT_PAGE_SIZE;
+                const topPx = (pageMetrics.height - line.y) * scale;
+                const leftPx = line.x * scale;
+                const heightPx = (line.height || line.fontSize || 12) * scale;
+                const widthPx = (line.width || (line.text?.length || 1) * (line.fontSize || 12) * 0.6) * scale;
+                return (
                   <div
-                    ref={inlineEditorRef}
-                    contentEditable
-                    suppressContentEditableWarning
-                    dir="ltr"
+                    key={line.id}
                     style={{
-                      minWidth: Math.max(60, bbox.width * scale),
-                      minHeight: heightPx,
-                      outline: 'none',
-                      backgroundColor: editOverlayBgHex,
-                      borderRadius: 2,
-                      boxShadow: '0 0 0 1px rgba(0,0,0,0.1)',
-                      fontSize: (line.fontSize || 12) * scale,
-                      lineHeight: `${(line.fontSize || 12) * scale}px`,
-                      fontFamily: 'Helvetica, Arial, sans-serif',
-                      color: line.color ? rgbToHex(line.color.r, line.color.g, line.color.b) : '#000000',
-                      padding: '2px 4px',
-                      direction: 'ltr',
-                      textAlign: 'left',
-                      unicodeBidi: 'plaintext',
-                      whiteSpace: 'pre-wrap',
-                      writingMode: 'horizontal-tb',
-                      caretColor: '#1976d2',
+                      position: 'absolute',
+                      left: leftPx,
+                      top: topPx - (heightPx * 0.8),
+                      width: Math.max(widthPx, 2),
+                      height: Math.max(heightPx * 1.2, 12),
+                      backgroundColor: 'rgba(25,118,210,0.15)',
+                      border: '1px dashed rgba(25,118,210,0.4)',
+                      opacity: activeLineEdit && activeLineEdit.lineId === line.id ? 0.8 : 0,
+                      cursor: 'text',
+                      pointerEvents: 'auto',
+                      zIndex: 25,
+                      transition: 'opacity 120ms ease',
                     }}
-                    onInput={(e) => {
-                      const val = e.currentTarget.textContent || "";
-                      lineEditorValueRef.current = val;
+                    onMouseEnter={(e) => {
+                      e.currentTarget.style.opacity = '0.35';
                     }}
-                    onBlur={(e)=>{
-                      const val = lineEditorValueRef.current || e.currentTarget.textContent || "";
-                      setLineEditorValue(val);
-                      handleSaveTextEditInline(val);
-                      setActiveLineEdit(null);
+                    onMouseLeave={(e) => {
+                      if (!activeLineEdit || activeLineEdit.lineId !== line.id) {
+                        e.currentTarget.style.opacity = '0';
+                      }
                     }}
-                    onKeyDown={(e)=>{
-                      if(e.key==='Enter') {
-                        e.preventDefault();
-                        const val = lineEditorValueRef.current || inlineEditorRef.current?.textContent || "";
+                    onClick={(e) => beginInlineLineEdit(i + 1, line, e)}
+                  />
+                );
+              })}
+
+              {/* Inline editor overlay when editing a real PDF line */}
+              {activeLineEdit && activeLineEdit.pageNumber === i + 1 && (() => {
+                const { bbox, line } = activeLineEdit;
+                const pageMetrics = pageSizes[i+1] || pageSizes[1] || DEFAULT_PAGE_SIZE;
+                const baselineTopPx = (pageMetrics.height - bbox.y) * scale;
+                const leftPx = bbox.x * scale;
+                const heightPx = (bbox.height || line.fontSize || 12) * scale;
+                const overlayTopPx = baselineTopPx - (heightPx * 0.8);
+                return (
+                  <div
+                    key="line-editor"
+                    style={{
+                      position: 'absolute',
+                      left: leftPx,
+                      top: Math.max(0, overlayTopPx),
+                      zIndex: 40,
+                      minWidth: Math.max(60, bbox.width * scale),
+                    }}
+                  >
+                    <div
+                      ref={inlineEditorRef}
+                      contentEditable
+                      suppressContentEditableWarning
+                      dir="ltr"
+                      style={{
+                        minWidth: Math.max(60, bbox.width * scale),
+                        minHeight: heightPx,
+                        outline: 'none',
+                        backgroundColor: editOverlayBgHex,
+                        borderRadius: 2,
+                        boxShadow: '0 0 0 1px rgba(0,0,0,0.1)',
+                        fontSize: (line.fontSize || 12) * scale,
+                        lineHeight: `${(line.fontSize || 12) * scale}px`,
+                        fontFamily: cssFontFamily(line.font),
+                        color: line.color ? rgbToHex(line.color.r, line.color.g, line.color.b) : '#000000',
+                        padding: '2px 4px',
+                        direction: 'ltr',
+                        textAlign: 'left',
+                        unicodeBidi: 'plaintext',
+                        whiteSpace: 'pre-wrap',
+                        writingMode: 'horizontal-tb',
+                        caretColor: '#1976d2',
+                      }}
+                      onInput={(e) => {
+                        const val = e.currentTarget.textContent || "";
+                        lineEditorValueRef.current = val;
+                      }}
+                      onBlur={(e)=>{
+                        const val = lineEditorValueRef.current || e.currentTarget.textContent || "";
                         setLineEditorValue(val);
                         handleSaveTextEditInline(val);
                         setActiveLineEdit(null);
-                      } else if (e.key==='Escape') {
-                        setActiveLineEdit(null);
-                      } else if (e.key === 'Delete' && !(lineEditorValueRef.current || "").length) {
+                      }}
+                      onKeyDown={(e)=>{
+                        if(e.key==='Enter') {
+                          e.preventDefault();
+                          const val = lineEditorValueRef.current || inlineEditorRef.current?.textContent || "";
+                          setLineEditorValue(val);
+                          handleSaveTextEditInline(val);
+                          setActiveLineEdit(null);
+                        } else if (e.key==='Escape') {
+                          setActiveLineEdit(null);
+                        } else if (e.key === 'Delete' && !(lineEditorValueRef.current || "").length) {
+                          e.preventDefault();
+                          handleDeleteTextInline();
+                        }
+                      }}
+                    >
+                      {lineEditorValueRef.current}
+                    </div>
+                  </div>
+                );
+              })()}
+
+              {/* Replacements for original PDF lines (covered on export, see shared/pdf/flatten.js) */}
+              {(boxes[i+1] || []).filter(b => overlayType(b) === 'lineEdit').map((b) => {
+                if (activeLineEdit && activeLineEdit.lineId === b.lineId) return null;
+                const pageMetrics = pageSizes[i+1] || pageSizes[1] || DEFAULT_PAGE_SIZE;
+                const coverHex = rgbToHex(...['r', 'g', 'b'].map(k => b.coverColor?.[k] ?? 1));
+                const textTop = pageMetrics.height - b.baseline.y - b.fontSize * baselineOffset(1);
+                const runs = b.runs?.length ? b.runs : [{ text: b.text, bold: b.isBold, italic: b.isItalic }];
+                return (
+                  <div
+                    key={b.id}
+                    style={{
+                      position: 'absolute',
+                      left: b.left * scale,
+                      top: b.top * scale,
+                      width: b.width * scale,
+                      height: b.height * scale,
+                      backgroundColor: coverHex,
+                      pointerEvents: 'none',
+                      zIndex: 20,
+                    }}
+                  >
+                    <span
+                      style={{
+                        position: 'absolute',
+                        left: (b.baseline.x - b.left) * scale,
+                        top: (textTop - b.top) * scale,
+                        fontSize: b.fontSize * scale,
+                        lineHeight: `${b.fontSize * scale}px`,
+                        fontFamily: cssFontFamily(b.font),
+                        color: b.color ? rgbToHex(b.color.r, b.color.g, b.color.b) : '#000000',
+                        backgroundColor: coverHex,
+                        whiteSpace: 'pre',
+                      }}
+                    >
+                      {runs.map((run, idx) => (
+                        <span key={idx} style={{ fontWeight: run.bold ? 700 : 400, fontStyle: run.italic ? 'italic' : 'normal' }}>
+                          {run.text}
+                        </span>
+                      ))}
+                    </span>
+                  </div>
+                );
+              })}
+
+              {/* Image overlay layer */}
+              {(boxes[i+1] || []).filter(b => overlayType(b) === 'image').map((img) => {
+                const isSelected = tool === "select";
+                return (
+                  <div
+                    key={img.id}
+                    style={{
+                      position: 'absolute',
+                      left: img.left * scale,
+                      top: img.top * scale,
+                      width: img.width * scale,
+                      height: img.height * scale,
+                      border: isSelected ? '2px solid #1976d2' : '2px solid transparent',
+                      cursor: tool === "delete" ? 'pointer' : 'move',
+                      zIndex: 40,
+                      pointerEvents: 'auto',
+                    }}
+                    onMouseDown={(e) => {
+                      e.stopPropagation();
+                      if (tool === "delete") {
                         e.preventDefault();
-                        handleDeleteTextInline();
+                        deleteBox(i+1, img.id);
+                        return;
                       }
+                      if (tool !== "select") return;
+                      startBoxDrag(i+1, img.id, e, (dx, dy) => ({ left: img.left + dx, top: img.top + dy }));
                     }}
                   >
-                    {lineEditorValueRef.current}
+                    <img
+                      src={assetUrl(img.src)}
+                      alt="PDF annotation"
+                      style={{
+                        width: '100%',
+                        height: '100%',
+                        objectFit: 'contain',
+                        pointerEvents: 'none',
+                      }}
+                      draggable={false}
+                    />
+                    {/* Resize handles when selected */}
+                    {isSelected && (
+                      <>
+                        {/* Bottom-right resize handle */}
+                        <div
+                          style={{
+                            position: 'absolute',
+                            right: -5,
+                            bottom: -5,
+                            width: 10,
+                            height: 10,
+                            backgroundColor: '#1976d2',
+                            border: '2px solid white',
+                            borderRadius: '50%',
+                            cursor: 'nwse-resize',
+                            zIndex: 41,
+                          }}
+                          onMouseDown={(e) => {
+                            e.stopPropagation();
+                            const aspectRatio = img.width / img.height;
+                            startBoxDrag(i+1, img.id, e, (dx) => {
+                              const width = Math.max(50 / scale, img.width + dx);
+                              return { width, height: width / aspectRatio };
+                            });
+                          }}
+                        />
+                      </>
+                    )}
                   </div>
-                </div>
-              );
-            })()}
-
-            {/* Image overlay layer */}
-            {(images[i+1] || []).map((img) => {
-              const isSelected = tool === "select";
-              return (
-                <div
-                  key={img.id}
-                  style={{
-                    position: 'absolute',
-                    left: img.left,
-                    top: img.top,
-                    width: img.width,
-                    height: img.height,
-                    border: isSelected ? '2px solid #1976d2' : '2px solid transparent',
-                    cursor: tool === "delete" ? 'pointer' : 'move',
-                    zIndex: 40,
-                    pointerEvents: 'auto',
+                );
+              })}
+
+              {(boxes[i+1] || []).filter(b => overlayType(b) === 'table').map((t) => (
+                <TableOverlay
+                  key={t.id}
+                  table={t}
+                  scale={scale}
+                  movable={tool === "select"}
+                  onCellChange={(row, col, text) => setTableCell(i + 1, t, row, col, text)}
+                  onCommit={commitChange}
+                  onChange={(patch) => {
+                    patchBox(i + 1, t.id, patch);
+                    commitChange();
                   }}
+                  onDragStart={(e) => startBoxDrag(i + 1, t.id, e, (dx, dy) => ({ left: t.left + dx, top: t.top + dy }))}
+                  onDelete={() => deleteBox(i + 1, t.id)}
+                />
+              ))}
+              {(boxes[i+1] || []).filter(b => overlayType(b) === 'mark').map((m) => (
+                <MarkOverlay
+                  key={m.id}
+                  mark={m}
+                  scale={scale}
+                  cursor={tool === "delete" ? 'pointer' : tool === "select" ? 'move' : 'default'}
                   onMouseDown={(e) => {
-                    e.stopPropagation();
                     if (tool === "delete") {
                       e.preventDefault();
-                      deleteImage(i+1, img.id);
-                      return;
-                    }
-                    if (tool !== "select") return;
-                    
-                    const startX = e.clientX;
-                    const startY = e.clientY;
-                    const startLeft = img.left;
-                    const startTop = img.top;
-                    let moved = false;
-                    
-                    const move = (ev) => {
-                      const dx = ev.clientX - startX;
-                      const dy = ev.clientY - startY;
-                      if (!moved && (Math.abs(dx) > 3 || Math.abs(dy) > 3)) {
-                        moved = true;
-                      }
-                      if (moved) {
-                        const newLeft = startLeft + dx;
-                        const newTop = startTop + dy;
-                        updateImage(i+1, img.id, { 
-                          left: newLeft, 
-                          top: newTop 
-                        });
-                      }
-                    };
-                    
-                    const up = async () => {
-                      window.removeEventListener("mousemove", move);
-                      window.removeEventListener("mouseup", up);
-                      if (moved) {
-                        // Re-embed after drag ends
-                        setTimeout(async () => {
-                          await rebuildPdfWithAllContent(boxes, images);
-                        }, 100);
-                      }
-                    };
-                    
-                    window.addEventListener("mousemove", move);
-                    window.addEventListener("mouseup", up);
-                  }}
-                >
-                  <img
-                    src={img.imageUrl}
-                    alt="PDF annotation"
-                    style={{
-                      width: '100%',
-                      height: '100%',
-                      objectFit: 'contain',
-                      pointerEvents: 'none',
-                    }}
-                    draggable={false}
-                  />
-                  {/* Resize handles when selected */}
-                  {isSelected && (
-                    <>
-                      {/* Bottom-right resize handle */}
-                      <div
-                        style={{
-                          position: 'absolute',
-                          right: -5,
-                          bottom: -5,
-                          width: 10,
-                          height: 10,
-                          backgroundColor: '#1976d2',
-                          border: '2px solid white',
-                          borderRadius: '50%',
-                          cursor: 'nwse-resize',
-                          zIndex: 41,
-                        }}
-                        onMouseDown={(e) => {
-                          e.stopPropagation();
-                          const startX = e.clientX;
-                          const startY = e.clientY;
-                          const startWidth = img.width;
-                          const startHeight = img.height;
-                          const aspectRatio = startWidth / startHeight;
-                          
-                          const move = (ev) => {
-                            const dx = ev.clientX - startX;
-                            const dy = ev.clientY - startY;
-                            const newWidth = Math.max(50, startWidth + dx);
-                            const newHeight = newWidth / aspectRatio;
-                            updateImage(i+1, img.id, { 
-                              width: newWidth, 
-                              height: newHeight 
-                            });
-                          };
-                          
-                          const up = async () => {
-                            window.removeEventListener("mousemove", move);
-                            window.removeEventListener("mouseup", up);
-                            setTimeout(async () => {
-                              await rebuildPdfWithAllContent(boxes, images);
-                            }, 100);
-                          };
-                          
-                          window.addEventListener("mousemove", move);
-                          window.addEventListener("mouseup", up);
-                        }}
-                      />
-                    </>
-                  )}
-                </div>
-              );
-            })}
-
-            <div
-              className="annotation-layer"
-              onClick={(e) => {
-                if (tool === "text") {
-                  addTextBox(i+1, e);
-                } else if (tool === "image") {
-                  addImage(i+1, e);
-                }
-              }}
-              style={{ cursor: tool === "image" ? "crosshair" : tool === "text" ? "text" : "default" }}
-            >
-              {(boxes[i+1] || []).map((b) => {
-                const boxFontSize = b.fontSize || Number(fontSizeInput) || 12;
-                const boxColor = b.color || fontColorHex;
-                const boxIsBold = b.isBold !== undefined ? b.isBold : boldToggle;
-                
-                return (
-                <div
-                  key={b.id}
-                  ref={(el) => { if (el) textBoxRefs.current[b.id] = el; }}
-                  className="text-box"
-                  dir="ltr"
-                  style={{
-                    position: 'absolute',
-                    left:b.left, 
-                    top:b.top, 
-                    width:b.width, 
-                    height:b.height,
-                    opacity: b.locked ? 0.6 : 1,
-                    border: tool === "select" ? '2px dashed #1976d2' : '1px solid #ccc',
-                    padding: '2px 4px',
-                    fontSize: boxFontSize * scale,
-                    fontWeight: boxIsBold ? 700 : 400,
-                    color: boxColor,
-                    fontFamily: 'Helvetica, Arial, sans-serif',
-                    // backgroundColor: 'rgba(255, 255, 255, 0.9)',
-                    backgroundColor: 'transparent',
-                    outline: 'none',
-                    cursor: 'text',
-                    zIndex: 50,
-                    direction: 'ltr',
-                    textAlign: 'left',
-                    unicodeBidi: 'plaintext',
-                    whiteSpace: 'pre-wrap',
-                    writingMode: 'horizontal-tb',
-                  }}
-                  contentEditable
-                  suppressContentEditableWarning
-                  tabIndex={0}
-                  onFocus={(e) => {
-                    setActiveBoxId(b.id);
-                    activeBoxIdRef.current = b.id;
-                    lock(b.id);
-                    const node = e.currentTarget.firstChild;
-                    const len = node?.textContent?.length || 0;
-                    rememberCaret(b.id, len);
-                    restoreCaret(b.id);
-                  }}
-                  onBlur={async () => {
-                    setActiveBoxId(cur => (cur === b.id ? null : cur));
-                    activeBoxIdRef.current = null;
-                    unlock(b.id);
-                    // Embed text box into PDF when done editing
-                    const finalText = textBoxRefs.current[b.id]?.textContent || "";
-                    if (finalText.trim() && finalText !== "Type...") {
-                      // Embed text into PDF first, then remove box from UI
-                      setTimeout(async () => {
-                        await rebuildPdfWithAllContent(boxes, images);
-                        // Remove the box from UI after text is embedded
-                        setBoxes(prev => {
-                          const pageBoxes = prev[i + 1] || [];
-                          const remaining = pageBoxes.filter(bx => bx.id !== b.id);
-                          return { ...prev, [i + 1]: remaining };
-                        });
-                        socketRef.current?.emit("delete_box", { docId, pageNumber: i + 1, boxId: b.id });
-                      }, 200);
-                    } else {
-                      // If empty, just remove the box immediately
-                      setBoxes(prev => {
-                        const pageBoxes = prev[i + 1] || [];
-                        const remaining = pageBoxes.filter(bx => bx.id !== b.id);
-                        return { ...prev, [i + 1]: remaining };
-                      });
-                      socketRef.current?.emit("delete_box", { docId, pageNumber: i + 1, boxId: b.id });
-                    }
-                  }}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter') {
-                      e.preventDefault();
-                      e.currentTarget.blur(); // This triggers onBlur which saves the text
+                      deleteBox(i + 1, m.id);
+                    } else if (tool === "select") {
+                      startBoxDrag(i + 1, m.id, e, (dx, dy) => ({ left: m.left + dx, top: m.top + dy }));
                     }
                   }}
+                />
+              ))}
+              {(boxes[i+1] || []).filter(b => overlayType(b) === 'redact').map((r) => (
+                <RedactionOverlay
+                  key={r.id}
+                  area={r}
+                  scale={scale}
+                  cursor={tool === "delete" ? 'pointer' : tool === "select" ? 'move' : 'default'}
                   onMouseDown={(e) => {
                     if (tool === "delete") {
                       e.preventDefault();
-                      deleteBox(i+1, b.id);
-                      return;
+                      deleteBox(i + 1, r.id);
+                    } else if (tool === "select") {
+                      startBoxDrag(i + 1, r.id, e, (dx, dy) => ({ left: r.left + dx, top: r.top + dy }));
                     }
-                    if (tool !== "select") return;
-                    const startX = e.clientX, startY = e.clientY;
-                    let moved = false;
-                    const move = (ev) => {
-                      const dx = ev.clientX - startX, dy = ev.clientY - startY;
-                      if (!moved && (Math.abs(dx) > 3 || Math.abs(dy) > 3)) moved = true;
-                      if (moved) {
-                        const pageBoxes = boxes[i + 1] || [];
-                        const bi = pageBoxes.findIndex(bx => bx.id === b.id);
-                        const start = { ...pageBoxes[bi] };
-                        const updated = { ...start, left: start.left + dx, top: start.top + dy };
-                        const clone = [...pageBoxes]; clone[bi] = updated;
-                        setBoxes(prev => ({ ...prev, [i + 1]: clone }));
+                  }}
+                />
+              ))}
+              {tool === "mark" && <MarkClickLayer scale={scale} onMark={(point) => placeMark(i + 1, point)} />}
+              {tool === "table" && <RegionDrawLayer scale={scale} onDraw={(region) => addTable(i + 1, region)} />}
+              {tool === "redact" && <RedactionDrawLayer scale={scale} onDraw={(region) => addRedaction(i + 1, region)} />}
+
+              <div
+                className="annotation-layer"
+                onClick={(e) => {
+                  if (tool === "text") {
+                    addTextBox(i+1, e);
+                  } else if (tool === "image") {
+                    addImage(i+1, e);
+                  }
+                }}
+                style={{ cursor: tool === "image" ? "crosshair" : tool === "text" ? "text" : "default" }}
+              >
+                {(boxes[i+1] || []).filter(b => overlayType(b) === 'text').map((b) => {
+                  const boxFontSize = b.fontSize || Number(fontSizeInput) || 12;
+                  const boxColor = b.color || fontColorHex;
+                  const boxIsBold = b.isBold !== undefined ? b.isBold : boldToggle;
+                  const overflowing = overflowingBoxIds.includes(b.id);
+
+                  return (
+                  <Fragment key={b.id}>
+                  <div
+                    ref={(el) => { if (el) textBoxRefs.current[b.id] = el; }}
+                    className="text-box"
+                    dir="ltr"
+                    style={{
+                      position: 'absolute',
+                      left: b.left * scale,
+                      top: b.top * scale,
+                      width: b.width * scale,
+                      height: b.height * scale,
+                      boxSizing: 'border-box',
+                      opacity: b.locked ? 0.6 : 1,
+                      // Outline instead of border so the text sits where the export draws it
+                      outline: overflowing ? '2px dashed #d32f2f' : tool === "select" ? '2px dashed #1976d2' : '1px solid #ccc',
+                      padding: `${TEXT_BOX_PADDING.y * scale}px ${TEXT_BOX_PADDING.x * scale}px`,
+                      fontSize: boxFontSize * scale,
+                      lineHeight: b.lineHeight || TEXT_BOX_LINE_HEIGHT,
+                      fontWeight: boxIsBold ? 700 : 400,
+                      fontStyle: b.isItalic ? 'italic' : 'normal',
+                      textDecoration: [b.isUnderline && 'underline', b.isStrikethrough && 'line-through'].filter(Boolean).join(' ') || 'none',
+                      letterSpacing: (b.letterSpacing || 0) * scale,
+                      color: boxColor,
+                      fontFamily: cssFontFamily(b),
+                      backgroundColor: b.backgroundColor || 'transparent',
+                      // Inset shadow as the border, which would take room from the text
+                      boxShadow: b.borderWidth > 0 ? `inset 0 0 0 ${b.borderWidth * scale}px ${b.borderColor || '#000000'}` : 'none',
+                      cursor: 'text',
+                      zIndex: 50,
+                      direction: 'ltr',
+                      textAlign: b.align || 'left',
+                      unicodeBidi: 'plaintext',
+                      whiteSpace: 'pre-wrap',
+                      overflowWrap: 'break-word',
+                      writingMode: 'horizontal-tb',
+                    }}
+                    title={overflowing ? 'The text runs past the box' : undefined}
+                    contentEditable
+                    suppressContentEditableWarning
+                    tabIndex={0}
+                    onFocus={() => {
+                      setActiveBoxId(b.id);
+                      activeBoxIdRef.current = b.id;
+                      setSelectedTextBox({ pageNumber: i + 1, id: b.id });
+                      setLineHeightInput(b.lineHeight || TEXT_BOX_LINE_HEIGHT);
+                      textSelectionRef.current = null;
+                      lock(b.id);
+                    }}
+                    onBlur={() => {
+                      setActiveBoxId(cur => (cur === b.id ? null : cur));
+                      activeBoxIdRef.current = null;
+                      unlock(b.id);
+                      // The box stays an editable overlay; only empty boxes are dropped
+                      const el = textBoxRefs.current[b.id];
+                      const runs = parseRunsFromHtml(el?.innerHTML || "", { bold: boxIsBold, italic: !!b.isItalic, scale });
+                      const finalText = runs.map(run => run.text).join("");
+                      const selected = el && selectionOffsets(el);
+                      textSelectionRef.current = selected ? { pageNumber: i + 1, id: b.id, ...selected } : null;
+                      if (finalText.trim() && finalText !== "Type...") {
+                        patchBox(i + 1, b.id, { text: finalText, runs });
+                        commitChange();
+                      } else {
+                        deleteBox(i + 1, b.id);
+                      }
+                    }}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        e.preventDefault();
+                        insertTextAtSelection("\n");
+                        flagOverflowingTextBoxes(textBoxRefs.current, setOverflowingBoxIds);
+                      } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        e.currentTarget.blur(); // This triggers onBlur which saves the text
                       }
-                    };
-                    const up = async () => {
-                      window.removeEventListener("mousemove", move);
-                      window.removeEventListener("mouseup", up);
-                      if (moved) {
+                    }}
+                    onMouseDown={(e) => {
+                      if (tool === "delete") {
                         e.preventDefault();
-                        // Re-embed after moving
-                        setTimeout(async () => {
-                          await rebuildPdfWithAllContent(boxes, images);
-                        }, 100);
+                        deleteBox(i+1, b.id);
+                        return;
                       }
-                    };
-                    window.addEventListener("mousemove", move);
-                    window.addEventListener("mouseup", up);
-                  }}
-                  onInput={(e) => {
-                    const selection = window.getSelection();
-                    if (selection && selection.rangeCount > 0) {
-                      try {
-                        const range = selection.getRangeAt(0);
-                        rememberCaret(b.id, range.endOffset);
-                      } catch {}
-                    }
-                    const pageBoxes = boxes[i + 1] || [];
-                    const idx = pageBoxes.findIndex(x => x.id === b.id);
-                    const clone = [...pageBoxes];
-                    clone[idx] = { ...clone[idx], text: e.currentTarget.textContent || "" };
-                    setBoxes(prev => ({ ...prev, [i + 1]: clone }));
-                    requestAnimationFrame(() => {
-                      if (activeBoxIdRef.current === b.id) restoreCaret(b.id, false);
-                    });
-                  }}
-                >
-                  {b.text}
-                </div>
-              );
-              })}
-            </div>
+                      if (tool !== "select") return;
+                      setSelectedTextBox({ pageNumber: i + 1, id: b.id });
+                      startBoxDrag(i+1, b.id, e, (dx, dy) => ({ left: b.left + dx, top: b.top + dy }));
+                    }}
+                    onPaste={(e) => {
+                      // Plain text only; styling comes from the toolbar
+                      e.preventDefault();
+                      insertTextAtSelection(e.clipboardData.getData('text/plain').replace(/\r\n?/g, "\n"));
+                      flagOverflowingTextBoxes(textBoxRefs.current, setOverflowingBoxIds);
+                    }}
+                    // The markup is only rewritten when the box changes, so
+                    // typing keeps the DOM (and caret) until the box is left
+                    onInput={() => flagOverflowingTextBoxes(textBoxRefs.current, setOverflowingBoxIds)}
+                    dangerouslySetInnerHTML={{ __html: textBoxHtml(b, scale) }}
+                  />
+                  {tool === "select" && (
+                    <div
+                      title="Resize"
+                      style={{
+                        position: 'absolute',
+                        left: (b.left + b.width) * scale - 5,
+                        top: (b.top + b.height) * scale - 5,
+                        width: 10,
+                        height: 10,
+                        backgroundColor: '#1976d2',
+                        border: '2px solid white',
+                        borderRadius: '50%',
+                        cursor: 'nwse-resize',
+                        zIndex: 51,
+                      }}
+                      onClick={(e) => e.stopPropagation()}
+                      onMouseDown={(e) => {
+                        e.stopPropagation();
+                        e.preventDefault();
+                        const minHeight = textBoxHeight(boxFontSize, b.lineHeight || TEXT_BOX_LINE_HEIGHT);
+                        startBoxDrag(i+1, b.id, e, (dx, dy) => ({
+                          width: Math.max(boxFontSize * 2, b.width + dx),
+                          height: Math.max(minHeight, b.height + dy),
+                        }));
+                      }}
+                    />
+                  )}
+                  </Fragment>
+                );
+                })}
+              </div>
+              </>
+            )}
           </div>
         ))}
       </Document>
@@ -0,0 +1,47 @@
+import RegionDrawLayer from "./RegionDrawLayer.jsx";
+
+/*
+ * Redact areas (type "redact" in shared/pdf/flatten.js). On screen the area
+ * stays see-through so the user can check what it hides; the export removes
+ * the content under it and draws a black box (shared/pdf/redaction.js).
+ */
+
+/** One area; mouse handlers go to the wrapper (move/delete in the editor). */
+export default function RedactionOverlay({ area, scale, onMouseDown, cursor }) {
+  return (
+    <div
+      title="Redacted on export"
+      onMouseDown={onMouseDown}
+      onClick={stopPropagation}
+      onDoubleClick={stopPropagation}
+      style={{
+        ...areaStyle,
+        left: area.left * scale,
+        top: area.top * scale,
+        width: area.width * scale,
+        height: area.height * scale,
+        cursor,
+      }}
+    />
+  );
+}
+
+/** Drag layer of the Redact tool; `onDraw(region)` gets each marked area. */
+export function RedactionDrawLayer({ scale, onDraw }) {
+  return <RegionDrawLayer scale={scale} minSize={2} draftStyle={draftStyle} onDraw={onDraw} />;
+}
+
+const stopPropagation = (e) => e.stopPropagation();
+
+const areaStyle = {
+  position: "absolute",
+  boxSizing: "border-box",
+  zIndex: 60,
+  border: "2px dashed #d32f2f",
+  backgroundColor: "rgba(0,0,0,0.6)",
+};
+
+const draftStyle = {
+  border: "1px dashed #d32f2f",
+  backgroundColor: "rgba(0,0,0,0.45)",
+};
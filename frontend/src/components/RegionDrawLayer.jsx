@@ -0,0 +1,66 @@
+import { useState } from "react";
+
+/*
+ * Drag layer of the tools that mark a rectangle on the page (Table, Redact):
+ * covers the page while the tool is active and hands the dragged rectangle,
+ * in points with a top-left origin, to `onDraw`.
+ */
+
+/** Drags smaller than `minSize` points either way are ignored. */
+export default function RegionDrawLayer({ scale, onDraw, minSize = 10, draftStyle = defaultDraftStyle }) {
+  const [draft, setDraft] = useState(null);
+
+  function startDraw(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x0 = (e.clientX - rect.left) / scale;
+    const y0 = (e.clientY - rect.top) / scale;
+    const box = (ev) => {
+      const x = (ev.clientX - rect.left) / scale;
+      const y = (ev.clientY - rect.top) / scale;
+      return { left: Math.min(x0, x), top: Math.min(y0, y), width: Math.abs(x - x0), height: Math.abs(y - y0) };
+    };
+    const move = (ev) => setDraft(box(ev));
+    const up = (ev) => {
+      window.removeEventListener("mousemove", move);
+      window.removeEventListener("mouseup", up);
+      setDraft(null);
+      const next = box(ev);
+      if (next.width >= minSize && next.height >= minSize) onDraw(next);
+    };
+    window.addEventListener("mousemove", move);
+    window.addEventListener("mouseup", up);
+  }
+
+  return (
+    <div style={drawLayerStyle} onMouseDown={startDraw} onClick={stopPropagation} onDoubleClick={stopPropagation}>
+      {draft && (
+        <div
+          style={{
+            position: "absolute",
+            left: draft.left * scale,
+            top: draft.top * scale,
+            width: draft.width * scale,
+            height: draft.height * scale,
+            ...draftStyle,
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+const stopPropagation = (e) => e.stopPropagation();
+
+const defaultDraftStyle = {
+  border: "1px dashed #1976d2",
+  backgroundColor: "rgba(25,118,210,0.08)",
+};
+
+const drawLayerStyle = {
+  position: "absolute",
+  inset: 0,
+  zIndex: 70,
+  cursor: "crosshair",
+};
@@ -0,0 +1,223 @@
+import { useEffect, useState } from "react";
+import { listRevisions, addRevision, uploadPdf, absoluteUrl } from "../services/api.js";
+
+/*
+ * Revision history for one Forms Master entry. Superseded revisions are shown
+ * read-only (open only); a new revision starts as DRAFT and supersedes the
+ * active one once it is approved.
+ */
+export default function RevisionHistory({ form, onClose, onChanged, onDesignFields }) {
+  const [history, setHistory] = useState(null); // { activeRevision, revisions }
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [file, setFile] = useState(null);
+  const [effectiveDate, setEffectiveDate] = useState("");
+  const [changeNote, setChangeNote] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    listRevisions(form.id)
+      .then((data) => !cancelled && setHistory(data))
+      .catch((err) => !cancelled && setError(err?.response?.data?.error || "Failed to load revisions"));
+    return () => {
+      cancelled = true;
+    };
+  }, [form.id]);
+
+  async function handleAddRevision(e) {
+    e.preventDefault();
+    if (!file) {
+      setError("Select the revised PDF");
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      const { url } = await uploadPdf(file);
+      const updated = await addRevision(form.id, { fileUrl: url, effectiveDate, changeNote });
+      setHistory({ activeRevision: updated.activeRevision, revisions: updated.revisions });
+      setFile(null);
+      setEffectiveDate("");
+      setChangeNote("");
+      e.target.reset();
+      onChanged?.();
+    } catch (err) {
+      console.error(err);
+      setError(err?.response?.data?.error || "Failed to add revision");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const revisions = history ? [...history.revisions].reverse() : [];
+
+  return (
+    <div style={backdropStyle}>
+      <div style={dialogStyle}>
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 12 }}>
+          <h3 style={{ margin: 0, fontSize: 16 }}>
+            REVISIONS — {form.referenceNo} {form.title}
+          </h3>
+          <div style={{ flex: 1 }} />
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr style={{ backgroundColor: "#f5f5f5" }}>
+              <th style={thStyle}>REV</th>
+              <th style={thStyle}>EFFECTIVE DATE</th>
+              <th style={thStyle}>CHANGE NOTE</th>
+              <th style={thStyle}>UPLOADED</th>
+              <th style={thStyle}>STATUS</th>
+              <th style={thStyle}>STATE</th>
+              <th style={thStyle}>PDF</th>
+              <th style={thStyle}>FIELDS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {!history && !error && (
+              <tr>
+                <td style={tdStyle} colSpan={8}>Loading...</td>
+              </tr>
+            )}
+            {revisions.map((rev) => (
+              <tr key={rev.revision} style={{ color: rev.active ? "#000" : "#777" }}>
+                <td style={tdStyle}>{String(rev.revision).padStart(2, "0")}</td>
+                <td style={tdStyle}>{rev.effectiveDate || "-"}</td>
+                <td style={{ ...tdStyle, whiteSpace: "normal" }}>{rev.changeNote}</td>
+                <td style={tdStyle}>{new Date(rev.createdAt).toLocaleString()}</td>
+                <td style={{ ...tdStyle, whiteSpace: "normal" }}>
+                  {rev.status}
+                  {rev.rejectRemark && (
+                    <div style={{ color: "crimson" }}>{rev.rejectRemark}</div>
+                  )}
+                </td>
+                <td style={tdStyle}>
+                  {rev.active ? "ACTIVE" : rev.supersededAt ? `SUPERSEDED BY ${rev.supersededBy}` : "PENDING"}
+                </td>
+                <td style={tdStyle}>
+                  {rev.fileUrl ? (
+                    <a href={absoluteUrl(rev.fileUrl)} target="_blank" rel="noreferrer">
+                      OPEN
+                    </a>
+                  ) : (
+                    "-"
+                  )}
+                </td>
+                <td style={tdStyle}>
+                  {rev.fileUrl ? (
+                    <button onClick={() => onDesignFields(rev, !isFieldsEditable(rev))}>
+                      {isFieldsEditable(rev) ? "DESIGN" : "VIEW"} ({rev.fields?.length || 0})
+                    </button>
+                  ) : (
+                    "-"
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <form onSubmit={handleAddRevision} style={{ marginTop: 16, display: "grid", gap: 8 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: "#007bff" }}>NEW REVISION</div>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))",
+              gap: 8,
+            }}
+          >
+            <label style={labelStyle}>
+              PDF
+              <input
+                type="file"
+                accept="application/pdf"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+                style={{ display: "block", marginTop: 4 }}
+              />
+            </label>
+            <label style={labelStyle}>
+              EFFECTIVE DATE
+              <input
+                type="date"
+                value={effectiveDate}
+                onChange={(e) => setEffectiveDate(e.target.value)}
+                style={inputStyle}
+              />
+            </label>
+            <label style={labelStyle}>
+              CHANGE NOTE
+              <input
+                required
+                value={changeNote}
+                onChange={(e) => setChangeNote(e.target.value)}
+                style={inputStyle}
+              />
+            </label>
+          </div>
+          {error && <p style={{ color: "crimson", fontSize: 12, margin: 0 }}>{error}</p>}
+          <div>
+            <button
+              type="submit"
+              disabled={busy}
+              style={{ backgroundColor: "#007bff", color: "#fff", border: "none", fontWeight: 600 }}
+            >
+              {busy ? "UPLOADING..." : "ADD DRAFT REVISION"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Mirrors FIELDS_EDITABLE in backend/src/lib/revisions.js
+const isFieldsEditable = (rev) => !rev.supersededAt && (rev.status === "DRAFT" || rev.status === "REJECTED");
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  backgroundColor: "rgba(0,0,0,0.35)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  zIndex: 100,
+  padding: 16,
+};
+
+const dialogStyle = {
+  width: "100%",
+  maxWidth: 900,
+  maxHeight: "90vh",
+  overflowY: "auto",
+  backgroundColor: "#fff",
+  borderRadius: 6,
+  padding: 20,
+  boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+};
+
+const labelStyle = { display: "block", fontSize: 12, fontWeight: 600 };
+
+const inputStyle = {
+  display: "block",
+  width: "100%",
+  marginTop: 4,
+  padding: "6px 8px",
+  borderRadius: 4,
+  border: "1px solid #ccc",
+  fontSize: 13,
+};
+
+const thStyle = {
+  border: "1px solid #ddd",
+  padding: "6px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+};
+
+const tdStyle = {
+  border: "1px solid #eee",
+  padding: "6px 8px",
+  whiteSpace: "nowrap",
+};
@@ -0,0 +1,109 @@
+import { useEffect, useState } from "react";
+import { listSubmissions } from "../services/api.js";
+
+/*
+ * Filled copies of one Forms Master entry. Each row is its own document
+ * (docId) on top of the template revision it was started from.
+ */
+export default function SubmissionsList({ form, onClose, onOpen }) {
+  const [items, setItems] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    listSubmissions({ formId: form.id })
+      .then((list) => !cancelled && setItems(list))
+      .catch((err) => !cancelled && setError(err?.response?.data?.error || "Failed to load submissions"));
+    return () => {
+      cancelled = true;
+    };
+  }, [form.id]);
+
+  return (
+    <div style={backdropStyle}>
+      <div style={dialogStyle}>
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 12 }}>
+          <h3 style={{ margin: 0, fontSize: 16 }}>
+            SUBMISSIONS — {form.referenceNo} {form.title}
+          </h3>
+          <div style={{ flex: 1 }} />
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+
+        {error && <p style={{ color: "crimson", fontSize: 12 }}>{error}</p>}
+
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr style={{ backgroundColor: "#f5f5f5" }}>
+              <th style={thStyle}>FILLED BY</th>
+              <th style={thStyle}>REV</th>
+              <th style={thStyle}>STARTED</th>
+              <th style={thStyle}>UPDATED</th>
+              <th style={thStyle}>STATUS</th>
+              <th style={thStyle}>ACTION</th>
+            </tr>
+          </thead>
+          <tbody>
+            {!items && !error && (
+              <tr>
+                <td style={tdStyle} colSpan={6}>Loading...</td>
+              </tr>
+            )}
+            {items && !items.length && (
+              <tr>
+                <td style={{ ...tdStyle, color: "#888" }} colSpan={6}>No submissions yet</td>
+              </tr>
+            )}
+            {(items || []).map((sub) => (
+              <tr key={sub.id}>
+                <td style={tdStyle}>{sub.filledBy}</td>
+                <td style={tdStyle}>{String(sub.revision).padStart(2, "0")}</td>
+                <td style={tdStyle}>{new Date(sub.createdAt).toLocaleString()}</td>
+                <td style={tdStyle}>{new Date(sub.updatedAt).toLocaleString()}</td>
+                <td style={tdStyle}>{sub.status}</td>
+                <td style={tdStyle}>
+                  <button onClick={() => onOpen(sub)}>OPEN</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  backgroundColor: "rgba(0,0,0,0.35)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  zIndex: 100,
+  padding: 16,
+};
+
+const dialogStyle = {
+  width: "100%",
+  maxWidth: 800,
+  maxHeight: "90vh",
+  overflowY: "auto",
+  backgroundColor: "#fff",
+  borderRadius: 6,
+  padding: 20,
+  boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+};
+
+const thStyle = {
+  border: "1px solid #ddd",
+  padding: "6px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+};
+
+const tdStyle = {
+  border: "1px solid #eee",
+  padding: "6px 8px",
+  whiteSpace: "nowrap",
+};
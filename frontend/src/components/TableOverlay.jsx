@@ -0,0 +1,161 @@
+import { useRef } from "react";
+import { TABLE_CELL_PADDING, tableCellFontSize } from "@shared/pdf/flatten";
+
+/*
+ * Table overlays of the editor (type "table" in shared/pdf/flatten.js): a grid
+ * filled cell by cell. Tab/Shift+Tab walk the cells row by row, arrows and
+ * Enter move between neighbours, and text shrinks to fit its cell the same
+ * way the export draws it.
+ */
+
+let measureContext = null;
+// Width of `text` at font size 1, measured like the export's Helvetica
+function textWidthAt1(text) {
+  if (!measureContext) {
+    measureContext = document.createElement("canvas").getContext("2d");
+    measureContext.font = "100px Helvetica, Arial, sans-serif";
+  }
+  return measureContext.measureText(text).width / 100;
+}
+
+const offsets = (sizes) => sizes.reduce((acc, size) => [...acc, acc[acc.length - 1] + size], [0]);
+
+/**
+ * One table. `onCellChange(row, col, text)` edits a cell, `onCommit()` runs
+ * when focus leaves the table, `onChange(patch)` resizes the grid. With
+ * `movable` the title bar drags the table (`onDragStart(e)`).
+ */
+export default function TableOverlay({ table, scale, movable, onCellChange, onCommit, onChange, onDragStart, onDelete }) {
+  const inputRefs = useRef({});
+  const colLeft = offsets(table.columns);
+  const rowTop = offsets(table.rows);
+  const width = colLeft[colLeft.length - 1];
+
+  function focusCell(row, col) {
+    const input = inputRefs.current[`${row}:${col}`];
+    if (!input) return false;
+    input.focus();
+    input.select();
+    return true;
+  }
+
+  function handleKeyDown(e, row, col) {
+    const cols = table.columns.length;
+    const index = row * cols + col;
+    const caret = e.currentTarget.selectionStart;
+    const atStart = caret === 0 && e.currentTarget.selectionEnd === 0;
+    const atEnd = caret === e.currentTarget.value.length;
+    let target = null;
+    if (e.key === "Tab") target = e.shiftKey ? index - 1 : index + 1;
+    else if (e.key === "ArrowUp") target = index - cols;
+    else if (e.key === "ArrowDown" || e.key === "Enter") target = index + cols;
+    else if (e.key === "ArrowLeft" && atStart) target = index - 1;
+    else if (e.key === "ArrowRight" && atEnd) target = index + 1;
+    if (target === null || target < 0 || target >= cols * table.rows.length) return;
+    if (focusCell(Math.floor(target / cols), target % cols)) e.preventDefault();
+  }
+
+  // Rows and columns are added by repeating the last one and removed from the end
+  function resize(rowDelta, colDelta) {
+    const rows = rowDelta > 0 ? [...table.rows, table.rows[table.rows.length - 1]] : table.rows.slice(0, rowDelta || undefined);
+    const columns = colDelta > 0
+      ? [...table.columns, table.columns[table.columns.length - 1]]
+      : table.columns.slice(0, colDelta || undefined);
+    if (!rows.length || !columns.length) return;
+    const cells = rows.map((_, r) => columns.map((__, c) => table.cells?.[r]?.[c] || ""));
+    onChange({ rows, columns, cells });
+  }
+
+  return (
+    <div
+      style={{ position: "absolute", left: table.left * scale, top: table.top * scale, zIndex: 35 }}
+      onClick={stopPropagation}
+      onDoubleClick={stopPropagation}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) onCommit();
+      }}
+    >
+      {movable && (
+        <div style={barStyle} onMouseDown={onDragStart}>
+          <span style={{ cursor: "move", flex: 1 }}>
+            Table {table.rows.length}×{table.columns.length}
+          </span>
+          <TableButton onClick={() => resize(1, 0)} title="Add row">+R</TableButton>
+          <TableButton onClick={() => resize(-1, 0)} title="Remove last row">−R</TableButton>
+          <TableButton onClick={() => resize(0, 1)} title="Add column">+C</TableButton>
+          <TableButton onClick={() => resize(0, -1)} title="Remove last column">−C</TableButton>
+          <TableButton onClick={onDelete} title="Delete table">✕</TableButton>
+        </div>
+      )}
+      <div style={{ position: "relative", width: width * scale, height: rowTop[rowTop.length - 1] * scale }}>
+        {table.rows.map((rowHeight, row) =>
+          table.columns.map((colWidth, col) => {
+            const text = table.cells?.[row]?.[col] || "";
+            const size = tableCellFontSize(textWidthAt1(text.trim()), colWidth, rowHeight, table.fontSize || 10);
+            return (
+              <input
+                key={`${row}:${col}`}
+                ref={(el) => (inputRefs.current[`${row}:${col}`] = el)}
+                value={text}
+                onChange={(e) => onCellChange(row, col, e.target.value)}
+                onKeyDown={(e) => handleKeyDown(e, row, col)}
+                style={{
+                  ...cellStyle,
+                  left: colLeft[col] * scale,
+                  top: rowTop[row] * scale,
+                  width: colWidth * scale,
+                  height: rowHeight * scale,
+                  padding: `0 ${TABLE_CELL_PADDING * scale}px`,
+                  fontSize: size * scale,
+                  color: table.color || "#000000",
+                }}
+              />
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
+
+function TableButton({ children, ...props }) {
+  return (
+    <button {...props} onMouseDown={stopPropagation} style={barButtonStyle}>
+      {children}
+    </button>
+  );
+}
+
+const stopPropagation = (e) => e.stopPropagation();
+
+const cellStyle = {
+  position: "absolute",
+  boxSizing: "border-box",
+  margin: 0,
+  border: "1px solid rgba(25,118,210,0.35)",
+  backgroundColor: "rgba(232,240,254,0.6)",
+  fontFamily: "Helvetica, Arial, sans-serif",
+};
+
+const barStyle = {
+  position: "absolute",
+  left: 0,
+  bottom: "100%",
+  display: "flex",
+  alignItems: "center",
+  gap: 2,
+  minWidth: 180,
+  padding: "1px 4px",
+  fontSize: 11,
+  color: "#fff",
+  backgroundColor: "#1976d2",
+  borderRadius: "3px 3px 0 0",
+  userSelect: "none",
+};
+
+const barButtonStyle = {
+  padding: "0 4px",
+  fontSize: 10,
+  lineHeight: "14px",
+  cursor: "pointer",
+};
@@ -0,0 +1,109 @@
+import { TEXT_BOX_ALIGN, TEXT_BOX_FAMILIES } from "@shared/pdf/flatten";
+
+/*
+ * Style of one text box: font family, italic/underline/strike-through,
+ * alignment, letter spacing, background fill and border. Changes go to
+ * `onChange(patch)` as overlay fields (see shared/pdf/flatten.js), so they
+ * sync and export like the rest of the box.
+ */
+
+const FAMILY_LABELS = { sans: "Sans (Helvetica)", serif: "Serif (Times)", mono: "Mono (Courier)" };
+
+export default function TextBoxStylePanel({ box, onChange, onClose }) {
+  const toggle = (key, label) => (
+    <label title={label}>
+      <input type="checkbox" checked={!!box[key]} onChange={(e) => onChange({ [key]: e.target.checked })} /> {label}
+    </label>
+  );
+
+  return (
+    <div style={panelStyle}>
+      <strong>Text box</strong>
+      <select value={box.family || "sans"} onChange={(e) => onChange({ family: e.target.value })} title="Font family">
+        {TEXT_BOX_FAMILIES.map((family) => (
+          <option key={family} value={family}>
+            {FAMILY_LABELS[family]}
+          </option>
+        ))}
+      </select>
+      {toggle("isItalic", "Italic")}
+      {toggle("isUnderline", "Underline")}
+      {toggle("isStrikethrough", "Strike-through")}
+      <select value={box.align || "left"} onChange={(e) => onChange({ align: e.target.value })} title="Alignment">
+        {TEXT_BOX_ALIGN.map((align) => (
+          <option key={align} value={align}>
+            {align}
+          </option>
+        ))}
+      </select>
+      <label title="Extra space after every character, in points">
+        Spacing{" "}
+        <input
+          type="number"
+          min={-2}
+          max={20}
+          step={0.1}
+          value={box.letterSpacing || 0}
+          onChange={(e) => onChange({ letterSpacing: Number(e.target.value) || 0 })}
+          style={{ width: 56 }}
+        />
+      </label>
+      <label title="Fill the box with a color">
+        <input
+          type="checkbox"
+          checked={!!box.backgroundColor}
+          onChange={(e) => onChange({ backgroundColor: e.target.checked ? "#ffff99" : null })}
+        />{" "}
+        Fill
+      </label>
+      {box.backgroundColor && (
+        <input
+          type="color"
+          value={box.backgroundColor}
+          onChange={(e) => onChange({ backgroundColor: e.target.value })}
+          title="Fill color"
+        />
+      )}
+      <label title="Border width in points (0 for none)">
+        Border{" "}
+        <input
+          type="number"
+          min={0}
+          max={10}
+          step={0.5}
+          value={box.borderWidth || 0}
+          onChange={(e) => {
+            const borderWidth = Math.max(0, Number(e.target.value) || 0);
+            onChange({ borderWidth, borderColor: box.borderColor || "#000000" });
+          }}
+          style={{ width: 48 }}
+        />
+      </label>
+      {box.borderWidth > 0 && (
+        <input
+          type="color"
+          value={box.borderColor || "#000000"}
+          onChange={(e) => onChange({ borderColor: e.target.value })}
+          title="Border color"
+        />
+      )}
+      <span style={{ flex: 1 }} />
+      <button onClick={onClose} title="Hide until a text box is selected again">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+const panelStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  alignItems: "center",
+  gap: 8,
+  padding: "4px 8px",
+  marginBottom: 6,
+  fontSize: 13,
+  backgroundColor: "#f5f9ff",
+  border: "1px solid #bbdefb",
+  borderRadius: 4,
+};
@@ -9,3 +9,117 @@ export async function uploadPdf(file) {
   });
   return { ...data, absoluteUrl: `${API_BASE}${data.url}` };
 }
+
+// ---- Forms Master ----
+
+export async function listForms(filters = {}) {
+  // drop empty filter values so the server only sees what the user set
+  const params = Object.fromEntries(
+    Object.entries(filters).filter(([, v]) => v !== "" && v != null)
+  );
+  const { data } = await axios.get(`${API_BASE}/api/forms`, { params });
+  return data.forms;
+}
+
+export async function getFormOptions() {
+  const { data } = await axios.get(`${API_BASE}/api/forms/options`);
+  return data;
+}
+
+export async function createForm(form) {
+  const { data } = await axios.post(`${API_BASE}/api/forms`, form);
+  return data;
+}
+
+export async function updateForm(id, patch) {
+  const { data } = await axios.put(`${API_BASE}/api/forms/${encodeURIComponent(id)}`, patch);
+  return data;
+}
+
+export async function deleteForm(id) {
+  const { data } = await axios.delete(`${API_BASE}/api/forms/${encodeURIComponent(id)}`);
+  return data;
+}
+
+export function absoluteUrl(url) {
+  return url ? `${API_BASE}${url}` : null;
+}
+
+// ---- Bulk import ----
+
+export async function importForms(files) {
+  const form = new FormData();
+  for (const file of files) form.append("files", file);
+  const { data } = await axios.post(`${API_BASE}/api/files/import`, form, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+  return data; // { id, items }
+}
+
+export async function commitImport(importId, payload) {
+  const { data } = await axios.post(
+    `${API_BASE}/api/files/import/${encodeURIComponent(importId)}/commit`,
+    payload
+  );
+  return data; // { created }
+}
+
+export async function discardImport(importId) {
+  const { data } = await axios.delete(`${API_BASE}/api/files/import/${encodeURIComponent(importId)}`);
+  return data;
+}
+
+// ---- Revisions ----
+
+export async function listRevisions(formId) {
+  const { data } = await axios.get(`${API_BASE}/api/forms/${encodeURIComponent(formId)}/revisions`);
+  return data; // { activeRevision, revisions }
+}
+
+export async function addRevision(formId, revision) {
+  const { data } = await axios.post(
+    `${API_BASE}/api/forms/${encodeURIComponent(formId)}/revisions`,
+    revision
+  );
+  return data; // updated form
+}
+
+// Fill fields drawn on a DRAFT/REJECTED revision (shared/pdf/templateFields.js)
+export async function saveRevisionFields(formId, revision, fields) {
+  const { data } = await axios.put(
+    `${API_BASE}/api/forms/${encodeURIComponent(formId)}/revisions/${encodeURIComponent(revision)}/fields`,
+    { fields }
+  );
+  return data; // updated form
+}
+
+// ---- Approval workflow (acts on the latest revision) ----
+
+async function formAction(formId, action, body = {}) {
+  const { data } = await axios.post(
+    `${API_BASE}/api/forms/${encodeURIComponent(formId)}/${action}`,
+    body
+  );
+  return data; // updated form
+}
+
+export const submitForm = (formId) => formAction(formId, "submit");
+export const approveForm = (formId) => formAction(formId, "approve");
+export const rejectForm = (formId, remark) => formAction(formId, "reject", { remark });
+
+// ---- Submissions (filled copies of approved templates) ----
+
+export async function createSubmission(formId, filledBy) {
+  const { data } = await axios.post(`${API_BASE}/api/submissions`, { formId, filledBy });
+  return data;
+}
+
+export async function listSubmissions(filters = {}) {
+  const { data } = await axios.get(`${API_BASE}/api/submissions`, { params: filters });
+  return data.submissions;
+}
+
+export async function updateSubmission(id, patch) {
+  const { data } = await axios.patch(`${API_BASE}/api/submissions/${encodeURIComponent(id)}`, patch);
+  return data;
+}
@@ -0,0 +1,29 @@
+// Bundled fonts for the in-browser export (shared/pdf/fonts.js). Vite emits
+// each file as an asset; it is only downloaded when text needs it.
+import { fontFileKey } from "@shared/pdf/fonts";
+// @pdf-lib/fontkit's Indic shaper expects a global regeneratorRuntime
+import "regenerator-runtime/runtime.js";
+import notoSansRegular from "@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf?url";
+import notoSansBold from "@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf?url";
+import notoSansItalic from "@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf?url";
+import notoSansBoldItalic from "@expo-google-fonts/noto-sans/700Bold_Italic/NotoSans_700Bold_Italic.ttf?url";
+import devanagariRegular from "@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf?url";
+import devanagariBold from "@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf?url";
+import notoSansScRegular from "@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf?url";
+
+const FONT_URLS = {
+  [fontFileKey("NotoSans", "regular")]: notoSansRegular,
+  [fontFileKey("NotoSans", "bold")]: notoSansBold,
+  [fontFileKey("NotoSans", "italic")]: notoSansItalic,
+  [fontFileKey("NotoSans", "boldItalic")]: notoSansBoldItalic,
+  [fontFileKey("NotoSansDevanagari", "regular")]: devanagariRegular,
+  [fontFileKey("NotoSansDevanagari", "bold")]: devanagariBold,
+  [fontFileKey("NotoSansSC", "regular")]: notoSansScRegular,
+};
+
+export async function loadBundledFont(key) {
+  if (!FONT_URLS[key]) return null;
+  const res = await fetch(FONT_URLS[key]);
+  if (!res.ok) throw new Error(`Font ${key}: HTTP ${res.status}`);
+  return new Uint8Array(await res.arrayBuffer());
+}
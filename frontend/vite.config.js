@@ -1,7 +1,17 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // Code used by both the editor and the backend (e.g. PDF flattening)
+    alias: { '@shared': sharedDir },
+  },
+  server: {
+    fs: { allow: ['.', sharedDir] },
+  },
 })
@@ -0,0 +1,492 @@
+// Page content streams as text: a tokenizer for the operators, the position
+// of every glyph a text-show operator paints and of every image and form it
+// draws, and rewriting content with some operators cut out or replaced. Used
+// to remove the original text of edited lines (lineEdit overlays) instead of
+// only covering it, and by redaction.js.
+//
+// Operators are kept as byte ranges of the decoded content, so a rewrite
+// leaves everything it does not cut exactly as it was. Content is handled as
+// latin1 strings (one char per byte). Edited lines only look at the page's
+// own content; text inside form XObjects is covered instead.
+// Keep this module free of DOM and Node APIs.
+
+const WHITESPACE = "\0\t\n\f\r ";
+const DELIMITERS = "()<>[]{}/%";
+const isRegular = (ch) => !WHITESPACE.includes(ch) && !DELIMITERS.includes(ch);
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// Literal string starting at s[i] === "(" -> [bytes, index after it]
+function literalString(s, i) {
+  let depth = 1;
+  let out = "";
+  for (i += 1; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === "\\") {
+      const next = s[++i];
+      if (ESCAPES[next]) out += ESCAPES[next];
+      else if (/[0-7]/.test(next)) {
+        let octal = next;
+        while (octal.length < 3 && /[0-7]/.test(s[i + 1])) octal += s[++i];
+        out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (next === "\r") {
+        if (s[i + 1] === "\n") i++;
+      } else if (next !== "\n") out += next;
+    } else if (ch === "(") {
+      depth++;
+      out += ch;
+    } else if (ch === ")") {
+      if (--depth === 0) return [out, i + 1];
+      out += ch;
+    } else out += ch;
+  }
+  throw new Error("Unterminated string in content stream");
+}
+
+function hexString(s, i) {
+  const end = s.indexOf(">", i);
+  if (end < 0) throw new Error("Unterminated hex string in content stream");
+  let hex = s.slice(i + 1, end).replace(/[^0-9a-fA-F]/g, "");
+  if (hex.length % 2) hex += "0";
+  let out = "";
+  for (let j = 0; j < hex.length; j += 2) out += String.fromCharCode(parseInt(hex.slice(j, j + 2), 16));
+  return [out, end + 1];
+}
+
+/**
+ * Operators of a content stream: [{ op, args, start, end }], `start`/`end`
+ * the byte range from the first operand to the end of the operator.
+ * Operands are numbers, booleans, null, { name }, { string } (bytes) and
+ * arrays; dictionaries (marked content properties) are { dict: [...] }.
+ * Throws on content it cannot tokenize.
+ */
+export function parseContent(s) {
+  const ops = [];
+  let operands = [];
+  let start = -1;
+  const containers = [];
+  const add = (value) => (containers.length ? containers[containers.length - 1].push(value) : operands.push(value));
+
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    if (WHITESPACE.includes(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === "%") {
+      while (i < s.length && s[i] !== "\n" && s[i] !== "\r") i++;
+      continue;
+    }
+    if (start < 0) start = i;
+    if (ch === "(") {
+      const [string, next] = literalString(s, i);
+      add({ string });
+      i = next;
+    } else if (ch === "<" && s[i + 1] === "<") {
+      containers.push([]);
+      i += 2;
+    } else if (ch === ">" && s[i + 1] === ">") {
+      const dict = containers.pop();
+      if (!dict) throw new Error("Unbalanced >> in content stream");
+      add({ dict });
+      i += 2;
+    } else if (ch === "<") {
+      const [string, next] = hexString(s, i);
+      add({ string });
+      i = next;
+    } else if (ch === "[") {
+      containers.push([]);
+      i++;
+    } else if (ch === "]") {
+      const array = containers.pop();
+      if (!array) throw new Error("Unbalanced ] in content stream");
+      add(array);
+      i++;
+    } else if (ch === "/") {
+      let j = i + 1;
+      while (j < s.length && isRegular(s[j])) j++;
+      add({ name: s.slice(i + 1, j).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) });
+      i = j;
+    } else if (ch === "{" || ch === "}" || ch === ")" || ch === ">") {
+      i++;
+    } else {
+      let j = i;
+      while (j < s.length && isRegular(s[j])) j++;
+      const word = s.slice(i, j);
+      i = j;
+      if (NUMBER.test(word)) add(parseFloat(word));
+      else if (word === "true" || word === "false") add(word === "true");
+      else if (word === "null") add(null);
+      else if (!containers.length) {
+        const op = { op: word, args: operands, start, end: i };
+        if (word === "BI") {
+          // Inline image: the data after ID is binary and runs up to EI
+          const data = s.indexOf("ID", i);
+          const endData = /[\0\t\n\f\r ]EI(?=[\0\t\n\f\r ]|$)/g;
+          endData.lastIndex = data + 2;
+          const found = data < 0 ? null : endData.exec(s);
+          if (!found) throw new Error("Unterminated inline image in content stream");
+          op.end = i = found.index + 3;
+        }
+        ops.push(op);
+        operands = [];
+        start = -1;
+      }
+    }
+  }
+  return ops;
+}
+
+// Affine matrices [a b c d e f]; multiply(m, n) applies n first, then m
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5],
+];
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+const translate = (x, y) => [1, 0, 0, 1, x, y];
+
+export { apply as applyMatrix, multiply as multiplyMatrix };
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+export function invertMatrix([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  if (!det) return null;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+/** Bounds [x0, y0, x1, y1] of the rectangle (x0, y0)-(x1, y1) mapped through `m`. */
+export function transformRect(m, x0, y0, x1, y1) {
+  const corners = [apply(m, x0, y0), apply(m, x1, y0), apply(m, x0, y1), apply(m, x1, y1)];
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+// Descent and ascent of the box a glyph is taken to cover, in font sizes
+const GLYPH_BOTTOM = -0.25;
+const GLYPH_TOP = 0.9;
+
+/**
+ * Text-show operators (Tj, TJ, ', ") of parsed content with their glyphs:
+ *   [{ index, op, font, size, decoded, glyphs, parts }]
+ *   glyph: { text, bytes, x, y, width, height, box, shift }
+ * x/y is the glyph origin on the baseline in page space, width its advance
+ * and height the font size there; `box` ([x0, y0, x1, y1]) bounds the area
+ * it paints. `shift` is the TJ adjustment that moves as far as the glyph
+ * does (null at size 0), and `parts` lists the glyphs and TJ adjustments in
+ * order, so the operator can be rebuilt without some glyphs (showWithout).
+ *
+ * `decoderFor(fontResourceName)` returns bytes -> [{ bytes, text, width }]
+ * (see documentFonts.js `decoder`) or null, in which case `decoded` is false
+ * and glyphs are one per byte, taken to be 1 em wide. `ctm` is the matrix
+ * the content starts in (a form XObject's placement).
+ */
+export function textShows(ops, decoderFor, ctm = IDENTITY) {
+  const shows = [];
+  const stack = [];
+  const decoders = {};
+  let text = { font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+  let tm = [1, 0, 0, 1, 0, 0];
+  let tlm = tm;
+
+  const nextLine = (tx, ty) => {
+    tlm = multiply(tlm, translate(tx, ty));
+    tm = tlm;
+  };
+
+  const show = (index, op, items) => {
+    if (!(text.font in decoders)) decoders[text.font] = decoderFor(text.font);
+    const decode = decoders[text.font];
+    const glyphs = [];
+    const parts = [];
+    for (const item of items) {
+      if (typeof item === "number") {
+        tm = multiply(tm, translate((-item / 1000) * text.size * text.scale, 0));
+        parts.push(item);
+        continue;
+      }
+      if (!item || typeof item.string !== "string") continue;
+      const decoded = decode
+        ? decode(item.string)
+        : Array.from(item.string, (byte) => ({ code: byte.charCodeAt(0), bytes: byte, text: null, width: 1000 }));
+      for (const glyph of decoded) {
+        const m = multiply(ctm, tm);
+        const [x, y] = apply(m, 0, text.rise);
+        const space = glyph.code === 32 && item.string.length === decoded.length;
+        const unscaled = (glyph.width / 1000) * text.size + text.charSpacing + (space ? text.wordSpacing : 0);
+        const advance = unscaled * text.scale;
+        tm = multiply(tm, translate(advance, 0));
+        const [endX] = apply(multiply(ctm, tm), 0, text.rise);
+        const box = transformRect(m, 0, text.rise + GLYPH_BOTTOM * text.size, advance, text.rise + GLYPH_TOP * text.size);
+        const shift = text.size ? (-unscaled * 1000) / text.size : null;
+        const height = text.size * Math.hypot(m[2], m[3]);
+        const shown = { text: glyph.text, bytes: glyph.bytes, x, y, width: endX - x, height, box, shift };
+        glyphs.push(shown);
+        parts.push(shown);
+      }
+    }
+    shows.push({ index, op, font: text.font, size: text.size, decoded: !!decode, glyphs, parts });
+  };
+
+  for (const [index, op] of ops.entries()) {
+    const a = op.args;
+    switch (op.op) {
+      case "q":
+        stack.push({ ctm, text: { ...text } });
+        break;
+      case "Q":
+        if (stack.length) ({ ctm, text } = stack.pop());
+        break;
+      case "cm":
+        if (a.length === 6) ctm = multiply(ctm, a);
+        break;
+      case "BT":
+        tm = tlm = [1, 0, 0, 1, 0, 0];
+        break;
+      case "Tf":
+        text.font = a[0]?.name ?? null;
+        text.size = a[1] || 0;
+        break;
+      case "Tc":
+        text.charSpacing = a[0] || 0;
+        break;
+      case "Tw":
+        text.wordSpacing = a[0] || 0;
+        break;
+      case "Tz":
+        text.scale = (a[0] ?? 100) / 100;
+        break;
+      case "TL":
+        text.leading = a[0] || 0;
+        break;
+      case "Ts":
+        text.rise = a[0] || 0;
+        break;
+      case "Td":
+        nextLine(a[0] || 0, a[1] || 0);
+        break;
+      case "TD":
+        text.leading = -(a[1] || 0);
+        nextLine(a[0] || 0, a[1] || 0);
+        break;
+      case "Tm":
+        if (a.length === 6) tm = tlm = a;
+        break;
+      case "T*":
+        nextLine(0, -text.leading);
+        break;
+      case "Tj":
+        show(index, op, [a[0]]);
+        break;
+      case "TJ":
+        show(index, op, Array.isArray(a[0]) ? a[0] : []);
+        break;
+      case "'":
+        nextLine(0, -text.leading);
+        show(index, op, [a[0]]);
+        break;
+      case '"':
+        text.wordSpacing = a[0] || 0;
+        text.charSpacing = a[1] || 0;
+        nextLine(0, -text.leading);
+        show(index, op, [a[2]]);
+        break;
+      default:
+    }
+  }
+  return shows;
+}
+
+/**
+ * What is left of a text-show operator once it shows nothing: ' and " also
+ * move to the next line (and " sets the spacing), which has to stay.
+ */
+export function withoutShowing(op) {
+  if (op.op === "'") return "T*";
+  if (op.op === '"') return `${op.args[0]} Tw ${op.args[1]} Tc T*`;
+  return "";
+}
+
+const hex = (bytes) => Array.from(bytes, (ch) => ch.charCodeAt(0).toString(16).padStart(2, "0")).join("");
+const number = (n) => String(Math.round(n * 1000) / 1000);
+
+/**
+ * A text show (from textShows) rebuilt as a TJ without the glyphs in
+ * `removed` (a Set of glyphs): each is replaced by the adjustment it moved
+ * the text by, so what follows stays where it was. Null when that cannot be
+ * done (a font it could not decode, or size 0).
+ */
+export function showWithout(show, removed) {
+  if (!show.decoded || show.parts.some((part) => typeof part !== "number" && part.shift === null)) return null;
+  const items = [];
+  let string = "";
+  let shift = 0;
+  for (const part of show.parts) {
+    if (typeof part !== "number" && !removed.has(part)) {
+      if (shift) items.push(number(shift));
+      shift = 0;
+      string += part.bytes;
+      continue;
+    }
+    if (string) items.push(`<${hex(string)}>`);
+    string = "";
+    shift += typeof part === "number" ? part : part.shift;
+  }
+  if (string) items.push(`<${hex(string)}>`);
+  if (shift) items.push(number(shift));
+  return `${withoutShowing(show.op)} [${items.join(" ")}] TJ`.trim();
+}
+
+/**
+ * Images and forms parsed content paints, with the matrix they are drawn in
+ * (their unit square maps to the page through `ctm`):
+ *   [{ index, op, name, ctm }]  name is the XObject resource, null for inline images
+ */
+export function drawnObjects(ops, ctm = IDENTITY) {
+  const drawn = [];
+  const stack = [];
+  for (const [index, op] of ops.entries()) {
+    if (op.op === "q") stack.push(ctm);
+    else if (op.op === "Q") ctm = stack.length ? stack.pop() : ctm;
+    else if (op.op === "cm" && op.args.length === 6) ctm = multiply(ctm, op.args);
+    else if (op.op === "Do" && op.args[0]?.name) drawn.push({ index, op, name: op.args[0].name, ctm });
+    else if (op.op === "BI") drawn.push({ index, op, name: null, ctm });
+  }
+  return drawn;
+}
+
+/** Content with the byte ranges of `cuts` ([{ start, end, replacement }]) replaced. */
+export function spliceContent(s, cuts) {
+  let out = "";
+  let at = 0;
+  for (const cut of [...cuts].sort((a, b) => a.start - b.start)) {
+    out += s.slice(at, cut.start) + (cut.replacement ? ` ${cut.replacement} ` : " ");
+    at = cut.end;
+  }
+  return out + s.slice(at);
+}
+
+const comparable = (text) => text.normalize("NFKC").replace(/\s+/g, "");
+
+/**
+ * Cuts that remove the original text of lineEdit overlays: the text-show
+ * operators starting inside a line's cover rect (left/top/width/height,
+ * top-left origin on a page `pageHeight` high). A line is only taken when
+ * those operators show exactly its `originalText` (whitespace aside), so a
+ * line the content cannot be matched to keeps its text and gets covered.
+ *   -> { cuts: [{ start, end, replacement }], removed: Set(box id) }
+ */
+export function lineTextCuts(shows, boxes, pageHeight) {
+  const cuts = [];
+  const removed = new Set();
+  const taken = new Set();
+  for (const box of boxes) {
+    if (!box.originalText) continue;
+    const tolerance = Math.max(1, (box.fontSize || 12) * 0.2);
+    const bottom = pageHeight - box.top - box.height;
+    const inside = ({ x, y }) =>
+      x >= box.left - tolerance && x <= box.left + box.width + tolerance &&
+      y >= bottom - tolerance && y <= bottom + box.height + tolerance;
+    const mine = shows.filter((show) => !taken.has(show.index) && show.glyphs.length && inside(show.glyphs[0]));
+    if (!mine.length || mine.some((show) => !show.decoded)) continue;
+    const shown = mine.flatMap((show) => show.glyphs.map((glyph) => glyph.text ?? "\uFFFD")).join("");
+    if (comparable(shown) !== comparable(box.originalText)) continue;
+    for (const show of mine) {
+      taken.add(show.index);
+      cuts.push({ start: show.op.start, end: show.op.end, replacement: withoutShowing(show.op) });
+    }
+    removed.add(box.id);
+  }
+  return { cuts, removed };
+}
+
+const latin1 = (bytes) => {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 8192) text += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  return text;
+};
+
+/**
+ * Reading and rewriting page content around a pdf-lib instance:
+ *
+ *   const pageContent = createPageContent({ PDFName, decodePDFRawStream });
+ *   const content = pageContent.read(page);        // latin1 string or null
+ *   pageContent.write(pdfDoc, page, newContent);
+ *
+ * Writing replaces the page's own stream objects, so the old bytes are not
+ * left behind in the saved file, unless another page shares them. Content
+ * pdf-lib has drawn is read as well, but once written over, further drawing
+ * on the page through pdf-lib is lost: write last.
+ *
+ * readStream/writeStream do the same for one stream object, e.g. a form
+ * XObject's content or an image's samples (as bytes); writeStream keeps its
+ * dictionary but stores the data Flate-compressed without predictor.
+ */
+export function createPageContent({ PDFName, decodePDFRawStream }) {
+  const N = (name) => PDFName.of(name);
+
+  // Stream refs (or direct streams) of the page's /Contents
+  function parts(page) {
+    const context = page.node.context;
+    const raw = page.node.get(N("Contents"));
+    const value = raw && context.lookup(raw);
+    if (!value) return [];
+    return typeof value.asArray === "function" ? value.asArray() : [raw];
+  }
+
+  // Decoded bytes of a stream pdf-lib read (raw) or created (content stream)
+  const decode = (stream) =>
+    stream.contents ? decodePDFRawStream(stream).decode() : stream.getUnencodedContents();
+
+  const toBytes = (content) => Uint8Array.from(content, (ch) => ch.charCodeAt(0));
+
+  return {
+    read(page) {
+      const context = page.node.context;
+      try {
+        return parts(page)
+          .map((part) => latin1(decode(context.lookup(part))))
+          .join("\n");
+      } catch {
+        return null;
+      }
+    },
+
+    write(pdfDoc, page, content) {
+      const context = page.node.context;
+      const bytes = toBytes(content);
+      const own = parts(page);
+      const shared = new Set(
+        pdfDoc.getPages().filter((other) => other !== page).flatMap((other) => parts(other))
+      );
+      if (own.length && own.every((part) => typeof part.objectNumber === "number" && !shared.has(part))) {
+        own.forEach((part, i) => context.assign(part, context.flateStream(i === 0 ? bytes : new Uint8Array(0))));
+      } else {
+        page.node.set(N("Contents"), context.register(context.flateStream(bytes)));
+      }
+    },
+
+    readStream(stream) {
+      try {
+        return latin1(decode(stream));
+      } catch {
+        return null;
+      }
+    },
+
+    writeStream(context, ref, content) {
+      const old = context.lookup(ref);
+      const stream = context.flateStream(typeof content === "string" ? toBytes(content) : content);
+      for (const [key, value] of old.dict.entries()) {
+        if (!["Filter", "DecodeParms", "Length"].includes(key.decodeText())) stream.dict.set(key, value);
+      }
+      context.assign(ref, stream);
+    },
+  };
+}
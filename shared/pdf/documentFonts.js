@@ -0,0 +1,385 @@
+// Fonts of the template itself, so an edited line (lineEdit overlay) can be
+// redrawn in the font it was typed in instead of a standard one.
+//
+// The editor records the BaseFont of the text it edits (pdf.js reports it as
+// the font's `name`) as `font: { baseFont, family }`. On export the font
+// resource with that BaseFont is looked up on the page (and in the form
+// XObjects it draws) and reused when every character of the new text can be
+// encoded in it and has a glyph. Runs in another style look for a sibling
+// resource of the same family (Calibri-Bold next to Calibri). When no font
+// qualifies the text falls back to the closest standard family (see
+// fonts.js, `family`).
+//
+// Glyph coverage comes from the font's ToUnicode map (subset fonts only map
+// the glyphs they kept) and its widths; simple fonts without a ToUnicode map
+// are read through their WinAnsi encoding. Type3 fonts and CID fonts with an
+// encoding other than Identity-H are never reused.
+//
+// `decoder` reads the strings a content stream shows back into characters
+// and widths, for cutting text out of the page (contentStream.js,
+// redaction.js). The standard 14 often come without widths; with a
+// StandardFontEmbedder from pdf-lib they are measured from its metrics.
+// Keep this module free of DOM and Node APIs.
+
+// pdf.js fallback names ("serif", "sans-serif", "monospace") to fonts.js families
+export const fontFamilyOf = (fallbackName) =>
+  fallbackName === "serif" ? "serif" : fallbackName === "monospace" ? "mono" : "sans";
+
+const stripSubsetTag = (name) => String(name || "").replace(/^[A-Z]{6}\+/, "");
+
+/** Bold/italic as told by a BaseFont name ("ABCDEF+Calibri-BoldItalic"). */
+export function baseFontStyle(baseFont) {
+  const name = stripSubsetTag(baseFont);
+  return { bold: /Bold|Black|Heavy|Semibold|Demi/i.test(name), italic: /Italic|Oblique|Inclined/i.test(name) };
+}
+
+// "ABCDEF+TimesNewRomanPS-BoldItalicMT" -> "TimesNewRomanPS"
+const familyStem = (baseFont) =>
+  stripSubsetTag(baseFont).split(/[-,]/)[0].replace(/(Bold|Italic|Oblique|Regular|MT|PS)+$/i, "").toLowerCase();
+
+// The standard 14 need no embedding; a line in one of them is redrawn with
+// the same standard font, which is no substitution.
+const STANDARD_14 = /^(Helvetica|Times|Courier|Symbol|ZapfDingbats)(-|$)/;
+export const isStandardFont = (baseFont) => STANDARD_14.test(stripSubsetTag(baseFont));
+
+// Codes 0x80-0x9F of WinAnsiEncoding; the rest of 32-255 is Latin-1
+const WIN_ANSI_HIGH = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152, 0x8e: 0x017d, 0x91: 0x2018,
+  0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc,
+  0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a, 0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178,
+};
+
+function winAnsiCodes(skip) {
+  const codes = new Map();
+  for (let code = 32; code <= 255; code++) {
+    if (skip.has(code) || code === 127 || (code >= 0x80 && code < 0xa0 && !WIN_ANSI_HIGH[code])) continue;
+    codes.set(String.fromCodePoint(WIN_ANSI_HIGH[code] || code), code);
+  }
+  return codes;
+}
+
+const utf16 = (hex) => {
+  const units = [];
+  for (let i = 0; i + 4 <= hex.length; i += 4) units.push(parseInt(hex.slice(i, i + 4), 16));
+  return String.fromCharCode(...units);
+};
+
+const latin1 = (bytes) => {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 8192) text += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  return text;
+};
+
+// ToUnicode CMap -> { codeBytes, codes: Map(character -> code), unicodeOf: Map(code -> text) }
+function parseToUnicode(cmap) {
+  const unicodeOf = new Map();
+  const space = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(cmap);
+  const codeBytes = space ? Math.max(1, space[1].length / 2) : 1;
+  for (const [, body] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      unicodeOf.set(parseInt(src, 16), utf16(dst));
+    }
+  }
+  for (const [, body] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, dst] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const first = parseInt(lo, 16);
+      const last = Math.min(parseInt(hi, 16), first + 0xffff);
+      if (dst.startsWith("[")) {
+        Array.from(dst.matchAll(/<([0-9a-fA-F]*)>/g)).forEach(([, hex], i) => {
+          if (first + i <= last) unicodeOf.set(first + i, utf16(hex));
+        });
+      } else {
+        const hex = dst.slice(1, -1);
+        const base = utf16(hex);
+        for (let code = first; code <= last; code++) {
+          // Only the last UTF-16 unit counts up through the range
+          const tail = base.charCodeAt(base.length - 1) + (code - first);
+          unicodeOf.set(code, base.slice(0, -1) + String.fromCharCode(tail));
+        }
+      }
+    }
+  }
+  const codes = new Map();
+  for (const code of [...unicodeOf.keys()].sort((a, b) => a - b)) {
+    const text = unicodeOf.get(code);
+    if (Array.from(text).length === 1 && !codes.has(text)) codes.set(text, code);
+  }
+  return { codeBytes, codes, unicodeOf };
+}
+
+/**
+ * Build the document font lookup around a pdf-lib instance:
+ *
+ *   const documentFonts = createDocumentFonts({ PDFName, PDFHexString, decodePDFRawStream, drawText, degrees, StandardFontEmbedder });
+ *   const font = documentFonts.find(page, "ABCDEF+Calibri", { bold: true });
+ *
+ * A found font has
+ *   missing(text)                        -> characters it cannot draw ([] = all fine)
+ *   widthOf(text, size)                  -> width in points
+ *   draw(page, text, { x, y, size, color }) -> drawn width
+ */
+export function createDocumentFonts({ PDFName, PDFHexString, decodePDFRawStream, drawText, degrees, StandardFontEmbedder }) {
+  const N = (name) => PDFName.of(name);
+  const pageFonts = new WeakMap(); // page node -> [{ baseFont, ref, key?, dict }]
+  const loaded = new WeakMap(); // font dict -> font | null
+
+  const name = (obj) => (obj && typeof obj.decodeText === "function" ? obj.decodeText() : null);
+  const number = (obj) => (obj && typeof obj.asNumber === "function" ? obj.asNumber() : null);
+  const array = (context, obj) => {
+    const value = obj && context.lookup(obj);
+    return value && typeof value.asArray === "function" ? value.asArray().map((item) => context.lookup(item)) : null;
+  };
+  const streamText = (context, ref) => {
+    const stream = ref && context.lookup(ref);
+    if (!stream || !stream.contents) return null;
+    try {
+      return latin1(decodePDFRawStream(stream).decode());
+    } catch {
+      return null;
+    }
+  };
+
+  // Font resources of a page and of the form XObjects it paints
+  function collect(page) {
+    if (pageFonts.has(page.node)) return pageFonts.get(page.node);
+    const context = page.node.context;
+    const fonts = [];
+    const seen = new Set();
+    const walk = (resources, onPage) => {
+      if (!resources || seen.has(resources)) return;
+      seen.add(resources);
+      const fontDict = context.lookup(resources.get(N("Font")));
+      for (const [key, value] of fontDict?.entries?.() || []) {
+        const dict = context.lookup(value);
+        const baseFont = name(dict?.get?.(N("BaseFont")));
+        if (baseFont) fonts.push({ baseFont, dict, ref: value, key: onPage ? key : null });
+      }
+      const xObjects = context.lookup(resources.get(N("XObject")));
+      for (const [, value] of xObjects?.entries?.() || []) {
+        const stream = context.lookup(value);
+        if (name(stream?.dict?.get(N("Subtype"))) === "Form") walk(context.lookup(stream.dict.get(N("Resources"))), false);
+      }
+    };
+    walk(page.node.Resources(), true);
+    pageFonts.set(page.node, fonts);
+    return fonts;
+  }
+
+  // Encoding and metrics of one font dict, or null when it cannot be reused
+  function load(context, entry) {
+    const { dict } = entry;
+    const subtype = name(dict.get(N("Subtype")));
+    const toUnicodeText = streamText(context, dict.get(N("ToUnicode")));
+    const toUnicode = toUnicodeText ? parseToUnicode(toUnicodeText) : null;
+
+    if (subtype === "Type0") {
+      if (name(dict.get(N("Encoding"))) !== "Identity-H" || !toUnicode) return null;
+      const cidFont = array(context, dict.get(N("DescendantFonts")))?.[0];
+      if (!cidFont) return null;
+      const defaultWidth = number(context.lookup(cidFont.get(N("DW")))) ?? 1000;
+      const widths = new Map();
+      const w = array(context, cidFont.get(N("W"))) || [];
+      for (let i = 0; i < w.length; ) {
+        const first = number(w[i]);
+        if (typeof w[i + 1]?.asArray === "function") {
+          w[i + 1].asArray().forEach((width, j) => widths.set(first + j, number(context.lookup(width))));
+          i += 2;
+        } else {
+          for (let cid = first; cid <= number(w[i + 1]); cid++) widths.set(cid, number(w[i + 2]));
+          i += 3;
+        }
+      }
+      return {
+        codeBytes: 2,
+        codes: toUnicode.codes,
+        unicodeOf: toUnicode.unicodeOf,
+        width: (code) => widths.get(code) ?? defaultWidth,
+        hasGlyph: () => true,
+      };
+    }
+
+    if (subtype !== "Type1" && subtype !== "TrueType" && subtype !== "MMType1") return null;
+    const firstChar = number(context.lookup(dict.get(N("FirstChar"))));
+    const widths = array(context, dict.get(N("Widths")));
+    // The standard 14 may come without widths: readable, but not for drawing
+    const unmeasured = !widths && isStandardFont(entry.baseFont);
+    if (!unmeasured && (firstChar === null || !widths)) return null;
+    let codes = toUnicode?.codes;
+    if (!codes) {
+      const encoding = context.lookup(dict.get(N("Encoding")));
+      const encodingName = name(encoding) || name(encoding?.get?.(N("BaseEncoding")));
+      // A standard font in its built-in encoding agrees with WinAnsi on ASCII
+      const builtIn = !encoding && isStandardFont(entry.baseFont);
+      if (encodingName !== "WinAnsiEncoding" && !builtIn) return null;
+      // Codes redefined by /Differences no longer mean their WinAnsi character
+      const differences = new Set(builtIn ? Array.from({ length: 129 }, (_, i) => 127 + i) : []);
+      let code = 0;
+      for (const item of array(context, encoding?.get?.(N("Differences"))) || []) {
+        if (number(item) !== null) code = number(item);
+        else differences.add(code++);
+      }
+      codes = winAnsiCodes(differences);
+    }
+    if (unmeasured) {
+      const unicodeOf = toUnicode?.unicodeOf || new Map(Array.from(codes, ([ch, code]) => [code, ch]));
+      return { codeBytes: 1, codes, unicodeOf, width: standardWidths(entry.baseFont, unicodeOf), unmeasured };
+    }
+    const width = (code) => number(widths[code - firstChar]) ?? 0;
+    return {
+      codeBytes: 1,
+      codes,
+      unicodeOf: toUnicode?.unicodeOf || new Map(Array.from(codes, ([ch, code]) => [code, ch])),
+      width,
+      // Subsets keep zero widths for the codes they dropped
+      hasGlyph: (code, ch) => code >= firstChar && code < firstChar + widths.length && (width(code) > 0 || /\s/.test(ch)),
+    };
+  }
+
+  // Widths of a standard 14 font from pdf-lib's metrics; 0 without them
+  function standardWidths(baseFont, unicodeOf) {
+    let embedder = null;
+    try {
+      embedder = StandardFontEmbedder ? StandardFontEmbedder.for(stripSubsetTag(baseFont)) : null;
+    } catch {
+      // a standard name pdf-lib has no metrics for
+    }
+    if (!embedder) return () => 0;
+    const widths = new Map();
+    return (code) => {
+      if (!widths.has(code)) {
+        try {
+          widths.set(code, embedder.widthOfTextAtSize(unicodeOf.get(code) ?? "", 1000));
+        } catch {
+          widths.set(code, 0);
+        }
+      }
+      return widths.get(code);
+    };
+  }
+
+  function loadOnce(entry, context) {
+    if (!loaded.has(entry.dict)) loaded.set(entry.dict, load(context, entry));
+    return loaded.get(entry.dict);
+  }
+
+  function documentFont(entry, context) {
+    const font = loadOnce(entry, context);
+    if (!font || font.unmeasured) return null;
+    const keys = new WeakMap(); // page node -> resource name
+
+    const codesOf = (text) => Array.from(text, (ch) => {
+      const code = font.codes.get(ch);
+      return code !== undefined && font.hasGlyph(code, ch) ? code : null;
+    });
+
+    return {
+      baseFont: entry.baseFont,
+      missing(text) {
+        const codes = codesOf(text);
+        return [...new Set(Array.from(text).filter((ch, i) => codes[i] === null))];
+      },
+      widthOf(text, size) {
+        return codesOf(text).reduce((sum, code) => sum + (code === null ? 0 : font.width(code)), 0) * size / 1000;
+      },
+      draw(page, text, { x, y, size, color }) {
+        // Text in a form XObject needs the font added to the page resources
+        if (!keys.has(page.node)) {
+          const onPage = collect(page).find((item) => item.dict === entry.dict && item.key);
+          const ref = typeof entry.ref.objectNumber === "number" ? entry.ref : page.node.context.register(entry.dict);
+          keys.set(page.node, onPage ? onPage.key : page.node.newFontDictionary(stripSubsetTag(entry.baseFont).replace(/[^A-Za-z0-9]/g, ""), ref));
+        }
+        const hex = codesOf(text)
+          .filter((code) => code !== null)
+          .map((code) => code.toString(16).padStart(font.codeBytes * 2, "0"))
+          .join("");
+        page.pushOperators(
+          ...drawText(PDFHexString.of(hex), {
+            color,
+            font: keys.get(page.node),
+            size,
+            rotate: degrees(0),
+            xSkew: degrees(0),
+            ySkew: degrees(0),
+            x,
+            y,
+          })
+        );
+        return this.widthOf(text, size);
+      },
+    };
+  }
+
+  return {
+    /**
+     * The font resource `baseFont` of the page when its style matches, else a
+     * sibling of the same family in `{ bold, italic }`; null when there is none.
+     */
+    find(page, baseFont, { bold = false, italic = false } = {}) {
+      const fonts = collect(page);
+      const source = fonts.find((entry) => entry.baseFont === baseFont);
+      if (!source) return null;
+      const sameStyle = (entry) => {
+        const style = baseFontStyle(entry.baseFont);
+        return style.bold === bold && style.italic === italic;
+      };
+      const entry = sameStyle(source)
+        ? source
+        : fonts.find((item) => sameStyle(item) && familyStem(item.baseFont) === familyStem(baseFont));
+      return entry ? documentFont(entry, page.node.context) : null;
+    },
+
+    /**
+     * Decoder of the strings shown with the font resource `resourceName` of
+     * `resources` (the page's unless given, e.g. a form XObject's): bytes
+     * (latin1 string) -> [{ code, bytes, text, width }], width in 1/1000 em
+     * and text null when the font does not say. Null for fonts it cannot
+     * read (see the header).
+     */
+    decoder(page, resourceName, resources = page.node.Resources()) {
+      const context = page.node.context;
+      const fontDict = resources && context.lookup(resources.get(N("Font")));
+      const ref = fontDict?.get?.(N(resourceName));
+      const dict = ref && context.lookup(ref);
+      const baseFont = name(dict?.get?.(N("BaseFont")));
+      const font = baseFont && loadOnce({ baseFont, dict, ref }, context);
+      if (!font) return null;
+      return (bytes) => {
+        const glyphs = [];
+        for (let i = 0; i + font.codeBytes <= bytes.length; i += font.codeBytes) {
+          let code = 0;
+          for (let j = 0; j < font.codeBytes; j++) code = code * 256 + bytes.charCodeAt(i + j);
+          glyphs.push({
+            code,
+            bytes: bytes.slice(i, i + font.codeBytes),
+            text: font.unicodeOf.get(code) ?? null,
+            width: font.width(code),
+          });
+        }
+        return glyphs;
+      };
+    },
+  };
+}
+
+/**
+ * Font choice for each run of a lineEdit overlay:
+ *   [{ run, style, font, substitute }]
+ * `font` is the document font to draw with (null: the standard `family`);
+ * `substitute` tells why the original font was not used:
+ *   { reason: "font" }                     no such font (or sibling) on the page
+ *   { reason: "glyphs", characters: [...] } it lacks some of the characters
+ * Lines in a standard 14 font and overlays without `font` need no substitute.
+ */
+export function lineEditFonts(documentFonts, page, box, runs) {
+  const baseFont = box.font?.baseFont;
+  return runs.map((run) => {
+    const style = { bold: !!run.bold, italic: !!run.italic, family: box.font?.family };
+    if (!baseFont || !documentFonts || isStandardFont(baseFont)) return { run, style, font: null, substitute: null };
+    const font = documentFonts.find(page, baseFont, style);
+    if (!font) return { run, style, font: null, substitute: { reason: "font" } };
+    const characters = font.missing(run.text);
+    if (characters.length) return { run, style, font: null, substitute: { reason: "glyphs", characters } };
+    return { run, style, font, substitute: null };
+  });
+}
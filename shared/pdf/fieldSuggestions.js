@@ -0,0 +1,329 @@
+// Candidate fill fields of a flat template, proposed to the admin in the
+// field designer (see templateFields.js). Found from the page's drawing
+// operators and text:
+//   - small squares                      -> checkbox
+//   - empty rectangles and table cells   -> text / multiline
+//   - long horizontal rules with nothing above them -> text on the rule
+//   - runs of "_" in the text            -> text over the run
+//
+//   { id, type, page, left, top, width, height, source }
+//
+// detectTableGrid() uses the same ruling lines to snap an editor table to the
+// grid printed on the template.
+//
+// Geometry is in PDF points with a top-left origin, like editor overlays.
+// `OPS` is pdf.js' operator table, passed in so this stays free of pdf.js.
+
+const TOL = 1.5; // points; slack when matching edges and crossings
+const THIN = 2.5; // rectangles this thin are drawn lines
+const CHECKBOX_MIN = 6;
+const CHECKBOX_MAX = 24;
+const MIN_FIELD_WIDTH = 20;
+const MAX_CELL_HEIGHT = 100;
+const MULTILINE_HEIGHT = 36;
+const RULE_MIN_WIDTH = 40;
+const RULE_FIELD_HEIGHT = 16;
+
+// pdf.js path data commands (DrawOPS in pdf.js)
+const MOVE_TO = 0;
+const LINE_TO = 1;
+const CURVE_TO = 2;
+const CLOSE_PATH = 3;
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5],
+];
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+// Subpaths of a constructPath operator as arrays of points in page space;
+// subpaths with curves are dropped, they are never field outlines.
+function subpaths(data, ctm) {
+  const result = [];
+  let points = null;
+  let curved = false;
+  const flush = () => {
+    if (points && points.length > 1 && !curved) result.push(points);
+    points = null;
+    curved = false;
+  };
+  for (let i = 0; i < data.length; ) {
+    const cmd = data[i++];
+    if (cmd === MOVE_TO) {
+      flush();
+      points = [apply(ctm, data[i], data[i + 1])];
+      i += 2;
+    } else if (cmd === LINE_TO) {
+      points?.push(apply(ctm, data[i], data[i + 1]));
+      i += 2;
+    } else if (cmd === CURVE_TO) {
+      curved = true;
+      i += 6;
+    } else if (cmd === CLOSE_PATH) {
+      if (points) points.push(points[0]);
+      flush();
+    } else {
+      break; // unknown command, the rest cannot be decoded
+    }
+  }
+  flush();
+  return result;
+}
+
+// Axis-aligned rectangle { x1, y1, x2, y2 } traced by a subpath, or null
+function asRect(points) {
+  if (points.length < 4 || points.length > 5) return null;
+  for (let i = 1; i < points.length; i++) {
+    const [ax, ay] = points[i - 1];
+    const [bx, by] = points[i];
+    if (Math.abs(ax - bx) > TOL && Math.abs(ay - by) > TOL) return null;
+  }
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+// Rectangles, horizontal and vertical segments painted on a page (PDF space)
+function pageGeometry(opList, OPS) {
+  const rects = [];
+  const hLines = [];
+  const vLines = [];
+  const addSegment = (x1, y1, x2, y2) => {
+    if (Math.abs(y1 - y2) <= TOL) hLines.push({ x1: Math.min(x1, x2), x2: Math.max(x1, x2), y: (y1 + y2) / 2 });
+    else if (Math.abs(x1 - x2) <= TOL) vLines.push({ x: (x1 + x2) / 2, y1: Math.min(y1, y2), y2: Math.max(y1, y2) });
+  };
+
+  let ctm = [1, 0, 0, 1, 0, 0];
+  const stack = [];
+  const { fnArray, argsArray } = opList;
+  for (let i = 0; i < fnArray.length; i++) {
+    const fn = fnArray[i];
+    const args = argsArray[i];
+    if (fn === OPS.save) stack.push(ctm);
+    else if (fn === OPS.restore) ctm = stack.pop() || ctm;
+    else if (fn === OPS.transform) ctm = multiply(ctm, args);
+    else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (Array.isArray(args?.[0]) || ArrayBuffer.isView(args?.[0])) ctm = multiply(ctm, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) ctm = stack.pop() || ctm;
+    else if (fn === OPS.constructPath) {
+      const [paintOp, [data] = []] = args;
+      if (paintOp === OPS.endPath || !data || typeof data.length !== "number") continue; // clip only
+      for (const points of subpaths(data, ctm)) {
+        const rect = asRect(points);
+        if (rect) {
+          const width = rect.x2 - rect.x1;
+          const height = rect.y2 - rect.y1;
+          if (height <= THIN) hLines.push({ x1: rect.x1, x2: rect.x2, y: (rect.y1 + rect.y2) / 2 });
+          else if (width <= THIN) vLines.push({ x: (rect.x1 + rect.x2) / 2, y1: rect.y1, y2: rect.y2 });
+          else {
+            rects.push(rect);
+            // Edges also take part in table grids
+            hLines.push({ x1: rect.x1, x2: rect.x2, y: rect.y1 }, { x1: rect.x1, x2: rect.x2, y: rect.y2 });
+            vLines.push({ x: rect.x1, y1: rect.y1, y2: rect.y2 }, { x: rect.x2, y1: rect.y1, y2: rect.y2 });
+          }
+          continue;
+        }
+        for (let p = 1; p < points.length; p++) addSegment(...points[p - 1], ...points[p]);
+      }
+    }
+  }
+  return { rects, hLines, vLines };
+}
+
+// Cells bounded below by each horizontal line: the line is split where
+// vertical lines cross it and each piece is closed by the nearest line above.
+// Pieces with nothing above are free-standing rules.
+function cellsAndRules(hLines, vLines) {
+  const cells = [];
+  const rules = [];
+  for (const line of hLines) {
+    const cuts = vLines
+      .filter((v) => v.x > line.x1 + TOL && v.x < line.x2 - TOL && v.y1 <= line.y + TOL && v.y2 >= line.y - TOL)
+      .map((v) => v.x)
+      .sort((a, b) => a - b);
+    const edges = [line.x1, ...cuts, line.x2];
+    for (let i = 1; i < edges.length; i++) {
+      const x1 = edges[i - 1];
+      const x2 = edges[i];
+      if (x2 - x1 < MIN_FIELD_WIDTH) continue;
+      const mid = (x1 + x2) / 2;
+      let above = Infinity;
+      for (const other of hLines) {
+        if (other.y > line.y + TOL && other.y < above && other.x1 <= mid && other.x2 >= mid) above = other.y;
+      }
+      if (above - line.y <= MAX_CELL_HEIGHT) {
+        cells.push({ x1, x2, y1: line.y, y2: above });
+        continue;
+      }
+      // The top edge of a box or table hangs vertical lines; a rule does not
+      const framed = vLines.some(
+        (v) => v.x >= x1 - TOL && v.x <= x2 + TOL && v.y1 < line.y - TOL && v.y2 >= line.y - TOL
+      );
+      if (!framed && x2 - x1 >= RULE_MIN_WIDTH) rules.push({ x1, x2, y: line.y, above });
+    }
+  }
+  return { cells, rules };
+}
+
+// Runs of three or more "_" inside text items, placed by character share of
+// the item width (good enough for the monospaced look underscores have).
+function underscoreRuns(items) {
+  const runs = [];
+  for (const item of items) {
+    const text = item.str || "";
+    if (!text.includes("___") || !item.width) continue;
+    const [, , , d, e, f] = item.transform;
+    const size = Math.abs(d) || item.height || 10;
+    const charWidth = item.width / text.length;
+    for (const match of text.matchAll(/_{3,}/g)) {
+      runs.push({
+        x1: e + match.index * charWidth,
+        x2: e + (match.index + match[0].length) * charWidth,
+        y1: f,
+        y2: f + size * 1.2,
+      });
+    }
+  }
+  return runs;
+}
+
+const area = (r) => (r.x2 - r.x1) * (r.y2 - r.y1);
+const overlap = (a, b) =>
+  Math.max(0, Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1)) * Math.max(0, Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1));
+
+/**
+ * Propose fill fields for every page of a pdf.js document. `existing`
+ * (definitions already on the template) suppresses proposals on top of them.
+ */
+export async function suggestTemplateFields(pdfjsDoc, OPS, existing = []) {
+  const suggestions = [];
+  for (let pageNumber = 1; pageNumber <= pdfjsDoc.numPages; pageNumber++) {
+    const page = await pdfjsDoc.getPage(pageNumber);
+    const [x0, y0, x1, y1] = page.view;
+    const pageArea = (x1 - x0) * (y1 - y0);
+    const [opList, textContent] = await Promise.all([page.getOperatorList(), page.getTextContent()]);
+    const { rects, hLines, vLines } = pageGeometry(opList, OPS);
+    const { cells, rules } = cellsAndRules(hLines, vLines);
+
+    // Printed text (the centre of each stretch between underscore runs) marks
+    // a region as already filled in
+    const text = [];
+    for (const item of textContent.items) {
+      const str = item.str || "";
+      const [, , , d, e, f] = item.transform;
+      const size = Math.abs(d) || item.height || 10;
+      const charWidth = (item.width || 0) / (str.length || 1);
+      for (const match of str.matchAll(/[^_]+/g)) {
+        if (!match[0].trim()) continue;
+        text.push({ x: e + (match.index + match[0].length / 2) * charWidth, y: f + size / 3 });
+      }
+    }
+    const hasText = (r) => text.some((t) => t.x > r.x1 + TOL && t.x < r.x2 - TOL && t.y > r.y1 && t.y < r.y2);
+
+    const candidates = [];
+    for (const r of rects) {
+      const width = r.x2 - r.x1;
+      const height = r.y2 - r.y1;
+      const square = Math.abs(width - height) <= 0.25 * Math.max(width, height);
+      if (square && width >= CHECKBOX_MIN && width <= CHECKBOX_MAX) {
+        candidates.push({ ...r, type: "checkbox", source: "box" });
+      }
+    }
+    for (const r of [...rects, ...cells]) {
+      const width = r.x2 - r.x1;
+      const height = r.y2 - r.y1;
+      if (width < MIN_FIELD_WIDTH || height < 8 || height > MAX_CELL_HEIGHT || area(r) > pageArea / 4) continue;
+      candidates.push({ ...r, type: height >= MULTILINE_HEIGHT ? "multiline" : "text", source: "cell" });
+    }
+    for (const rule of rules) {
+      const height = Math.min(RULE_FIELD_HEIGHT, rule.above - rule.y - TOL);
+      candidates.push({ x1: rule.x1, x2: rule.x2, y1: rule.y, y2: rule.y + height, type: "text", source: "rule" });
+    }
+    for (const run of underscoreRuns(textContent.items)) {
+      candidates.push({ ...run, type: "text", source: "underscore" });
+    }
+
+    // Smallest first, so a cell holding a checkbox square yields only the
+    // checkbox; anything overlapping a kept proposal or a defined field is dropped.
+    const taken = existing
+      .filter((field) => field.page === pageNumber)
+      .map((field) => ({
+        x1: field.left + x0,
+        x2: field.left + field.width + x0,
+        y1: y1 - field.top - field.height,
+        y2: y1 - field.top,
+      }));
+    candidates.sort((a, b) => area(a) - area(b));
+    for (const c of candidates) {
+      if (hasText(c)) continue;
+      if (taken.some((t) => overlap(c, t) > 0.3 * Math.min(area(c), area(t)))) continue;
+      taken.push(c);
+      suggestions.push({
+        id: `suggestion-${pageNumber}-${suggestions.length}`,
+        type: c.type,
+        page: pageNumber,
+        left: c.x1 - x0,
+        top: y1 - c.y2,
+        width: c.x2 - c.x1,
+        height: c.y2 - c.y1,
+        source: c.source,
+      });
+    }
+  }
+  return suggestions;
+}
+
+// Sorted positions with values closer than `gap` merged, weighted by `length`
+function clusterPositions(entries, gap) {
+  const clusters = [];
+  for (const { at, length } of [...entries].sort((a, b) => a.at - b.at)) {
+    const last = clusters[clusters.length - 1];
+    if (last && at - last.at <= gap) last.length += length;
+    else clusters.push({ at, length });
+  }
+  return clusters;
+}
+
+/**
+ * Grid ruled on the template inside `region` ({ left, top, width, height }
+ * on page `pageNumber`). Lines must span at least a third of the region to
+ * count. Resolves to { left, top, columns, rows } (cell widths and heights,
+ * top to bottom) or null when fewer than two lines run each way.
+ */
+export async function detectTableGrid(pdfjsDoc, OPS, pageNumber, region) {
+  const page = await pdfjsDoc.getPage(pageNumber);
+  const [x0, , , y1] = page.view;
+  const { hLines, vLines } = pageGeometry(await page.getOperatorList(), OPS);
+  const r = {
+    x1: region.left + x0,
+    x2: region.left + region.width + x0,
+    y1: y1 - region.top - region.height,
+    y2: y1 - region.top,
+  };
+  const span = (a1, a2, b1, b2) => Math.max(0, Math.min(a2, b2) - Math.max(a1, b1));
+  const rowLines = hLines
+    .filter((line) => line.y >= r.y1 - TOL && line.y <= r.y2 + TOL)
+    .map((line) => ({ at: line.y, length: span(line.x1, line.x2, r.x1, r.x2) }));
+  const colLines = vLines
+    .filter((line) => line.x >= r.x1 - TOL && line.x <= r.x2 + TOL)
+    .map((line) => ({ at: line.x, length: span(line.y1, line.y2, r.y1, r.y2) }));
+  const ys = clusterPositions(rowLines, THIN)
+    .filter((c) => c.length >= (r.x2 - r.x1) / 3)
+    .map((c) => c.at)
+    .reverse(); // top to bottom
+  const xs = clusterPositions(colLines, THIN)
+    .filter((c) => c.length >= (r.y2 - r.y1) / 3)
+    .map((c) => c.at);
+  if (ys.length < 2 || xs.length < 2) return null;
+  return {
+    left: xs[0] - x0,
+    top: y1 - ys[0],
+    columns: xs.slice(1).map((x, i) => x - xs[i]),
+    rows: ys.slice(1).map((y, i) => ys[i] - y),
+  };
+}
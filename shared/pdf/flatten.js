@@ -0,0 +1,784 @@
+// Overlay model for the editor: the template PDF is never modified while a
+// form is being filled. Everything the user adds lives in `boxes`
+// ({ [pageNumber]: Overlay[] }, synced over sockets and persisted per docId)
+// and is only drawn into the PDF bytes on Download/Submit.
+//
+// Shared by the browser (frontend, via the "@shared" alias) and the server
+// (backend POST /api/docs/:docId/render). Both sides pin the same pdf-lib
+// version, so the same template and overlays flatten to identical bytes.
+// Keep this module free of DOM and Node APIs.
+//
+// Geometry is in PDF points with a top-left origin (left, top, width, height),
+// so it is independent of the zoom level: screen px = points * scale. The
+// fields of each overlay type are described where flattenWith draws it.
+// Boxes without a type predate the model and are treated as text.
+
+import { fieldKind } from "./formFields.js";
+import { createFontLibrary, createFontSet } from "./fonts.js";
+import { lineEditFonts } from "./documentFonts.js";
+import { lineTextCuts, parseContent, spliceContent, textShows } from "./contentStream.js";
+import { redactionRect } from "./redaction.js";
+import {
+  arrowHead,
+  arrowHeadLength,
+  DEFAULT_STROKE_WIDTH,
+  HIGHLIGHT_OPACITY,
+  markupLine,
+  markupLineWidth,
+  pointsPath,
+} from "./markup.js";
+
+// Text boxes are laid out the same way on screen and in the export.
+export const TEXT_BOX_PADDING = { x: 4, y: 2 };
+export const TEXT_BOX_LINE_HEIGHT = 1.2;
+// Browsers render Helvetica with Arial metrics (ascent 0.905, descent 0.212),
+// Times with Times New Roman's and Courier with Courier New's.
+const FAMILY_METRICS = {
+  sans: { ascent: 0.905, descent: 0.212 },
+  serif: { ascent: 0.891, descent: 0.216 },
+  mono: { ascent: 0.833, descent: 0.3 },
+};
+// Distance from the top of a CSS line box to the baseline, in font sizes.
+export const baselineOffset = (lineHeight, family = "sans") => {
+  const { ascent, descent } = FAMILY_METRICS[family] || FAMILY_METRICS.sans;
+  return (lineHeight - (ascent + descent)) / 2 + ascent;
+};
+
+export const overlayType = (box) => box?.type || "text";
+
+export const textBoxHeight = (fontSize, lineHeight = TEXT_BOX_LINE_HEIGHT) => fontSize * lineHeight + TEXT_BOX_PADDING.y * 2;
+export const TEXT_BOX_LINE_HEIGHTS = [1, 1.15, 1.2, 1.5, 2];
+export const TEXT_BOX_FAMILIES = ["sans", "serif", "mono"];
+export const TEXT_BOX_ALIGN = ["left", "center", "right"];
+// Underline and strike-through: height above the baseline and thickness, in font sizes
+const TEXT_DECORATION = { rise: { underline: -0.1, strike: 0.26 }, thickness: 0.05 };
+
+export const TABLE_CELL_PADDING = 2;
+const ROUND_LINE_CAP = 1; // pdf-lib LineCapStyle.Round
+const MIN_TABLE_FONT_SIZE = 4;
+
+export const MARK_TYPES = ["tick", "cross", "na"];
+export const NA_TEXT = "N/A";
+// Advance width of "N/A" in Helvetica-Bold at size 1
+const NA_WIDTH_AT_1 = 1.722;
+
+// Strokes of a tick or cross as [x1, y1, x2, y2] in a unit square with a
+// bottom-left origin; scale by the side of the mark's square.
+export function markStrokes(mark) {
+  if (mark === "tick") return [[0.2, 0.5, 0.42, 0.25], [0.42, 0.25, 0.82, 0.78]];
+  if (mark === "cross") return [[0.22, 0.22, 0.78, 0.78], [0.22, 0.78, 0.78, 0.22]];
+  return [];
+}
+
+export const markStrokeWidth = (side) => Math.max(1, side * 0.12);
+
+// Font size of the "N/A" mark filling most of its box
+export const naFontSize = (width, height) => Math.min(height * 0.7, (width * 0.9) / NA_WIDTH_AT_1);
+
+// Font size of a cell's text: `fontSize`, or smaller so that text measuring
+// `widthAt1` points at size 1 fits the cell's width and height.
+export function tableCellFontSize(widthAt1, cellWidth, cellHeight, fontSize) {
+  const byWidth = (cellWidth - TABLE_CELL_PADDING * 2) / Math.max(widthAt1, 0.001);
+  const byHeight = (cellHeight - TABLE_CELL_PADDING * 2) / TEXT_BOX_LINE_HEIGHT;
+  return Math.max(MIN_TABLE_FONT_SIZE, Math.min(fontSize, byWidth, byHeight));
+}
+
+// Accepts "#rrggbb" or {r,g,b} in 0..1 (or 0..255) and returns 0..1 components.
+export function toRgb01(color) {
+  if (typeof color === "string") {
+    const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(color);
+    if (!m) return { r: 0, g: 0, b: 0 };
+    return { r: parseInt(m[1], 16) / 255, g: parseInt(m[2], 16) / 255, b: parseInt(m[3], 16) / 255 };
+  }
+  const norm = (v) => {
+    const num = typeof v === "number" ? v : parseFloat(v);
+    if (isNaN(num)) return 0;
+    return Math.max(0, Math.min(1, num > 1 ? num / 255 : num));
+  };
+  return { r: norm(color?.r), g: norm(color?.g), b: norm(color?.b) };
+}
+
+// Write `fields` ({ [fieldName]: value }, see formFields.js) into the template's
+// AcroForm. With `flatten` the fields become plain page content, otherwise they
+// stay fillable with the new values. Signatures cannot be filled without a
+// digital signature, so a typed signature is drawn into the field box.
+async function applyFormFields(pdfDoc, values, { flatten, fonts }) {
+  if (!pdfDoc.catalog.getAcroForm()) return;
+  const form = pdfDoc.getForm();
+  for (const field of form.getFields()) {
+    const kind = fieldKind(field);
+    const name = field.getName();
+    if (kind === "signature") {
+      const text = String(values[name] || "").trim();
+      for (const widget of field.acroField.getWidgets()) {
+        const page = form.findWidgetPage(widget);
+        // A signature field without an appearance cannot be flattened by pdf-lib
+        if (flatten) page.node.removeAnnot(pdfDoc.context.getObjectRef(widget.dict));
+        if (!text) continue;
+        const rect = widget.getRectangle();
+        const textWidth = await fonts.widthOf(text, 1, { italic: true });
+        const size = Math.min(rect.height * 0.7, (rect.width - 4) / Math.max(1, textWidth));
+        await fonts.draw(page, text, { x: rect.x + 2, y: rect.y + (rect.height - size) / 2 + size * 0.2, size, italic: true });
+      }
+      if (flatten) form.acroForm.removeField(field.acroField);
+      continue;
+    }
+    if (!kind || !(name in values)) continue;
+    const value = values[name];
+    // A value the field does not accept (e.g. an option removed from a later
+    // revision of the template) leaves the template's value in place.
+    try {
+      if (kind === "text") {
+        // Appearances take a single font; a bundled one when Helvetica lacks a character
+        const { font, text } = await fonts.covering(String(value ?? ""));
+        field.setText(text || undefined);
+        if (font) field.updateAppearances(font);
+      } else if (kind === "checkbox") value ? field.check() : field.uncheck();
+      else if (kind === "radio") value ? field.select(String(value)) : field.clear();
+      else if (kind === "dropdown") value ? field.select(String(value)) : field.clear();
+    } catch {
+      // keep the template value
+    }
+  }
+  if (flatten) form.flatten();
+}
+
+// Template field values are laid out like their inputs in the editor
+// (FormFieldLayer): single-line text centred vertically, multiline from the top.
+const FIELD_PADDING = 2;
+const FIELD_LINE_HEIGHT = 1.2;
+// Baseline of a vertically centred single line, below the box middle, in font sizes
+const FIELD_CENTER_BASELINE = baselineOffset(1.149) - 1.149 / 2;
+
+async function wrapText(text, measure, maxWidth) {
+  const lines = [];
+  for (const paragraph of text.split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(" ")) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && (await measure(next)) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// wrapText over styled runs, where a word that does not fit a line of its
+// own is also split between characters (CSS overflow-wrap: break-word).
+// Lines come back as segments ({ text, run }), one per stretch of a single
+// run; `measure(text, run)` sizes a segment.
+async function wrapRuns(runs, measure, maxWidth) {
+  const segments = (chars) =>
+    chars.reduce((list, { ch, run }) => {
+      const last = list[list.length - 1];
+      if (last?.run === run) last.text += ch;
+      else list.push({ text: ch, run });
+      return list;
+    }, []);
+  const width = async (chars) => {
+    let sum = 0;
+    for (const segment of segments(chars)) sum += await measure(segment.text, segment.run);
+    return sum;
+  };
+  const paragraphs = [[]];
+  for (const run of runs) {
+    for (const ch of Array.from(run.text)) {
+      if (ch === "\n") paragraphs.push([]);
+      else paragraphs[paragraphs.length - 1].push({ ch, run });
+    }
+  }
+  const lines = [];
+  for (const paragraph of paragraphs) {
+    const words = [[]];
+    const spaces = [];
+    for (const char of paragraph) {
+      if (char.ch === " ") {
+        spaces.push(char);
+        words.push([]);
+      } else {
+        words[words.length - 1].push(char);
+      }
+    }
+    let line = [];
+    for (const [i, word] of words.entries()) {
+      const next = line.length ? [...line, spaces[i - 1], ...word] : word;
+      if (line.length && (await width(next)) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+      while (line.length > 1 && (await width(line)) > maxWidth) {
+        let fit = 1;
+        while (fit < line.length - 1 && (await width(line.slice(0, fit + 1))) <= maxWidth) fit++;
+        lines.push(line.slice(0, fit));
+        line = line.slice(fit);
+      }
+    }
+    lines.push(line);
+  }
+  return lines.map(segments);
+}
+
+// Tick or cross centred in the box whose bottom-left corner is (x, y)
+function drawMarkStrokes(page, mark, x, y, width, height, color) {
+  const side = Math.min(width, height);
+  const left = x + (width - side) / 2;
+  const bottom = y + (height - side) / 2;
+  const thickness = markStrokeWidth(side);
+  for (const [x1, y1, x2, y2] of markStrokes(mark)) {
+    page.drawLine({
+      start: { x: left + x1 * side, y: bottom + y1 * side },
+      end: { x: left + x2 * side, y: bottom + y2 * side },
+      thickness,
+      color,
+    });
+  }
+}
+
+// Draw the values of admin-defined fields (see templateFields.js) on their pages.
+async function drawTemplateFields(pdfDoc, defs, values, { fonts, rgb }) {
+  const pages = pdfDoc.getPages();
+  for (const def of defs) {
+    const page = pages[def.page - 1];
+    const value = values[def.name];
+    if (!page || value === undefined || value === null || value === "" || value === false) continue;
+    const bottom = page.getHeight() - def.top - def.height;
+    const black = rgb(0, 0, 0);
+
+    if (def.type === "checkbox") {
+      drawMarkStrokes(page, "tick", def.left, bottom, def.width, def.height, black);
+      continue;
+    }
+
+    const style = { italic: def.type === "signature" || def.type === "initials" };
+    const text = String(value);
+    const innerWidth = def.width - FIELD_PADDING * 2;
+    const lineX = async (line, size) => {
+      const width = await fonts.widthOf(line, size, style);
+      if (def.align === "center") return def.left + (def.width - width) / 2;
+      if (def.align === "right") return def.left + def.width - FIELD_PADDING - width;
+      return def.left + FIELD_PADDING;
+    };
+
+    if (def.type === "multiline") {
+      const size = def.fontSize;
+      const top = page.getHeight() - def.top - FIELD_PADDING;
+      const lines = await wrapText(text, (line) => fonts.widthOf(line, size, style), innerWidth);
+      for (const [i, line] of lines.entries()) {
+        const y = top - (i * FIELD_LINE_HEIGHT + baselineOffset(FIELD_LINE_HEIGHT)) * size;
+        if (y < bottom) break;
+        await fonts.draw(page, line, { x: await lineX(line, size), y, size, ...style, color: black });
+      }
+      continue;
+    }
+
+    // Single line; signatures shrink to fit rather than overflow their box
+    const fit = innerWidth / Math.max(1, await fonts.widthOf(text, 1, style));
+    const size = style.italic ? Math.min(def.fontSize, fit) : def.fontSize;
+    const y = bottom + def.height / 2 - size * FIELD_CENTER_BASELINE;
+    await fonts.draw(page, text, { x: await lineX(text, size), y, size, ...style, color: black });
+  }
+}
+
+/** Styled runs a lineEdit draws: `runs`, else its whole text in the line's style. */
+export const lineEditRuns = (box) =>
+  (box.runs?.length ? box.runs : [{ text: box.text || "", bold: !!box.isBold, italic: !!box.isItalic }]).filter(
+    (run) => run.text
+  );
+
+/** Styled runs a text box draws: `runs`, else its whole text in the box's style. */
+export const textBoxRuns = (box) => {
+  const base = {
+    bold: !!box.isBold,
+    italic: !!box.isItalic,
+    underline: !!box.isUnderline,
+    strike: !!box.isStrikethrough,
+    color: box.color || "#000000",
+    size: box.fontSize || 12,
+  };
+  if (!box.runs?.length) return [{ ...base, text: box.text || "" }];
+  return box.runs.map((run) => ({
+    ...base,
+    text: run.text || "",
+    bold: run.bold ?? base.bold,
+    italic: run.italic ?? base.italic,
+    underline: base.underline || !!run.underline,
+    color: run.color || base.color,
+    size: run.size || base.size,
+  }));
+};
+
+const isPng = (bytes) => bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isArrayOf = (value, check) => Array.isArray(value) && value.every(check);
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+const isString = (value) => typeof value === "string";
+const hasBox = (box) => ["left", "top", "width", "height"].every((key) => isNumber(box[key]));
+const isRuns = (runs) => isOptional(runs, (list) => isArrayOf(list, (run) => !!run && isOptional(run.text, isString)));
+
+// Fields each overlay type needs to be drawn (see flattenWith)
+const OVERLAY_CHECKS = {
+  text: (box) => hasBox(box) && isOptional(box.text, isString) && isRuns(box.runs),
+  image: (box) => hasBox(box) && isOptional(box.src, isString),
+  lineEdit: (box) =>
+    hasBox(box) &&
+    isNumber(box.fontSize) &&
+    isNumber(box.baseline?.x) &&
+    isNumber(box.baseline?.y) &&
+    isOptional(box.text, isString) &&
+    isRuns(box.runs),
+  table: (box) =>
+    isNumber(box.left) &&
+    isNumber(box.top) &&
+    isArrayOf(box.columns, isNumber) &&
+    isArrayOf(box.rows, isNumber) &&
+    isOptional(box.cells, (rows) => isArrayOf(rows, (row) => isArrayOf(row, (cell) => isOptional(cell, isString)))),
+  mark: hasBox,
+  redact: hasBox,
+  markup: (box) => hasBox(box) && isOptional(box.rects, (rects) => isArrayOf(rects, (rect) => !!rect && hasBox(rect))),
+  shape: (box) =>
+    hasBox(box) &&
+    isOptional(box.points, (points) => isArrayOf(points, (point) => isArrayOf(point, isNumber) && point.length === 2)),
+};
+
+/**
+ * Overlays of `boxesByPage` that cannot be exported: [{ page, index, id, type }],
+ * empty when all can. Checked before flattening data from outside the
+ * editor, which would otherwise fail halfway through drawing.
+ */
+export function invalidOverlays(boxesByPage) {
+  const invalid = [];
+  for (const [page, boxes] of Object.entries(boxesByPage || {})) {
+    if (!Array.isArray(boxes)) {
+      invalid.push({ page, index: null, id: null, type: null });
+      continue;
+    }
+    boxes.forEach((box, index) => {
+      const type = overlayType(box);
+      const check = OVERLAY_CHECKS[type];
+      if (!box || typeof box !== "object" || !check?.(box)) invalid.push({ page, index, id: box?.id ?? null, type });
+    });
+  }
+  return invalid;
+}
+
+/**
+ * Build the export function around a pdf-lib instance, so the same drawing
+ * code can run in the browser and in Node.
+ *
+ *   const flatten = createOverlayFlattener({ PDFDocument, rgb, setCharacterSpacing, StandardFonts, fontkit, loadFont });
+ *   const bytes = await flatten(templateBytes, boxes, { loadImage, fields, flattenFields, markupAnnotations });
+ *
+ * `loadImage(src)` resolves an image overlay's src to its bytes. `fields` are
+ * the values of AcroForm fields and of `templateFields` (admin-defined fields,
+ * see templateFields.js); `flattenFields` (default true) turns an AcroForm
+ * into plain content, false keeps it fillable. `markupAnnotations` (default
+ * false) exports markups and shapes as PDF annotations rather than content.
+ *
+ * `fontkit` (@pdf-lib/fontkit) and `loadFont(key)` (bytes of a bundled font,
+ * see fonts.js) draw characters Helvetica does not have. `documentFonts`
+ * (createDocumentFonts, see documentFonts.js) lets edited lines keep the
+ * template's fonts; without it they are drawn in standard fonts. With
+ * `pageContent` (createPageContent, see contentStream.js) as well, the text
+ * they replace is removed from the page instead of covered. Redact overlays
+ * need `redactor` (createRedactor, see redaction.js); exporting them without
+ * one throws rather than only covering the content.
+ */
+export const createOverlayFlattener = ({
+  PDFDocument,
+  rgb,
+  setCharacterSpacing,
+  StandardFonts,
+  fontkit,
+  loadFont,
+  documentFonts,
+  pageContent,
+  redactor,
+}) => {
+  const fontLibrary = createFontLibrary({ PDFDocument, StandardFonts, fontkit, loadFont });
+  const tools = { PDFDocument, rgb, setCharacterSpacing, StandardFonts, fontkit, fontLibrary, documentFonts, pageContent, redactor };
+  return (pdfBytes, boxesByPage, options) => flattenWith(tools, pdfBytes, boxesByPage, options);
+};
+
+// Cut the original text of lineEdits out of the page content where it can be
+// matched; returns the ids of the lines that need no cover rect.
+function removeLineText(pdfDoc, boxesByPage, { documentFonts, pageContent }) {
+  const removed = new Set();
+  if (!documentFonts || !pageContent) return removed;
+  const pages = pdfDoc.getPages();
+  for (const [pageNumber, boxes] of Object.entries(boxesByPage)) {
+    const page = pages[pageNumber - 1];
+    const edits = (boxes || []).filter((box) => overlayType(box) === "lineEdit" && box.originalText);
+    if (!page || !edits.length) continue;
+    const content = pageContent.read(page);
+    if (content === null) continue;
+    let shows;
+    try {
+      shows = textShows(parseContent(content), (name) => documentFonts.decoder(page, name));
+    } catch (err) {
+      console.error(`Cannot edit the content of page ${pageNumber}, covering edited lines:`, err);
+      continue;
+    }
+    const { cuts, removed: lines } = lineTextCuts(shows, edits, page.getHeight());
+    if (!cuts.length) continue;
+    pageContent.write(pdfDoc, page, spliceContent(content, cuts));
+    lines.forEach((id) => removed.add(id));
+  }
+  return removed;
+}
+
+const ANNOTATION_PRINT = 4; // /F flag: printed like the page content
+const TEXT_MARKUP_SUBTYPES = { highlight: "Highlight", underline: "Underline", strikeout: "StrikeOut" };
+
+// Annotation dictionary (plain values for context.obj) of a markup or shape,
+// in page space; null when it has nothing to draw. Rects and ellipses keep
+// their stroke centred on the box edge, as annotations draw it inside /Rect.
+function markupAnnotation(box, pageHeight) {
+  const { r, g, b } = toRgb01(box.color || (box.type === "markup" ? "#ffeb3b" : "#000000"));
+  const common = { Type: "Annot", C: [r, g, b], F: ANNOTATION_PRINT };
+  const width = box.strokeWidth || DEFAULT_STROKE_WIDTH;
+  const y = (top) => pageHeight - top;
+  if (box.type === "markup") {
+    if (!box.rects?.length) return null;
+    return {
+      ...common,
+      Subtype: TEXT_MARKUP_SUBTYPES[box.kind] || "Highlight",
+      Rect: [box.left, y(box.top + box.height), box.left + box.width, y(box.top)],
+      // Each rect as top-left, top-right, bottom-left, bottom-right, as viewers read them
+      QuadPoints: box.rects.flatMap((rect) => {
+        const [x0, x1] = [rect.left, rect.left + rect.width];
+        const [top, bottom] = [y(rect.top), y(rect.top + rect.height)];
+        return [x0, top, x1, top, x0, bottom, x1, bottom];
+      }),
+      ...(box.kind === "highlight" && { CA: HIGHLIGHT_OPACITY }),
+    };
+  }
+  const border = { BS: { W: width } };
+  if (box.kind === "rect" || box.kind === "ellipse") {
+    const half = width / 2;
+    return {
+      ...common,
+      ...border,
+      Subtype: box.kind === "rect" ? "Square" : "Circle",
+      Rect: [box.left - half, y(box.top + box.height) - half, box.left + box.width + half, y(box.top) + half],
+    };
+  }
+  if (!(box.points?.length > 1)) return null;
+  const points = box.points.map(([px, py]) => [box.left + px, y(box.top + py)]);
+  const pad = box.kind === "arrow" ? arrowHeadLength(width) : width;
+  const xs = points.map(([px]) => px);
+  const ys = points.map(([, py]) => py);
+  const rect = [Math.min(...xs) - pad, Math.min(...ys) - pad, Math.max(...xs) + pad, Math.max(...ys) + pad];
+  if (box.kind === "ink") return { ...common, ...border, Subtype: "Ink", Rect: rect, InkList: [points.flat()] };
+  return {
+    ...common,
+    ...border,
+    Subtype: "Line",
+    Rect: rect,
+    L: points.slice(-2).flat(),
+    ...(box.kind === "arrow" && { LE: ["None", "OpenArrow"] }),
+  };
+}
+
+// Add a markup or shape to its page as an annotation. False when there is
+// nothing to add or it reaches into a redact area, whose redaction only
+// removes content; the caller draws it then.
+function addMarkupAnnotation(pdfDoc, page, box, redactRects = []) {
+  const annotation = markupAnnotation(box, page.getHeight());
+  if (!annotation) return false;
+  const [x0, y0, x1, y1] = annotation.Rect;
+  if (redactRects.some(([rx0, ry0, rx1, ry1]) => x0 < rx1 && rx0 < x1 && y0 < ry1 && ry0 < y1)) return false;
+  const { context } = pdfDoc;
+  page.node.addAnnot(context.register(context.obj({ ...annotation, P: page.ref })));
+  return true;
+}
+
+// Redact areas by pdf-lib page: Map(page -> [[x0, y0, x1, y1], ...])
+function redactionAreas(pdfDoc, boxesByPage) {
+  const areas = new Map();
+  const pages = pdfDoc.getPages();
+  for (const [pageNumber, boxes] of Object.entries(boxesByPage)) {
+    const page = pages[pageNumber - 1];
+    if (!page) continue;
+    const rects = (boxes || [])
+      .filter((box) => overlayType(box) === "redact" && box.width > 0 && box.height > 0)
+      .map((box) => redactionRect(box, page.getHeight()));
+    if (rects.length) areas.set(page, rects);
+  }
+  return areas;
+}
+
+async function flattenWith(
+  { PDFDocument, rgb, setCharacterSpacing, StandardFonts, fontkit, fontLibrary, documentFonts, pageContent, redactor },
+  pdfBytes,
+  boxesByPage = {},
+  { loadImage, fields = {}, flattenFields = true, templateFields = [], markupAnnotations = false } = {}
+) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const fonts = createFontSet(pdfDoc, fontLibrary, { StandardFonts, fontkit });
+  const imageCache = {};
+  const image = (src) => {
+    if (!imageCache[src]) {
+      imageCache[src] = Promise.resolve(loadImage(src)).then((bytes) => {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        return isPng(data) ? pdfDoc.embedPng(data) : pdfDoc.embedJpg(data);
+      });
+    }
+    return imageCache[src];
+  };
+
+  // Before anything is drawn, so the cuts only see the template's own content
+  const removedLines = removeLineText(pdfDoc, boxesByPage || {}, { documentFonts, pageContent });
+
+  const redactions = redactionAreas(pdfDoc, boxesByPage || {});
+  if (redactions.size && !redactor) throw new Error("Redaction is not available for this export");
+  // Fields in a redacted area are deleted before their values are written
+  if (redactions.size) redactor.removeAnnotations(pdfDoc, redactions);
+
+  // Fields first, so overlays are drawn on top of flattened field content
+  await applyFormFields(pdfDoc, fields || {}, { flatten: flattenFields, fonts });
+  await drawTemplateFields(pdfDoc, templateFields || [], fields || {}, { fonts, rgb });
+  const pages = pdfDoc.getPages();
+
+  const pageNumbers = Object.keys(boxesByPage).map(Number).sort((a, b) => a - b);
+  for (const pageNumber of pageNumbers) {
+    const page = pages[pageNumber - 1];
+    if (!page) continue;
+    const pageHeight = page.getHeight();
+
+    for (const box of boxesByPage[pageNumber] || []) {
+      const type = overlayType(box);
+
+      if (type === "redact") {
+        // { left, top, width, height }: content removed from the file and a
+        // black box drawn over everything else, after the loop (redaction.js)
+        continue;
+      } else if (
+        (type === "markup" || type === "shape") &&
+        markupAnnotations &&
+        addMarkupAnnotation(pdfDoc, page, box, redactions.get(page))
+      ) {
+        // Written as standard annotations, which viewers list as comments
+        continue;
+      } else if (type === "image") {
+        // { left, top, width, height, src: "/uploads/<hash>.png" }
+        if (!box.src || !loadImage) continue;
+        page.drawImage(await image(box.src), {
+          x: box.left,
+          y: pageHeight - box.top - box.height,
+          width: box.width,
+          height: box.height,
+        });
+      } else if (type === "lineEdit") {
+        // { left, top, width, height, text, runs?, fontSize, isBold, isItalic, color: {r,g,b},
+        //   coverColor: {r,g,b}, baseline: { x, y }, font?: { baseFont, family }, originalText? }
+        // Replaces an original text line (left/top/width/height) with new text
+        // at `baseline` (PDF user space, bottom-left origin). The old text is
+        // cut from the page content when it matches `originalText`
+        // (removeLineText), else covered in `coverColor`. The new text keeps
+        // the line's own document font when it has the glyphs
+        // (documentFonts.js), else the standard font of `family`.
+        const measured = [];
+        for (const { run, style, font } of lineEditFonts(documentFonts, page, box, lineEditRuns(box))) {
+          const width = font ? font.widthOf(run.text, box.fontSize) : await fonts.widthOf(run.text, box.fontSize, style);
+          measured.push({ run, style, font, width });
+        }
+        if (!removedLines.has(box.id)) {
+          // The cover grows with replacement text that is longer than the original line
+          const textRight = box.baseline.x + measured.reduce((sum, m) => sum + m.width, 0) + 1;
+          const cover = toRgb01(box.coverColor || { r: 1, g: 1, b: 1 });
+          page.drawRectangle({
+            x: box.left,
+            y: pageHeight - box.top - box.height,
+            width: Math.max(box.width, textRight - box.left),
+            height: box.height,
+            color: rgb(cover.r, cover.g, cover.b),
+          });
+        }
+        const { r, g, b } = toRgb01(box.color || { r: 0, g: 0, b: 0 });
+        let x = box.baseline.x;
+        for (const { run, style, font } of measured) {
+          const options = { x, y: box.baseline.y, size: box.fontSize, ...style, color: rgb(r, g, b) };
+          x += font ? font.draw(page, run.text, options) : await fonts.draw(page, run.text, options);
+        }
+      } else if (type === "mark") {
+        // { left, top, width, height, mark: "tick" | "cross" | "na", color: "#rrggbb" }
+        // centred in its box. Ticks and crosses are strokes (markStrokes), as
+        // the standard fonts have no ✓ or ✗.
+        const { r, g, b } = toRgb01(box.color || "#000000");
+        const bottom = pageHeight - box.top - box.height;
+        if (box.mark === "na") {
+          const naFont = await fonts.standard(true, false);
+          const size = naFontSize(box.width, box.height);
+          page.drawText(NA_TEXT, {
+            x: box.left + (box.width - naFont.widthOfTextAtSize(NA_TEXT, size)) / 2,
+            y: bottom + box.height / 2 - size * FIELD_CENTER_BASELINE,
+            size,
+            font: naFont,
+            color: rgb(r, g, b),
+          });
+        } else {
+          drawMarkStrokes(page, box.mark, box.left, bottom, box.width, box.height, rgb(r, g, b));
+        }
+      } else if (type === "markup") {
+        // { kind, left, top, width, height, rects, color: "#rrggbb", strokeWidth }:
+        // a highlight, underline or strike-out of text lines (markup.js has the
+        // geometry). Highlights are see-through, multiplied onto the page.
+        // Markup reaching into a redact area is drawn all the same, so the
+        // redaction covers it.
+        const { r, g, b } = toRgb01(box.color || "#ffeb3b");
+        for (const rect of box.rects || []) {
+          if (box.kind === "highlight") {
+            page.drawRectangle({
+              x: rect.left,
+              y: pageHeight - rect.top - rect.height,
+              width: rect.width,
+              height: rect.height,
+              color: rgb(r, g, b),
+              opacity: HIGHLIGHT_OPACITY,
+              blendMode: "Multiply",
+            });
+          } else {
+            const [x1, y1, x2, y2] = markupLine(box.kind, rect);
+            page.drawLine({
+              start: { x: x1, y: pageHeight - y1 },
+              end: { x: x2, y: pageHeight - y2 },
+              thickness: markupLineWidth(rect, box.strokeWidth),
+              color: rgb(r, g, b),
+            });
+          }
+        }
+      } else if (type === "shape") {
+        // { kind, left, top, width, height, points?, color: "#rrggbb", strokeWidth }
+        const { r, g, b } = toRgb01(box.color || "#000000");
+        const stroke = { borderColor: rgb(r, g, b), borderWidth: box.strokeWidth || DEFAULT_STROKE_WIDTH };
+        if (box.kind === "rect") {
+          page.drawRectangle({ x: box.left, y: pageHeight - box.top - box.height, width: box.width, height: box.height, ...stroke });
+        } else if (box.kind === "ellipse") {
+          // Two arcs rather than drawEllipse, which ends its path before stroking it
+          const [rx, ry] = [box.width / 2, box.height / 2];
+          const arc = (x) => `A ${rx} ${ry} 0 1 0 ${x} ${box.top + ry}`;
+          const path = `M ${box.left} ${box.top + ry} ${arc(box.left + box.width)} ${arc(box.left)} Z`;
+          page.drawSvgPath(path, { x: 0, y: pageHeight, ...stroke });
+        } else if (box.points?.length > 1) {
+          // SVG paths are drawn y-down from (x, y), here the page's top-left corner
+          const paths = [pointsPath(box.points, box.left, box.top)];
+          if (box.kind === "arrow") {
+            const [[x1, y1], [x2, y2]] = box.points.slice(-2);
+            for (const [hx1, hy1, hx2, hy2] of arrowHead(x1, y1, x2, y2, stroke.borderWidth)) {
+              paths.push(pointsPath([[hx1, hy1], [hx2, hy2]], box.left, box.top));
+            }
+          }
+          page.drawSvgPath(paths.join(" "), { x: 0, y: pageHeight, ...stroke, borderLineCap: ROUND_LINE_CAP });
+        }
+      } else if (type === "table") {
+        // { left, top, columns: number[], rows: number[], cells: string[][], fontSize, color: "#rrggbb" }
+        // `columns` and `rows` are the cell widths and heights. Each cell is a
+        // single line that shrinks below `fontSize` to fit (tableCellFontSize).
+        const { r, g, b } = toRgb01(box.color || "#000000");
+        let cellTop = box.top;
+        for (const [row, rowHeight] of box.rows.entries()) {
+          let cellLeft = box.left;
+          for (const [col, colWidth] of box.columns.entries()) {
+            const text = (box.cells?.[row]?.[col] || "").trim();
+            if (text) {
+              const size = tableCellFontSize(await fonts.widthOf(text, 1), colWidth, rowHeight, box.fontSize || 10);
+              await fonts.draw(page, text, {
+                x: cellLeft + TABLE_CELL_PADDING,
+                y: pageHeight - cellTop - rowHeight / 2 - size * FIELD_CENTER_BASELINE,
+                size,
+                color: rgb(r, g, b),
+              });
+            }
+            cellLeft += colWidth;
+          }
+          cellTop += rowHeight;
+        }
+      } else {
+        // Text box: { left, top, width, height, text, fontSize, color: "#rrggbb", isBold, isItalic?,
+        //   isUnderline?, isStrikethrough?, lineHeight?, family?: "sans" | "serif" | "mono",
+        //   align?: "left" | "center" | "right", letterSpacing?, backgroundColor?, borderColor?,
+        //   borderWidth?, runs?: [{ text, bold, italic?, underline?, color?, size? }] }
+        // Wrapped like the editor's contentEditable (see wrapRuns); text past
+        // the bottom is drawn all the same, as the editor shows it. `runs`
+        // (textBoxRuns) can add underline to the box style but not remove it.
+        // A line is as tall as its largest run and never shorter than
+        // `fontSize`; `letterSpacing` (points) follows every character. The
+        // background and the inner border do not move the text.
+        const bottom = pageHeight - box.top - box.height;
+        if (box.backgroundColor) {
+          const { r, g, b } = toRgb01(box.backgroundColor);
+          page.drawRectangle({ x: box.left, y: bottom, width: box.width, height: box.height, color: rgb(r, g, b) });
+        }
+        if (box.borderColor && box.borderWidth > 0) {
+          const { r, g, b } = toRgb01(box.borderColor);
+          const inset = box.borderWidth / 2;
+          page.drawRectangle({
+            x: box.left + inset,
+            y: bottom + inset,
+            width: box.width - box.borderWidth,
+            height: box.height - box.borderWidth,
+            borderColor: rgb(r, g, b),
+            borderWidth: box.borderWidth,
+          });
+        }
+        const runs = textBoxRuns(box);
+        if (!runs.some((run) => run.text.trim())) continue;
+        const fontSize = box.fontSize || 12;
+        const lineHeight = box.lineHeight || TEXT_BOX_LINE_HEIGHT;
+        const family = TEXT_BOX_FAMILIES.includes(box.family) ? box.family : "sans";
+        const spacing = box.letterSpacing || 0;
+        const innerWidth = box.width - TEXT_BOX_PADDING.x * 2;
+        const styleOf = (run) => ({ bold: run.bold, italic: run.italic, family, letterSpacing: spacing });
+        const measure = (text, run) => fonts.widthOf(text, run.size, styleOf(run));
+        const lines = await wrapRuns(runs, measure, innerWidth);
+        if (spacing) page.pushOperators(setCharacterSpacing(spacing));
+        let lineTop = box.top + TEXT_BOX_PADDING.y;
+        for (const segments of lines) {
+          const size = Math.max(fontSize, ...segments.map((segment) => segment.run.size));
+          const y = pageHeight - (lineTop + baselineOffset(lineHeight, family) * size);
+          lineTop += lineHeight * size;
+          let x = box.left + TEXT_BOX_PADDING.x;
+          if (box.align === "center" || box.align === "right") {
+            let lineWidth = 0;
+            for (const { text, run } of segments) lineWidth += await measure(text, run);
+            x += (innerWidth - lineWidth) * (box.align === "center" ? 0.5 : 1);
+          }
+          for (const { text, run } of segments) {
+            const { r, g, b } = toRgb01(run.color);
+            const width = await measure(text, run);
+            if (text.trim()) {
+              await fonts.draw(page, text, { x, y, size: run.size, ...styleOf(run), color: rgb(r, g, b) });
+            }
+            for (const line of ["underline", "strike"].filter((line) => run[line])) {
+              const lineY = y + TEXT_DECORATION.rise[line] * run.size;
+              page.drawLine({
+                start: { x, y: lineY },
+                end: { x: x + width, y: lineY },
+                thickness: TEXT_DECORATION.thickness * run.size,
+                color: rgb(r, g, b),
+              });
+            }
+            x += width;
+          }
+        }
+        if (spacing) page.pushOperators(setCharacterSpacing(0));
+      }
+    }
+  }
+
+  // Last, so the areas are also cleared of fields and overlays drawn above
+  if (redactions.size) {
+    await pdfDoc.flush();
+    redactor.redact(pdfDoc, redactions);
+  }
+
+  return pdfDoc.save();
+}
@@ -0,0 +1,200 @@
+// Fonts of the export. Text the standard fonts can encode (WinAnsi) is drawn
+// with Helvetica, or Times/Courier for a serif/mono `family`; any other character falls back, glyph by glyph, to the first
+// bundled font that has it (FALLBACK_FONTS), embedded as a subset through
+// @pdf-lib/fontkit. Bundled fonts are only loaded when a character needs them
+// and only embedded when text is drawn with them, so ASCII-only docs export
+// exactly as before.
+//
+// Font files come from the @expo-google-fonts packages; each side maps
+// fontFileKey(family, style) to the file (frontend: fetched asset URL,
+// backend: read from node_modules) and passes it in as `loadFont(key)`.
+// Keep this module free of DOM and Node APIs.
+
+export const FALLBACK_FONTS = [
+  { family: "NotoSans", styles: ["regular", "bold", "italic", "boldItalic"] }, // Latin, Greek, Cyrillic
+  { family: "NotoSansDevanagari", styles: ["regular", "bold"] },
+  { family: "NotoSansSC", styles: ["regular"] }, // Chinese; also kana and common CJK
+];
+
+export const fontFileKey = (family, style) => `${family}-${style}`;
+
+const styleName = (bold, italic) => (bold && italic ? "boldItalic" : bold ? "bold" : italic ? "italic" : "regular");
+
+// The family's closest style: italic and bold are dropped in that order
+function closestStyle(family, bold, italic) {
+  const wanted = [styleName(bold, italic), styleName(bold, false), styleName(false, italic), "regular"];
+  return wanted.find((style) => family.styles.includes(style));
+}
+
+// Helvetica-only text, the last resort when no bundled font can be loaded
+const sanitizeTextForStandardFont = (text = "") => {
+  const fallbackMap = {
+    "●": "*",
+    "•": "*",
+    "–": "-",
+    "—": "-",
+    "’": "'",
+    "‘": "'",
+    "“": '"',
+    "”": '"',
+  };
+  return Array.from(text).map((ch) => {
+    const code = ch.codePointAt(0) ?? 0;
+    if (code <= 255) return ch;
+    return fallbackMap[ch] || "?";
+  }).join("");
+};
+
+// Standard font of a family ("sans" default, "serif", "mono") in a style
+export function standardFontName(StandardFonts, { family = "sans", bold = false, italic = false } = {}) {
+  const names = {
+    serif: [StandardFonts.TimesRoman, StandardFonts.TimesRomanBold, StandardFonts.TimesRomanItalic, StandardFonts.TimesRomanBoldItalic],
+    mono: [StandardFonts.Courier, StandardFonts.CourierBold, StandardFonts.CourierOblique, StandardFonts.CourierBoldOblique],
+    sans: [StandardFonts.Helvetica, StandardFonts.HelveticaBold, StandardFonts.HelveticaOblique, StandardFonts.HelveticaBoldOblique],
+  };
+  return (names[family] || names.sans)[(bold ? 1 : 0) + (italic ? 2 : 0)];
+}
+
+// Marks and spaces stay in the font of the character before them when it has
+// them, so accents combine with their base letter.
+const STICKY = /[\p{M}\s]/u;
+
+/**
+ * Font catalogue shared by every export of one flattener: WinAnsi coverage of
+ * the standard fonts and the bytes + character sets of bundled fonts.
+ */
+export function createFontLibrary({ PDFDocument, StandardFonts, fontkit, loadFont }) {
+  let standardChars = null;
+  const files = {};
+
+  return {
+    async standardCharacters() {
+      if (!standardChars) {
+        standardChars = PDFDocument.create()
+          .then((probe) => probe.embedFont(StandardFonts.Helvetica))
+          .then((font) => new Set(font.getCharacterSet()));
+      }
+      return standardChars;
+    },
+    // { bytes, chars } of a bundled font file, or null when it cannot be loaded
+    file(key) {
+      if (!files[key]) {
+        files[key] = Promise.resolve(loadFont && fontkit ? loadFont(key) : null)
+          .then((bytes) => {
+            if (!bytes) return null;
+            const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+            return { bytes: data, chars: new Set(fontkit.create(data).characterSet) };
+          })
+          .catch((err) => {
+            console.error(`Failed to load font ${key}:`, err);
+            return null;
+          });
+      }
+      return files[key];
+    },
+  };
+}
+
+/**
+ * Fonts of one PDFDocument being exported.
+ *
+ *   layout(text, { bold, italic, family }) -> [{ text, font }] runs
+ *   widthOf(text, size, style)      -> width in points, with the real metrics and style.letterSpacing
+ *   draw(page, text, { x, y, size, bold, italic, family, color, letterSpacing }) -> drawn width
+ *   covering(text)                  -> { font, text } for a single-font AcroForm field
+ *
+ * `family` ("sans" default, "serif", "mono") picks the standard font: Helvetica,
+ * Times or Courier; bundled fallbacks are sans-serif either way. Characters no
+ * font has are drawn as "?" (whitespace as a space) in the standard font.
+ * `letterSpacing` is the character spacing (Tc) the caller has set on the
+ * page; text is measured and each run advances with it once per character.
+ */
+export function createFontSet(pdfDoc, library, { StandardFonts, fontkit }) {
+  const standard = {};
+  const bundled = {};
+  let fontkitRegistered = false;
+
+  const standardFont = (bold, italic, family) => {
+    const name = standardFontName(StandardFonts, { family, bold, italic });
+    if (!standard[name]) standard[name] = pdfDoc.embedFont(name);
+    return standard[name];
+  };
+
+  const bundledFont = (key, bytes) => {
+    if (!fontkitRegistered) {
+      pdfDoc.registerFontkit(fontkit);
+      fontkitRegistered = true;
+    }
+    if (!bundled[key]) bundled[key] = pdfDoc.embedFont(bytes, { subset: true });
+    return bundled[key];
+  };
+
+  // Font choice of one character: "std", a bundled font key, or null (none has it)
+  async function sourceFor(ch, bold, italic) {
+    const code = ch.codePointAt(0);
+    if ((await library.standardCharacters()).has(code)) return { key: "std" };
+    for (const family of FALLBACK_FONTS) {
+      const key = fontFileKey(family.family, closestStyle(family, bold, italic));
+      const file = await library.file(key);
+      if (file?.chars.has(code)) return { key, file };
+    }
+    return null;
+  }
+
+  async function layout(text, { bold = false, italic = false, family } = {}) {
+    const segments = [];
+    for (const ch of Array.from(text)) {
+      let source = await sourceFor(ch, bold, italic);
+      const last = segments[segments.length - 1];
+      if (last && STICKY.test(ch) && (last.key === "std" ? source?.key === "std" : last.file.chars.has(ch.codePointAt(0)))) {
+        source = last;
+      }
+      const piece = source ? ch : /\s/.test(ch) ? " " : "?";
+      source = source || { key: "std" };
+      if (last && last.key === source.key) last.text += piece;
+      else segments.push({ ...source, text: piece });
+    }
+    const runs = [];
+    for (const segment of segments) {
+      const font = segment.key === "std" ? await standardFont(bold, italic, family) : await bundledFont(segment.key, segment.file.bytes);
+      runs.push({ text: segment.text, font });
+    }
+    return runs;
+  }
+
+  async function widthOf(text, size, style = {}) {
+    const runs = await layout(text, style);
+    const spacing = (style.letterSpacing || 0) * Array.from(text).length;
+    return runs.reduce((sum, run) => sum + run.font.widthOfTextAtSize(run.text, size), spacing);
+  }
+
+  async function draw(page, text, { x, y, size, bold, italic, family, color, letterSpacing = 0 }) {
+    let left = x;
+    for (const run of await layout(text, { bold, italic, family })) {
+      page.drawText(run.text, { x: left, y, size, font: run.font, color });
+      left += run.font.widthOfTextAtSize(run.text, size) + letterSpacing * Array.from(run.text).length;
+    }
+    return left - x;
+  }
+
+  // For AcroForm appearances, which take a single font: { font, text } with
+  // font null when Helvetica (the field default) will do. Without a font
+  // having every character, the first bundled font draws what it has.
+  async function covering(text, { bold = false, italic = false } = {}) {
+    const codes = Array.from(text, (ch) => ch.codePointAt(0));
+    const standardChars = await library.standardCharacters();
+    if (codes.every((code) => standardChars.has(code))) return { font: null, text };
+    let first = null;
+    for (const family of FALLBACK_FONTS) {
+      const key = fontFileKey(family.family, closestStyle(family, bold, italic));
+      const file = await library.file(key);
+      if (!file) continue;
+      if (codes.every((code) => file.chars.has(code))) return { font: await bundledFont(key, file.bytes), text };
+      first = first || { key, file };
+    }
+    if (first) return { font: await bundledFont(first.key, first.file.bytes), text };
+    return { font: null, text: sanitizeTextForStandardFont(text) };
+  }
+
+  return { standard: standardFont, layout, widthOf, draw, covering };
+}
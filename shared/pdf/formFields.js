@@ -0,0 +1,90 @@
+// Native AcroForm fields of a template.
+//
+// Values the user enters are stored per doc as `fields` ({ [fieldName]: value }):
+//   text, dropdown, radio  -> string (radio: the chosen widget's export value)
+//   checkbox               -> boolean
+//   signature              -> string (typed name, drawn into the field's box)
+// The template's own values are used for fields the user has not touched.
+
+// pdf-lib field classes are told apart by their API rather than instanceof,
+// so callers only need to pass PDFDocument around.
+export function fieldKind(field) {
+  if (typeof field.setText === "function") return "text";
+  if (typeof field.check === "function") return "checkbox";
+  if (typeof field.getOptions === "function" && typeof field.enableOffToggling === "function") return "radio";
+  if (typeof field.getOptions === "function" && typeof field.select === "function") return "dropdown";
+  // What is left is a push button (has setImage, nothing to fill) or a signature
+  return typeof field.setImage === "function" ? null : "signature";
+}
+
+// Current value of a pdf-lib field in the `fields` representation above.
+export function fieldValue(field, kind = fieldKind(field)) {
+  switch (kind) {
+    case "text":
+      return field.getText() || "";
+    case "checkbox":
+      return field.isChecked();
+    case "radio":
+      return field.getSelected() || "";
+    case "dropdown":
+      return field.getSelected()[0] || "";
+    default:
+      return "";
+  }
+}
+
+/**
+ * List the fillable widgets of a template, one entry per widget (a radio group
+ * has one per option). Field names, kinds and values come from pdf-lib's
+ * getForm(); page and position come from pdf.js annotations.
+ *
+ *   { id, name, kind, page, left, top, width, height, readOnly,
+ *     multiline?, options?, exportValue?, value }
+ *
+ * Geometry is in PDF points with a top-left origin, like editor overlays.
+ */
+export async function detectFormFields(pdfLibDoc, pdfjsDoc) {
+  if (!pdfLibDoc.catalog.getAcroForm()) return [];
+  const byName = new Map();
+  // Radio widgets map to options by position; keyed like pdf.js annotation ids ("12R")
+  const radioOptionByWidget = new Map();
+  for (const field of pdfLibDoc.getForm().getFields()) {
+    const kind = fieldKind(field);
+    if (kind) byName.set(field.getName(), { field, kind });
+    if (kind !== "radio") continue;
+    const options = field.getOptions();
+    field.acroField.getWidgets().forEach((widget, i) => {
+      const ref = pdfLibDoc.context.getObjectRef(widget.dict);
+      if (ref) radioOptionByWidget.set(`${ref.objectNumber}R${ref.generationNumber || ""}`, options[i]);
+    });
+  }
+  if (!byName.size) return [];
+
+  const widgets = [];
+  for (let pageNumber = 1; pageNumber <= pdfjsDoc.numPages; pageNumber++) {
+    const page = await pdfjsDoc.getPage(pageNumber);
+    const [x0, , , y1] = page.view;
+    const annotations = await page.getAnnotations({ intent: "display" });
+    for (const annot of annotations) {
+      if (annot.subtype !== "Widget" || !byName.has(annot.fieldName)) continue;
+      const { field, kind } = byName.get(annot.fieldName);
+      const [left, bottom, right, top] = annot.rect;
+      widgets.push({
+        id: annot.id || `${annot.fieldName}#${widgets.length}`,
+        name: annot.fieldName,
+        kind,
+        page: pageNumber,
+        left: Math.min(left, right) - x0,
+        top: y1 - Math.max(top, bottom),
+        width: Math.abs(right - left),
+        height: Math.abs(top - bottom),
+        readOnly: field.isReadOnly(),
+        ...(kind === "text" && { multiline: field.isMultiline() }),
+        ...(kind === "dropdown" && { options: field.getOptions() }),
+        ...(kind === "radio" && { exportValue: radioOptionByWidget.get(annot.id) ?? annot.buttonValue }),
+        value: fieldValue(field, kind),
+      });
+    }
+  }
+  return widgets;
+}
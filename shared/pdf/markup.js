@@ -0,0 +1,93 @@
+// Review markup: text highlight/underline/strikeout snapped to the lines of
+// the page text, and rectangles, ellipses, lines, arrows and freehand ink.
+// The editor (MarkupOverlay.jsx) and the export (flatten.js) draw them from
+// the same geometry here, in PDF points with a top-left origin.
+// Keep this module free of DOM and Node APIs.
+//
+//   markup { type: "markup", id, kind: TEXT_MARKUP_KINDS, left, top, width, height,
+//            rects: [{ left, top, width, height }], color: "#rrggbb", strokeWidth }
+//   shape  { type: "shape", id, kind: SHAPE_KINDS, left, top, width, height,
+//            points?: [[x, y]], color: "#rrggbb", strokeWidth }
+//
+// A markup's rects are the marked parts of text lines, absolute on the page;
+// left/top/width/height bound them. A rect or ellipse fills its box with the
+// stroke centred on the edge. Lines and arrows have their two end points and
+// ink its whole stroke in `points`, relative to left/top, so moving a shape
+// only changes left/top.
+
+export const TEXT_MARKUP_KINDS = ["highlight", "underline", "strikeout"];
+export const SHAPE_KINDS = ["rect", "ellipse", "line", "arrow", "ink"];
+export const HIGHLIGHT_OPACITY = 0.4;
+export const DEFAULT_STROKE_WIDTH = 2;
+
+// Text lines ({ x, y, width, height }, y the baseline from the bottom) put
+// 0.8 of their height above the baseline, as the editor's line hit areas do.
+const ASCENT = 0.8;
+
+/** Top-left rect of a line of the page text. */
+export function lineTextRect(line, pageHeight) {
+  const height = line.height || line.fontSize || 12;
+  return { left: line.x, top: pageHeight - line.y - height * ASCENT, width: line.width || 0, height };
+}
+
+/**
+ * Parts of the text `lines` under a dragged `area`: every line the area
+ * overlaps, cut to the area's left and right edges. Empty when it misses all.
+ */
+export function markupRects(lines, area, pageHeight) {
+  const right = area.left + area.width;
+  const bottom = area.top + area.height;
+  const rects = [];
+  for (const line of lines || []) {
+    const rect = lineTextRect(line, pageHeight);
+    if (rect.top > bottom || rect.top + rect.height < area.top) continue;
+    const left = Math.max(rect.left, area.left);
+    const width = Math.min(rect.left + rect.width, right) - left;
+    if (width > 0) rects.push({ left, top: rect.top, width, height: rect.height });
+  }
+  return rects;
+}
+
+/** Bounding box of rects or of [x, y] points. */
+export function boundsOf(items) {
+  const boxes = items.map((item) => (Array.isArray(item) ? { left: item[0], top: item[1], width: 0, height: 0 } : item));
+  const left = Math.min(...boxes.map((b) => b.left));
+  const top = Math.min(...boxes.map((b) => b.top));
+  const right = Math.max(...boxes.map((b) => b.left + b.width));
+  const bottom = Math.max(...boxes.map((b) => b.top + b.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/** Shape geometry from absolute points: bounds plus the points relative to them. */
+export function shapeFromPoints(points) {
+  const bounds = boundsOf(points);
+  return { ...bounds, points: points.map(([x, y]) => [x - bounds.left, y - bounds.top]) };
+}
+
+/** Underline or strikeout of a markup rect as [x1, y1, x2, y2]. */
+export function markupLine(kind, rect) {
+  const y = rect.top + rect.height * (kind === "underline" ? 0.95 : 0.5);
+  return [rect.left, y, rect.left + rect.width, y];
+}
+
+/** Thickness of a markup line, thinner on small text than the chosen width. */
+export const markupLineWidth = (rect, strokeWidth) => Math.min(strokeWidth || DEFAULT_STROKE_WIDTH, rect.height * 0.1);
+
+/** Length of the strokes of an arrow head. */
+export const arrowHeadLength = (strokeWidth) => Math.max(8, (strokeWidth || DEFAULT_STROKE_WIDTH) * 4);
+
+/** The two strokes of an arrow head at the end (x2, y2) of a line, as [x1, y1, x2, y2]. */
+export function arrowHead(x1, y1, x2, y2, strokeWidth) {
+  const length = arrowHeadLength(strokeWidth);
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  return [Math.PI / 6, -Math.PI / 6].map((spread) => [
+    x2,
+    y2,
+    x2 - length * Math.cos(angle + spread),
+    y2 - length * Math.sin(angle + spread),
+  ]);
+}
+
+/** SVG path ("M x y L ...") of points, offset by (dx, dy). */
+export const pointsPath = (points, dx = 0, dy = 0) =>
+  points.map(([x, y], i) => `${i ? "L" : "M"} ${x + dx} ${y + dy}`).join(" ");
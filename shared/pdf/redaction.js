@@ -0,0 +1,394 @@
+// Redaction: areas of a page (redact overlays) whose content is taken out of
+// the exported file, not only painted over. On export
+//   - form fields with a widget in an area and other annotations in it are
+//     deleted, values and appearances included (removeAnnotations);
+//   - glyphs painting into an area are cut from their text operators, which
+//     are rebuilt so the rest of the line stays in place; text in a font
+//     that cannot be decoded loses the whole operator;
+//   - image pixels under an area are cleared (unfiltered or Flate images);
+//     images in other formats (JPEG, ...) are blanked as a whole, inline
+//     images that reach into an area are dropped;
+//   - form XObjects drawn over an area get the same treatment, recursively;
+//   - Info entries and XMP metadata containing removed text are dropped;
+//   - finally a black box is drawn over each area.
+// Images and forms are edited in place, so one that is drawn elsewhere too
+// (another page, or a header on every page) changes there as well.
+//
+// findRedactionLeaks checks an exported file with pdf.js for text still
+// extractable from an area.
+// Keep this module free of DOM and Node APIs.
+
+import {
+  drawnObjects,
+  IDENTITY,
+  invertMatrix,
+  multiplyMatrix,
+  parseContent,
+  showWithout,
+  spliceContent,
+  textShows,
+  transformRect,
+  withoutShowing,
+} from "./contentStream.js";
+
+/** Page-space rect [x0, y0, x1, y1] of a redact overlay on a page `pageHeight` high. */
+export const redactionRect = (box, pageHeight) => [
+  box.left,
+  pageHeight - box.top - box.height,
+  box.left + box.width,
+  pageHeight - box.top,
+];
+
+const overlaps = (a, b) => a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+
+const COMPONENTS = { DeviceGray: 1, CalGray: 1, G: 1, DeviceRGB: 3, CalRGB: 3, RGB: 3, Lab: 3, DeviceCMYK: 4, CMYK: 4 };
+
+// Undo the PNG predictors (Predictor >= 10) of Flate data
+function unpredictPng(data, colors, bitsPerComponent, columns) {
+  const pixelBytes = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowBytes = Math.ceil((colors * bitsPerComponent * columns) / 8);
+  const rows = Math.floor(data.length / (rowBytes + 1));
+  const out = new Uint8Array(rows * rowBytes);
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowBytes + 1)];
+    const src = row * (rowBytes + 1) + 1;
+    const dst = row * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= pixelBytes ? out[dst + i - pixelBytes] : 0;
+      const up = row ? out[dst - rowBytes + i] : 0;
+      const upLeft = row && i >= pixelBytes ? out[dst - rowBytes + i - pixelBytes] : 0;
+      let predicted = 0;
+      if (type === 1) predicted = left;
+      else if (type === 2) predicted = up;
+      else if (type === 3) predicted = (left + up) >> 1;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[dst + i] = (data[src + i] + predicted) & 0xff;
+    }
+  }
+  return out;
+}
+
+// Zero the bits [from, to) of the row starting at byte `offset`
+function clearBits(data, offset, from, to) {
+  for (let bit = from; bit < to; ) {
+    if (bit % 8 === 0 && to - bit >= 8) {
+      const bytes = Math.floor((to - bit) / 8);
+      data.fill(0, offset + bit / 8, offset + bit / 8 + bytes);
+      bit += bytes * 8;
+    } else {
+      data[offset + (bit >> 3)] &= ~(0x80 >> (bit & 7));
+      bit++;
+    }
+  }
+}
+
+/**
+ * Build the redactor around a pdf-lib instance:
+ *
+ *   const redactor = createRedactor({ PDFName, decodePDFRawStream, documentFonts, pageContent });
+ *   redactor.removeAnnotations(pdfDoc, areas);   // before fields are filled
+ *   await pdfDoc.flush();                         // fonts drawn so far get their dicts
+ *   redactor.redact(pdfDoc, areas);               // after everything is drawn
+ *
+ * `areas` is a Map of pdf-lib page -> [[x0, y0, x1, y1], ...] (redactionRect).
+ * `documentFonts` and `pageContent` come from documentFonts.js and
+ * contentStream.js. Throws when a page's content cannot be read, rather than
+ * export a redaction that only covers.
+ */
+export function createRedactor({ PDFName, decodePDFRawStream, documentFonts, pageContent }) {
+  const N = (name) => PDFName.of(name);
+  const name = (obj) => (obj && typeof obj.decodeText === "function" ? obj.decodeText() : null);
+  const numbers = (context, obj) => {
+    const value = obj && context.lookup(obj);
+    return value && typeof value.asArray === "function"
+      ? value.asArray().map((item) => context.lookup(item)?.asNumber?.() ?? 0)
+      : null;
+  };
+  const sortedRect = (r) => [Math.min(r[0], r[2]), Math.min(r[1], r[3]), Math.max(r[0], r[2]), Math.max(r[1], r[3])];
+
+  // Delete an annotation and its appearance streams from the file
+  function dropAnnotation(context, page, ref) {
+    page.node.removeAnnot(ref);
+    const annotation = context.lookup(ref);
+    const appearances = annotation?.get?.(N("AP")) && context.lookup(annotation.get(N("AP")));
+    for (const [, value] of appearances?.entries?.() || []) {
+      const states = context.lookup(value);
+      const refs = typeof states?.entries === "function" ? states.entries().map(([, state]) => state) : [value];
+      refs.filter((item) => typeof item.objectNumber === "number").forEach((item) => context.delete(item));
+    }
+    if (typeof ref.objectNumber === "number") context.delete(ref);
+  }
+
+  const annotationRefs = (page) => page.node.Annots()?.asArray() || [];
+
+  // Pixel data of an image XObject that can be cleared in place, else null
+  function imageData(context, stream) {
+    const dict = stream.dict;
+    const filters = context.lookup(dict.get(N("Filter")));
+    const filterNames = filters ? (typeof filters.asArray === "function" ? filters.asArray().map(name) : [name(filters)]) : [];
+    if (!stream.contents || filterNames.length > 1 || (filterNames.length && filterNames[0] !== "FlateDecode")) return null;
+
+    const width = context.lookup(dict.get(N("Width")))?.asNumber?.();
+    const height = context.lookup(dict.get(N("Height")))?.asNumber?.();
+    const mask = context.lookup(dict.get(N("ImageMask")))?.asBoolean?.() === true;
+    const bitsPerComponent = mask ? 1 : context.lookup(dict.get(N("BitsPerComponent")))?.asNumber?.() ?? 8;
+    let components = mask ? 1 : null;
+    if (!mask) {
+      const space = context.lookup(dict.get(N("ColorSpace")));
+      const family = name(space) || name(space?.asArray?.()[0] && context.lookup(space.asArray()[0]));
+      if (COMPONENTS[family]) components = COMPONENTS[family];
+      else if (family === "Indexed" || family === "I" || family === "Separation") components = 1;
+      else if (family === "ICCBased") components = context.lookup(context.lookup(space.asArray()[1])?.dict?.get(N("N")))?.asNumber?.();
+      else if (family === "DeviceN") components = context.lookup(space.asArray()[1])?.asArray?.().length;
+    }
+    if (!width || !height || !components || ![1, 2, 4, 8, 16].includes(bitsPerComponent)) return null;
+
+    let data = filterNames.length ? decodePDFRawStream(stream).decode() : stream.contents;
+    const decodeParms = context.lookup(dict.get(N("DecodeParms")));
+    const parms = typeof decodeParms?.asArray === "function" ? context.lookup(decodeParms.asArray()[0]) : decodeParms;
+    const predictor = context.lookup(parms?.get?.(N("Predictor")))?.asNumber?.() ?? 1;
+    if (predictor >= 10) {
+      const parm = (key, fallback) => context.lookup(parms.get(N(key)))?.asNumber?.() ?? fallback;
+      data = unpredictPng(data, parm("Colors", 1), parm("BitsPerComponent", 8), parm("Columns", 1));
+    } else if (predictor !== 1) return null;
+
+    const rowBytes = Math.ceil((width * components * bitsPerComponent) / 8);
+    if (data.length < rowBytes * height) return null;
+    return { data: Uint8Array.from(data), width, height, pixelBits: components * bitsPerComponent, rowBytes };
+  }
+
+  // Clear the pixels of an image (unit square mapped by `ctm`) under `rects`
+  function clearPixels(image, ctm, rects) {
+    const inverse = invertMatrix(ctm);
+    if (!inverse) return;
+    for (const rect of rects) {
+      const [u0, v0, u1, v1] = transformRect(inverse, ...rect);
+      const first = Math.max(0, Math.floor(u0 * image.width));
+      const last = Math.min(image.width, Math.ceil(u1 * image.width));
+      const top = Math.max(0, Math.floor((1 - v1) * image.height));
+      const bottom = Math.min(image.height, Math.ceil((1 - v0) * image.height));
+      for (let row = top; row < bottom; row++) {
+        clearBits(image.data, row * image.rowBytes, first * image.pixelBits, last * image.pixelBits);
+      }
+    }
+  }
+
+  return {
+    /** Delete the fields with a widget in an area and the other annotations in one. */
+    removeAnnotations(pdfDoc, areas) {
+      const context = pdfDoc.context;
+      const hit = (page, rect) => (areas.get(page) || []).some((area) => overlaps(sortedRect(rect), area));
+      if (pdfDoc.catalog.getAcroForm()) {
+        const form = pdfDoc.getForm();
+        for (const field of form.getFields()) {
+          const widgets = field.acroField.getWidgets().map((widget) => {
+            let page = null;
+            try {
+              page = form.findWidgetPage(widget);
+            } catch {
+              // a widget on no page shows nowhere
+            }
+            const { x, y, width, height } = widget.getRectangle();
+            return { widget, page, inArea: !!page && hit(page, [x, y, x + width, y + height]) };
+          });
+          if (!widgets.some((item) => item.inArea)) continue;
+          for (const { widget, page } of widgets) {
+            const ref = context.getObjectRef(widget.dict);
+            if (ref && page) dropAnnotation(context, page, ref);
+          }
+          form.acroForm.removeField(field.acroField);
+          if (context.lookup(field.ref)) context.delete(field.ref);
+        }
+      }
+      for (const page of areas.keys()) {
+        const dropped = new Set();
+        for (const ref of annotationRefs(page)) {
+          const annotation = context.lookup(ref);
+          const rect = numbers(context, annotation?.get?.(N("Rect")));
+          if (name(annotation?.get?.(N("Subtype"))) === "Widget" || !rect || !hit(page, rect)) continue;
+          dropped.add(annotation);
+          dropAnnotation(context, page, ref);
+        }
+        // Pop-up notes of dropped annotations go with them
+        for (const ref of annotationRefs(page)) {
+          const parent = context.lookup(context.lookup(ref)?.get?.(N("Parent")));
+          if (parent && dropped.has(parent)) dropAnnotation(context, page, ref);
+        }
+      }
+    },
+
+    /** Cut what lies under the areas out of the page content and draw the black boxes. */
+    redact(pdfDoc, areas) {
+      const context = pdfDoc.context;
+      const removedText = [];
+      const images = new Map(); // image ref -> { data, ... } | null, cleared in place at the end
+      const changedImages = new Set();
+
+      const image = (ref) => {
+        if (!images.has(ref)) images.set(ref, imageData(context, context.lookup(ref)));
+        return images.get(ref);
+      };
+
+      // Content of the page or of a form XObject drawn with `ctm`, redacted
+      const redactContent = (page, content, resources, ctm, rects, open) => {
+        const hits = (box) => rects.some((rect) => overlaps(box, rect));
+        const ops = parseContent(content);
+        const cuts = [];
+
+        const decoderFor = (font) => documentFonts.decoder(page, font, resources);
+        for (const show of textShows(ops, decoderFor, ctm)) {
+          const removed = new Set(show.glyphs.filter((glyph) => hits(glyph.box)));
+          if (!removed.size) continue;
+          const replacement = showWithout(show, removed) ?? withoutShowing(show.op);
+          cuts.push({ start: show.op.start, end: show.op.end, replacement });
+          let segment = "";
+          for (const glyph of [...show.glyphs, null]) {
+            if (glyph && removed.has(glyph)) {
+              segment += glyph.text ?? "";
+            } else if (segment) {
+              removedText.push(segment);
+              segment = "";
+            }
+          }
+        }
+
+        const xObjects = resources && context.lookup(resources.get(N("XObject")));
+        for (const drawn of drawnObjects(ops, ctm)) {
+          if (drawn.name === null) {
+            if (hits(transformRect(drawn.ctm, 0, 0, 1, 1))) cuts.push({ start: drawn.op.start, end: drawn.op.end });
+            continue;
+          }
+          const ref = xObjects?.get?.(N(drawn.name));
+          const stream = ref && context.lookup(ref);
+          const subtype = name(stream?.dict?.get(N("Subtype")));
+          if (subtype === "Image") {
+            if (!hits(transformRect(drawn.ctm, 0, 0, 1, 1))) continue;
+            const pixels = image(ref);
+            if (!pixels) {
+              changedImages.add(ref);
+              continue;
+            }
+            clearPixels(pixels, drawn.ctm, rects);
+            changedImages.add(ref);
+            const softMask = stream.dict.get(N("SMask"));
+            const maskPixels = softMask && image(softMask);
+            if (maskPixels) {
+              clearPixels(maskPixels, drawn.ctm, rects);
+              changedImages.add(softMask);
+            }
+          } else if (subtype === "Form") {
+            const formCtm = multiplyMatrix(drawn.ctm, numbers(context, stream.dict.get(N("Matrix"))) || IDENTITY);
+            const bbox = numbers(context, stream.dict.get(N("BBox")));
+            if (open.has(ref) || (bbox && !hits(transformRect(formCtm, ...bbox)))) continue;
+            const formContent = pageContent.readStream(stream);
+            if (formContent === null) {
+              cuts.push({ start: drawn.op.start, end: drawn.op.end });
+              continue;
+            }
+            const formResources = context.lookup(stream.dict.get(N("Resources"))) || resources;
+            open.add(ref);
+            const redacted = redactContent(page, formContent, formResources, formCtm, rects, open);
+            open.delete(ref);
+            if (redacted !== formContent) pageContent.writeStream(context, ref, redacted);
+          }
+        }
+        return cuts.length ? spliceContent(content, cuts) : content;
+      };
+
+      for (const [page, rects] of areas) {
+        if (!rects.length) continue;
+        const pageNumber = pdfDoc.getPages().indexOf(page) + 1;
+        const content = pageContent.read(page);
+        if (content === null) throw new Error(`Cannot redact page ${pageNumber}: its content cannot be read`);
+        let redacted;
+        try {
+          redacted = redactContent(page, content, page.node.Resources(), IDENTITY, rects, new Set());
+        } catch (err) {
+          throw new Error(`Cannot redact page ${pageNumber}: ${err.message}`);
+        }
+        const boxes = rects.map(([x0, y0, x1, y1]) => `${x0} ${y0} ${x1 - x0} ${y1 - y0} re`).join(" ");
+        pageContent.write(pdfDoc, page, `q\n${redacted}\nQ\nq 0 0 0 rg ${boxes} f Q\n`);
+      }
+
+      for (const ref of changedImages) {
+        const pixels = images.get(ref);
+        if (pixels) {
+          pageContent.writeStream(context, ref, pixels.data);
+        } else {
+          // Formats whose pixels cannot be edited here lose the whole picture
+          const dict = { Type: "XObject", Subtype: "Image", Width: 1, Height: 1, ColorSpace: "DeviceGray", BitsPerComponent: 8 };
+          context.assign(ref, context.flateStream(new Uint8Array([0]), dict));
+        }
+      }
+
+      stripMetadata(pdfDoc, removedText);
+    },
+  };
+
+  // Drop the Info entries and XMP metadata that mention a removed word
+  // (three characters or more, so a cut-off letter does not count)
+  function stripMetadata(pdfDoc, removedText) {
+    const context = pdfDoc.context;
+    const words = removedText.flatMap((text) => text.split(/\s+/)).map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""));
+    const segments = [...new Set(words)].filter((word) => Array.from(word).length > 2);
+    if (!segments.length) return;
+    const mentions = (text) => segments.some((segment) => text.includes(segment));
+
+    const info = context.lookup(context.trailerInfo.Info);
+    for (const [key, value] of info?.entries?.() || []) {
+      const text = context.lookup(value)?.decodeText?.();
+      if (text && mentions(text)) info.delete(key);
+    }
+
+    const metadataRef = pdfDoc.catalog.get(N("Metadata"));
+    const metadata = metadataRef && context.lookup(metadataRef);
+    if (!metadata) return;
+    // XMP is UTF-8 XML; compare its bytes with the segments encoded alike
+    const xml = pageContent.readStream(metadata);
+    const utf8 = (text) => String.fromCharCode(...new TextEncoder().encode(text));
+    const escapeXml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    if (xml === null || segments.some((segment) => xml.includes(utf8(segment)) || xml.includes(utf8(escapeXml(segment))))) {
+      pdfDoc.catalog.delete(N("Metadata"));
+      if (typeof metadataRef.objectNumber === "number") context.delete(metadataRef);
+    }
+  }
+}
+
+/**
+ * Text pdf.js can still extract from the redacted areas of an exported file:
+ *   [{ page, text }]  (empty when the redaction holds)
+ * `pdfDocument` is a pdf.js document of the export; `boxesByPage` the
+ * overlays, of which the redact ones are checked. A character counts when
+ * its centre lies inside an area; pdf.js reports a run of text as one item,
+ * so character positions are spread evenly over it.
+ */
+export async function findRedactionLeaks(pdfDocument, boxesByPage) {
+  const leaks = [];
+  for (const [pageNumber, boxes] of Object.entries(boxesByPage || {})) {
+    const redactions = (boxes || []).filter((box) => box?.type === "redact");
+    if (!redactions.length || Number(pageNumber) > pdfDocument.numPages) continue;
+    const page = await pdfDocument.getPage(Number(pageNumber));
+    const pageHeight = page.view[3] - page.view[1];
+    const rects = redactions.map((box) => redactionRect(box, pageHeight));
+    const { items } = await page.getTextContent();
+    for (const item of items) {
+      const characters = Array.from(item.str || "");
+      if (!characters.some((ch) => /\S/.test(ch))) continue;
+      const [, , , , x, y] = item.transform;
+      const height = item.height || Math.hypot(item.transform[2], item.transform[3]);
+      const step = (item.width || 0) / characters.length;
+      const middle = y + height * 0.35;
+      const leaked = characters.filter((ch, i) => {
+        const centre = x + step * (i + 0.5);
+        return /\S/.test(ch) && rects.some(([x0, y0, x1, y1]) => centre > x0 && centre < x1 && middle > y0 && middle < y1);
+      });
+      if (leaked.length) leaks.push({ page: Number(pageNumber), text: leaked.join("") });
+    }
+    page.cleanup();
+  }
+  return leaks;
+}
@@ -0,0 +1,66 @@
+// Field definitions drawn by an admin on a flat (non-AcroForm) template.
+// Stored with the template revision as `fields` and pinned on each submission
+// as `templateFields`; crew fill only these. Values live in the doc's `fields`
+// map under the definition's name, like AcroForm values (see formFields.js):
+// text/multiline/date/dropdown/signature/initials -> string, checkbox -> boolean.
+//
+//   { id, name, type, page, left, top, width, height, fontSize, align, options? }
+//
+// Geometry is in PDF points with a top-left origin, like editor overlays.
+
+export const TEMPLATE_FIELD_TYPES = ["text", "multiline", "date", "checkbox", "dropdown", "signature", "initials"];
+export const TEMPLATE_FIELD_ALIGN = ["left", "center", "right"];
+export const DEFAULT_FIELD_FONT_SIZE = 10;
+
+const finite = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Validate definitions coming from a client.
+ * Returns { fields } (cleaned copies) or { error }.
+ */
+export function normalizeTemplateFields(input) {
+  if (!Array.isArray(input)) return { error: "fields must be an array" };
+  const names = new Set();
+  const fields = [];
+  for (const [i, raw] of input.entries()) {
+    const label = `Field ${i + 1}`;
+    if (!raw || typeof raw !== "object") return { error: `${label} is not an object` };
+    const name = String(raw.name || "").trim();
+    if (!name) return { error: `${label} needs a name` };
+    if (names.has(name)) return { error: `Field name "${name}" is used more than once` };
+    names.add(name);
+    if (!TEMPLATE_FIELD_TYPES.includes(raw.type)) {
+      return { error: `${name}: type must be one of ${TEMPLATE_FIELD_TYPES.join(", ")}` };
+    }
+    if (!Number.isInteger(raw.page) || raw.page < 1) return { error: `${name}: page must be a page number` };
+    if (![raw.left, raw.top, raw.width, raw.height].every(finite) || raw.width <= 0 || raw.height <= 0) {
+      return { error: `${name}: left/top/width/height must be numbers with a positive size` };
+    }
+    const fontSize = raw.fontSize === undefined ? DEFAULT_FIELD_FONT_SIZE : raw.fontSize;
+    if (!finite(fontSize) || fontSize < 4 || fontSize > 72) return { error: `${name}: fontSize must be 4-72` };
+    const align = raw.align || "left";
+    if (!TEMPLATE_FIELD_ALIGN.includes(align)) return { error: `${name}: align must be left, center or right` };
+
+    const field = {
+      id: String(raw.id || name),
+      name,
+      type: raw.type,
+      page: raw.page,
+      left: raw.left,
+      top: raw.top,
+      width: raw.width,
+      height: raw.height,
+      fontSize,
+      align,
+    };
+    if (raw.type === "dropdown") {
+      const options = Array.isArray(raw.options)
+        ? raw.options.map((opt) => String(opt).trim()).filter(Boolean)
+        : [];
+      if (!options.length) return { error: `${name}: a dropdown needs at least one option` };
+      field.options = [...new Set(options)];
+    }
+    fields.push(field);
+  }
+  return { fields };
+}